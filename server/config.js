@@ -7,9 +7,87 @@ export const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
 export const MONGO_URI = process.env.MONGO_URI;
 export const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 export const PORT = process.env.PORT || 3001;
+// github.com REST API base URL, e.g. a local fake for testing (Enterprise servers go in SCM_HOSTS)
+export const GITHUB_API_URL = process.env.GITHUB_API_URL || 'https://api.github.com';
+
+// Token for gitlab.com projects
+export const GITLAB_TOKEN = process.env.GITLAB_TOKEN;
+// Code hosts by host name: type (github|gitlab), API base URL and token. github.com and gitlab.com
+// are built in; add GitHub Enterprise or self-managed GitLab servers with SCM_HOSTS, e.g.
+// {"github.example.com": {"type": "github", "apiUrl": "https://github.example.com/api/v3", "tokenEnv": "GHE_TOKEN"}}
+export const SCM_HOSTS = buildScmHosts();
+
+// LLM provider settings
+export const LLM_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+export const LLM_MODEL = process.env.LLM_MODEL;
+export const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+export const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL;
+// Token budget for code included in analysis prompts
+export const LLM_CONTEXT_BUDGET_TOKENS = parseInt(process.env.LLM_CONTEXT_BUDGET_TOKENS, 10) || 30000;
+
+// Number of repository scan jobs run at the same time
+export const SCAN_CONCURRENCY = parseInt(process.env.SCAN_CONCURRENCY, 10) || 2;
+// Files fetched at the same time within one scan, and the largest file a scan reads
+export const SCAN_FETCH_CONCURRENCY = parseInt(process.env.SCAN_FETCH_CONCURRENCY, 10) || 5;
+export const SCAN_MAX_FILE_SIZE = parseInt(process.env.SCAN_MAX_FILE_SIZE, 10) || 1024 * 1024;
+
+// Secret shared with GitHub for signing webhook deliveries
+export const GITHUB_WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET;
+
+// Require an API key on every API request; without it, anonymous callers act with the server's tokens
+export const AUTH_REQUIRED = process.env.AUTH_REQUIRED === 'true';
+// Secret the users' host tokens are encrypted with; tokens can't be stored without it
+export const TOKEN_ENCRYPTION_KEY = process.env.TOKEN_ENCRYPTION_KEY;
+// OAuth app used for the GitHub device flow sign-in, and the GitHub server it belongs to
+export const GITHUB_OAUTH_CLIENT_ID = process.env.GITHUB_OAUTH_CLIENT_ID;
+export const GITHUB_OAUTH_URL = process.env.GITHUB_OAUTH_URL || 'https://github.com';
+
+// Estimated USD per million tokens by model, added to the built-in prices, e.g. {"llama3": {"prompt": 0, "completion": 0}}
+export const LLM_PRICING = parseJsonEnv('LLM_PRICING', {});
+// Daily LLM limits in tokens and/or estimated USD, for every user and repository and for single ones, e.g.
+// {"user": {"tokens": 200000}, "repository": {"cost": 5}, "users": {"github.com/octocat": {"tokens": null}}, "repositories": {"https://github.com/o/r": {"tokens": 1000000}}}
+export const LLM_DAILY_QUOTAS = parseJsonEnv('LLM_DAILY_QUOTAS', {});
+
+// Per-repo provider overrides, e.g. {"https://github.com/o/r": {"provider": "openai", "model": "llama3"}}
+export const LLM_REPO_SETTINGS = parseJsonEnv('LLM_REPO_SETTINGS', {});
+
+// Issues analyzed automatically when opened via webhook, e.g. {"https://github.com/o/r": {"labels": ["bug"], "provider": "openai"}}
+export const WEBHOOK_AUTO_ANALYZE = parseJsonEnv('WEBHOOK_AUTO_ANALYZE', {});
+
+// Secret scanner allowlist, e.g. {"values": ["test-token-123"], "patterns": ["^sk_test_"], "paths": ["^test/fixtures/"]}
+export const SECRET_ALLOWLIST = parseJsonEnv('SECRET_ALLOWLIST', {});
+
+function buildScmHosts() {
+  const hosts = {
+    'github.com': { type: 'github', apiUrl: GITHUB_API_URL, token: GITHUB_TOKEN },
+    'gitlab.com': { type: 'gitlab', apiUrl: 'https://gitlab.com/api/v4', token: GITLAB_TOKEN }
+  };
+
+  for (const [host, settings] of Object.entries(parseJsonEnv('SCM_HOSTS', {}))) {
+    const type = settings.type || 'github';
+    hosts[host.toLowerCase()] = {
+      type,
+      apiUrl: settings.apiUrl || `https://${host}/api/${type === 'gitlab' ? 'v4' : 'v3'}`,
+      token: settings.token || (settings.tokenEnv ? process.env[settings.tokenEnv] : undefined)
+    };
+  }
+  return hosts;
+}
+
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (err) {
+    console.warn(`Ignoring invalid JSON in ${name}:`, err.message);
+    return fallback;
+  }
+}
 
 console.log('Environment variables loaded in config.js:', {
   GITHUB_TOKEN_EXISTS: !!GITHUB_TOKEN,
   MONGO_URI_EXISTS: !!MONGO_URI,
-  GEMINI_API_KEY_EXISTS: !!GEMINI_API_KEY
+  GEMINI_API_KEY_EXISTS: !!GEMINI_API_KEY,
+  LLM_PROVIDER,
+  AUTH_REQUIRED
 });
\ No newline at end of file
@@ -0,0 +1,183 @@
+import { AUTH_REQUIRED, SCM_HOSTS, TOKEN_ENCRYPTION_KEY } from '../config.js';
+import { AccessService, AuthService, HostRegistry, RepositoryService, TokenCipher } from '../services/index.js';
+import { mapWithConcurrency } from '../services/concurrency.js';
+
+export const authService = new AuthService(new TokenCipher(TOKEN_ENCRYPTION_KEY));
+const access = new AccessService();
+
+// Clients with the server's tokens, for anonymous callers and users without tokens of their own
+const serverHosts = new HostRegistry(SCM_HOSTS);
+
+// Access checks run at the same time when filtering lists
+const ACCESS_CHECK_CONCURRENCY = 5;
+
+/**
+ * Read the API key from the Authorization (Bearer) or X-API-Key header
+ * @param {Object} req - Express request
+ * @returns {string|null} - API key
+ */
+function apiKeyFrom(req) {
+  const bearer = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return bearer ? bearer[1] : req.get('x-api-key') || null;
+}
+
+/**
+ * Host clients acting for a user: their own tokens where they stored one,
+ * the server's elsewhere
+ * @param {Document|null} user - User
+ * @returns {HostRegistry} - Clients
+ */
+export function hostsFor(user) {
+  const tokens = user ? authService.hostTokens(user) : {};
+  return Object.keys(tokens).length > 0 ? new HostRegistry(SCM_HOSTS, tokens) : serverHosts;
+}
+
+/**
+ * Middleware identifying the caller by API key. Sets req.user (null for
+ * anonymous callers), req.hosts (see hostsFor) and req.repositories, a
+ * RepositoryService reading metadata with the caller's clients.
+ * @param {Object} options - { required }: reject anonymous callers (default AUTH_REQUIRED)
+ * @returns {Function} - Express middleware
+ */
+export function authenticate({ required = AUTH_REQUIRED } = {}) {
+  return async (req, res, next) => {
+    try {
+      const key = apiKeyFrom(req);
+      const user = key ? await authService.authenticate(key) : null;
+      if (key && !user) {
+        return res.status(401).json({ message: 'Invalid or revoked API key' });
+      }
+      if (!user && required) {
+        return res.status(401).json({ message: 'Authentication required: send an API key as a Bearer token' });
+      }
+
+      req.user = user;
+      req.hosts = hostsFor(user);
+      req.repositories = new RepositoryService(req.hosts);
+      next();
+    } catch (error) {
+      console.error('Error authenticating request:', error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  };
+}
+
+/**
+ * Middleware rejecting anonymous callers
+ */
+export function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required: send an API key as a Bearer token' });
+  }
+  next();
+}
+
+/**
+ * Whether the caller may read a repository's stored issues and solutions.
+ * Unless authentication is required, every caller can act with the server's
+ * tokens, so access is only scoped when it is.
+ * @param {Object} req - Express request (after authenticate)
+ * @param {Document} repository - Repository
+ * @returns {Promise<boolean>}
+ */
+export async function canRead(req, repository) {
+  if (!AUTH_REQUIRED) return true;
+  return access.canRead(req.user, repository, req.hosts);
+}
+
+/**
+ * Check the caller may read a repository
+ * @param {Object} req - Express request (after authenticate)
+ * @param {Document} repository - Repository
+ * @returns {Promise<Document>} - The repository
+ * @throws {Error} - With status 404, so private repositories are not revealed
+ */
+export async function authorizeRepository(req, repository) {
+  if (!(await canRead(req, repository))) {
+    const error = new Error('Repository not found');
+    error.status = 404;
+    throw error;
+  }
+  return repository;
+}
+
+/**
+ * Client acting as the caller on a repository's host, for writes there. It
+ * always uses the caller's own token: writes never fall back to the server's.
+ * @param {Object} req - Express request (after authenticate)
+ * @param {string} repoUrl - Repository URL
+ * @returns {GitHubService|GitLabService} - Client
+ * @throws {Error} - With status 401 for anonymous callers, 403 when the caller has no token for the host
+ */
+export function userClient(req, repoUrl) {
+  if (!req.user) {
+    const error = new Error('Authentication required: send an API key as a Bearer token');
+    error.status = 401;
+    throw error;
+  }
+  const { host } = req.hosts.resolve(repoUrl);
+  if (!req.hosts.hasUserToken(host)) {
+    const error = new Error(`Store your own ${host} token to make changes there`);
+    error.status = 403;
+    throw error;
+  }
+  return req.hosts.forRepo(repoUrl);
+}
+
+/**
+ * Check the caller may change or delete a repository's stored data, with
+ * write or admin access on the host checked with their own token
+ * @param {Object} req - Express request (after authenticate)
+ * @param {Document} repository - Repository
+ * @returns {Promise<Document>} - The repository
+ * @throws {Error} - With status 401 or 403 (see userClient), or 403 without write access
+ */
+export async function authorizeWrite(req, repository) {
+  userClient(req, repository.url);
+  if (!(await access.canWrite(req.user, repository, req.hosts))) {
+    const error = new Error('Write access to the repository is required');
+    error.status = 403;
+    throw error;
+  }
+  return repository;
+}
+
+/**
+ * Keep the repositories the caller may read
+ * @param {Object} req - Express request (after authenticate)
+ * @param {Array<Document>} repositories - Repositories
+ * @returns {Promise<Array<Document>>} - Readable repositories, in the same order
+ */
+export async function filterReadable(req, repositories) {
+  const readable = await mapWithConcurrency(repositories, ACCESS_CHECK_CONCURRENCY, repository => canRead(req, repository));
+  return repositories.filter((repository, index) => readable[index]);
+}
+
+/**
+ * Forget a user's cached access answers, e.g. after their tokens changed
+ * @param {Document} user - User
+ */
+export function forgetAccess(user) {
+  access.forget(user._id);
+}
+
+/**
+ * Find or register the repository named by the route's repoUrl parameter and
+ * check the caller may read it
+ * @param {Object} req - Express request (after authenticate)
+ * @returns {Promise<Document>} - Repository
+ * @throws {Error} - With status 404 when the caller may not read it
+ */
+export async function resolveRepository(req) {
+  return authorizeRepository(req, await req.repositories.resolve(decodeURIComponent(req.params.repoUrl)));
+}
+
+/**
+ * Find the registered repository named by the route's repoUrl parameter
+ * @param {Object} req - Express request (after authenticate)
+ * @returns {Promise<Document|null>} - Repository, or null when unknown or not readable by the caller
+ */
+export async function findRepository(req) {
+  const repository = await req.repositories.find(decodeURIComponent(req.params.repoUrl));
+  return repository && (await canRead(req, repository)) ? repository : null;
+}
@@ -1,15 +1,33 @@
 import mongoose from 'mongoose';
 
+export const SOLUTION_RATINGS = ['helpful', 'unhelpful'];
+export const SNIPPET_FEEDBACK_STATUSES = ['accepted', 'rejected', 'applied'];
+
 const AISolutionSchema = new mongoose.Schema({
   issue: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Issue',
     required: true
   },
+  // Every analysis is kept; versions count up from 1 per issue
+  version: {
+    type: Number,
+    default: 1
+  },
+  // SHA-256 of the prompt sent to the model (after redaction)
+  promptHash: String,
+  // Files the analysis was based on, with the blob SHA they had at the time
+  inputFiles: [{
+    _id: false,
+    path: String,
+    sha: String
+  }],
   analysis: {
     type: String,
     required: true
   },
+  rootCause: String,
+  steps: [String],
   solution: {
     type: String,
     required: true
@@ -17,14 +35,113 @@ const AISolutionSchema = new mongoose.Schema({
   codeSnippets: [{
     filePath: String,
     originalCode: String,
+    // The lines being replaced, as quoted by the model
+    originalExcerpt: String,
     suggestedCode: String,
-    lineNumbers: [Number]
+    explanation: String,
+    startLine: Number,
+    endLine: Number,
+    lineNumbers: [Number],
+    // Where the snippet was located in the original file
+    placement: {
+      status: {
+        type: String,
+        enum: ['placed', 'unplaced']
+      },
+      method: String,
+      startLine: Number,
+      endLine: Number,
+      reason: String
+    },
+    // Unified diff for this snippet alone
+    diff: String,
+    // What the user did with the suggestion
+    feedback: {
+      status: {
+        type: String,
+        enum: SNIPPET_FEEDBACK_STATUSES
+      },
+      reason: String,
+      updatedAt: Date
+    }
   }],
   bestPractices: [String],
+  // Files sent to the model and why they were chosen
+  contextFiles: [{
+    path: String,
+    source: {
+      type: String,
+      enum: ['reference', 'retrieval']
+    },
+    score: Number,
+    reasons: [String],
+    // How the file was fitted into the token budget: full, windows, truncated or omitted
+    mode: String,
+    originalTokens: Number,
+    includedTokens: Number,
+    includedRanges: [{
+      startLine: Number,
+      endLine: Number
+    }]
+  }],
+  // Similar issues included in the prompt
+  relatedIssues: [{
+    issueNumber: mongoose.Schema.Types.Mixed,
+    title: String,
+    score: Number
+  }],
+  // Secrets removed from the code before it was sent to the model
+  redactions: [{
+    filePath: String,
+    detectorId: String,
+    line: Number
+  }],
+  contextBudget: {
+    budgetTokens: Number,
+    usedTokens: Number
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  // Number of LLM calls needed to get a schema-valid response
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  provider: String,
+  model: String,
+  // Tokens of all LLM calls for this version, repair attempts included
+  usage: {
+    promptTokens: Number,
+    completionTokens: Number
+  },
+  // Estimated USD; null when the model has no known price
+  estimatedCost: Number,
+  // Draft pull request opened from this version's code changes
+  pullRequest: {
+    number: Number,
+    url: String,
+    branch: String,
+    commitSha: String,
+    createdAt: Date
+  },
+  // User rating of the solution as a whole
+  feedback: {
+    rating: {
+      type: String,
+      enum: SOLUTION_RATINGS
+    },
+    comment: String,
+    ratedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+AISolutionSchema.index({ issue: 1, version: -1 }, { unique: true });
+
 export default mongoose.model('AISolution', AISolutionSchema);
\ No newline at end of file
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// Blobs no scan has used for this long are dropped
+const BLOB_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Content-addressed cache of repository files, keyed by git blob SHA, with
+ * the rule findings computed for them. A blob's content never changes, so
+ * entries stay valid until the rules (see rulesFingerprint) change. Blobs are
+ * only served to scans of the repositories they were read from.
+ */
+const FileBlobSchema = new mongoose.Schema({
+  sha: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  size: Number,
+  content: String,
+  // Canonical URLs of the repositories the blob was read from
+  repositories: [String],
+  // Findings per path and rule configuration; the same blob can live at several paths
+  scans: [{
+    filePath: String,
+    rulesHash: String,
+    findings: [{
+      _id: false,
+      ruleId: String,
+      type: { type: String },
+      description: String,
+      severity: String,
+      line: Number,
+      column: Number
+    }],
+    scannedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+FileBlobSchema.index({ lastUsedAt: 1 }, { expireAfterSeconds: BLOB_TTL_SECONDS });
+FileBlobSchema.index({ repositories: 1 });
+
+export default mongoose.model('FileBlob', FileBlobSchema);
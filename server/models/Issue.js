@@ -1,6 +1,14 @@
 import mongoose from 'mongoose';
+import { parseRepoUrl, repoHost } from '../services/repoUrl.js';
+import { SCM_HOSTS } from '../config.js';
 
 const IssueSchema = new mongoose.Schema({
+  // Registered repository the issue belongs to
+  repository: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repository'
+  },
+  // Canonical URL of the repository (Repository.url)
   repositoryUrl: {
     type: String,
     required: true,
@@ -40,10 +48,115 @@ const IssueSchema = new mongoose.Schema({
     enum: ['open', 'closed'],
     default: 'open'
   },
+  labels: {
+    type: [String],
+    default: []
+  },
+  assignees: {
+    type: [String],
+    default: []
+  },
+  milestone: {
+    number: Number,
+    title: String
+  },
+  commentsCount: {
+    type: Number,
+    default: 0
+  },
+  comments: [{
+    commentId: Number,
+    author: String,
+    body: String,
+    createdAt: Date,
+    updatedAt: Date
+  }],
+  // Pull requests, issues and commits linked from the issue timeline
+  linkedReferences: [{
+    type: {
+      type: String,
+      enum: ['pull_request', 'issue', 'commit']
+    },
+    number: Number,
+    sha: String,
+    title: String,
+    state: String,
+    url: String
+  }],
+  // When comments and linked references were last fetched
+  discussionSyncedAt: Date,
   fileReferences: [{
     path: String,
-    lineNumbers: [Number]
+    lineNumbers: [Number],
+    // Referenced spans (file.js:10-20), kept as ranges rather than expanded
+    ranges: [{
+      _id: false,
+      start: Number,
+      end: Number
+    }]
   }],
+  // AI triage classification (see AIService.triageIssue)
+  triage: {
+    type: new mongoose.Schema({
+      type: {
+        type: String,
+        enum: ['bug', 'feature', 'question', 'docs', 'security']
+      },
+      priority: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'critical']
+      },
+      component: String,
+      confidence: {
+        type: Number,
+        min: 0,
+        max: 1
+      },
+      provider: String,
+      model: String,
+      triagedAt: Date
+    }, { _id: false }),
+    default: undefined
+  },
+  // Cached term-frequency vector for duplicate detection (see SimilarityService)
+  similarity: {
+    type: new mongoose.Schema({
+      hash: String,
+      terms: {
+        type: Map,
+        of: Number
+      },
+      computedAt: Date
+    }, { _id: false }),
+    select: false
+  },
+  // Solution version shown for the issue: the latest one, unless the user pinned another
+  currentSolution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AISolution'
+  },
+  solutionPinned: {
+    type: Boolean,
+    default: false
+  },
+  // Highest solution version handed out; incremented atomically for each analysis
+  lastSolutionVersion: Number,
+  // Comment where the solution was posted on GitHub; edited instead of posting again
+  postedComment: {
+    commentId: Number,
+    url: String,
+    solutionVersion: Number,
+    postedAt: Date
+  },
+  // Identity of the repository scan finding an AI issue was created from (rule and file),
+  // so rescans update that issue rather than whichever one has the same position
+  scanFingerprint: String,
+  // GitHub issue an AI-detected issue was promoted to
+  promotedTo: {
+    number: Number,
+    url: String,
+    promotedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -52,6 +165,9 @@ const IssueSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  // Built at startup once duplicate issues are merged (see RepositoryService.migrateIssues)
+  autoIndex: false
 });
 
 // Function to extract repository owner and name from URL and set issueId
@@ -63,20 +179,19 @@ function processIssueData(doc) {
   
   if (doc.repositoryUrl) {
     try {
-      const url = new URL(doc.repositoryUrl);
-      const pathParts = url.pathname.split('/');
-      if (pathParts.length >= 3) {
-        doc.repoOwner = pathParts[1];
-        doc.repoName = pathParts[2];
-        
-        // Set issueId based on issueNumber
-        if (doc.issueNumber) {
-          // Handle AI-generated issue numbers (strings that start with 'AI-')
-          if (typeof doc.issueNumber === 'string' && doc.issueNumber.startsWith('AI-')) {
-            doc.issueId = doc.issueNumber;
-          } else {
-            doc.issueId = String(doc.issueNumber);
-          }
+      // GitLab projects can live in nested groups, so the owner may contain slashes
+      const type = SCM_HOSTS[repoHost(doc.repositoryUrl)]?.type || 'github';
+      const { owner, repo } = parseRepoUrl(doc.repositoryUrl, type);
+      doc.repoOwner = owner;
+      doc.repoName = repo;
+
+      // Set issueId based on issueNumber
+      if (doc.issueNumber) {
+        // Handle AI-generated issue numbers (strings that start with 'AI-')
+        if (typeof doc.issueNumber === 'string' && doc.issueNumber.startsWith('AI-')) {
+          doc.issueId = doc.issueNumber;
+        } else {
+          doc.issueId = String(doc.issueNumber);
         }
       }
     } catch (err) {
@@ -106,6 +221,26 @@ IssueSchema.pre('findOneAndUpdate', function(next) {
   next();
 });
 
+// Highest N among a repository's AI-N issue numbers (0 when there are none)
+IssueSchema.statics.lastAINumber = async function(repositoryId) {
+  const issues = await this.find({ repository: repositoryId, issueNumber: { $regex: /^AI-\d+$/ } })
+    .select('issueNumber')
+    .lean();
+  return issues.reduce((last, issue) => Math.max(last, parseInt(issue.issueNumber.slice(3), 10)), 0);
+};
+
+// Expose the index-field processing for writes that bypass middleware (e.g. bulkWrite)
+IssueSchema.statics.withIndexFields = function(doc) {
+  return processIssueData(doc);
+};
+
+IssueSchema.index({ repository: 1, 'triage.type': 1, 'triage.priority': 1 });
+IssueSchema.index({ repository: 1, issueNumber: 1 }, { unique: true });
+IssueSchema.index(
+  { repository: 1, scanFingerprint: 1 },
+  { unique: true, partialFilterExpression: { scanFingerprint: { $exists: true } } }
+);
+
 // Add sparse index to allow null values
 IssueSchema.index({ repoOwner: 1, repoName: 1, issueId: 1 }, { sparse: true });
 
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import { REVIEW_SEVERITIES } from '../services/solutionSchema.js';
+
+/**
+ * Review of a pull request at one head commit: rule findings on the added
+ * lines and the LLM's line-anchored comments. Every run is kept.
+ */
+const PullRequestReviewSchema = new mongoose.Schema({
+  repository: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repository',
+    required: true
+  },
+  repositoryUrl: {
+    type: String,
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true
+  },
+  title: String,
+  url: String,
+  // Commit the review was made for; comments are anchored to it
+  headSha: {
+    type: String,
+    required: true
+  },
+  headRef: String,
+  baseRef: String,
+  files: [{
+    _id: false,
+    path: String,
+    status: String,
+    additions: Number,
+    deletions: Number
+  }],
+  // Files left out of the review (removed, binary, no diff)
+  skippedFiles: [{
+    _id: false,
+    path: String,
+    reason: String
+  }],
+  // Rule findings on added lines
+  findings: [{
+    _id: false,
+    filePath: String,
+    line: Number,
+    column: Number,
+    ruleId: String,
+    type: { type: String },
+    description: String,
+    severity: String
+  }],
+  summary: String,
+  comments: [{
+    _id: false,
+    filePath: String,
+    // Line in the new version of the file
+    line: Number,
+    severity: {
+      type: String,
+      enum: REVIEW_SEVERITIES
+    },
+    body: String,
+    // Whether the line is part of the diff; only those can be posted inline
+    anchored: Boolean
+  }],
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  provider: String,
+  model: String,
+  promptHash: String,
+  attempts: Number,
+  usage: {
+    promptTokens: Number,
+    completionTokens: Number
+  },
+  // Estimated USD; null when the model has no known price
+  estimatedCost: Number,
+  // Pending review created on GitHub from this result
+  posted: {
+    reviewId: Number,
+    url: String,
+    comments: Number,
+    postedAt: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PullRequestReviewSchema.index({ repository: 1, number: 1, createdAt: -1 });
+
+export default mongoose.model('PullRequestReview', PullRequestReviewSchema);
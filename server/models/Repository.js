@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+export const REPOSITORY_VISIBILITIES = ['public', 'private', 'internal'];
+
+/**
+ * A registered repository. Its identity is the lower-cased host/owner/name,
+ * so every spelling of a repository URL (trailing slash, .git, SSH remote,
+ * different case) maps to the same document.
+ */
+const RepositorySchema = new mongoose.Schema({
+  // host/owner/name, lower case
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  host: {
+    type: String,
+    required: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Canonical URL, https://host/owner/name; stored on issues and used for API calls
+  url: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['github', 'gitlab'],
+    default: 'github'
+  },
+  // owner/name as spelled by the host
+  fullName: String,
+  defaultBranch: String,
+  visibility: {
+    type: String,
+    enum: REPOSITORY_VISIBILITIES
+  },
+  // When metadata (fullName, defaultBranch, visibility) was last read from the host
+  metadataSyncedAt: Date,
+  lastSyncedAt: Date,
+  lastScannedAt: Date,
+  lastScanJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScanJob'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RepositorySchema.index({ host: 1, owner: 1 });
+
+RepositorySchema.pre('findOneAndUpdate', function(next) {
+  this.set({ updatedAt: new Date() });
+  next();
+});
+
+export default mongoose.model('Repository', RepositorySchema);
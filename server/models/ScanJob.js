@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+export const SCAN_JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+const ScanJobSchema = new mongoose.Schema({
+  repositoryUrl: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // User who submitted the scan; their tokens are used to read the repository
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // File selection and rule options the scan was submitted with
+  options: {
+    include: [String],
+    exclude: [String],
+    maxFiles: Number,
+    useCache: Boolean,
+    disabledRules: [String],
+    enabledRules: [String],
+    severityOverrides: {
+      type: Map,
+      of: String
+    }
+  },
+  status: {
+    type: String,
+    enum: SCAN_JOB_STATUSES,
+    default: 'queued'
+  },
+  progress: {
+    totalFiles: {
+      type: Number,
+      default: 0
+    },
+    processedFiles: {
+      type: Number,
+      default: 0
+    },
+    // Files whose findings came from the blob cache
+    cachedFiles: {
+      type: Number,
+      default: 0
+    },
+    findings: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Set by a cancel request while the job is running; the worker stops at the next file
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  // Number of times a worker picked the job up (more than one after a restart)
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Worker running the job, and until when its claim holds; the worker renews it
+  // while the job runs, and other workers take over jobs whose lease expired
+  owner: String,
+  leaseExpiresAt: Date,
+  // Summary only: the findings are stored as ScanResults
+  result: {
+    filesAnalyzed: Number,
+    totalFiles: Number,
+    cachedFiles: Number,
+    // The first files that failed or were skipped; the counts cover all of them
+    failedFiles: [{ _id: false, path: String, error: String }],
+    skippedFiles: [{ _id: false, path: String, reason: String }],
+    failedCount: Number,
+    skippedCount: Number,
+    // Number of ScanResults, each saved as an AI issue
+    resultCount: Number
+  },
+  error: String,
+  startedAt: Date,
+  finishedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ScanJobSchema.index({ status: 1, createdAt: 1 });
+ScanJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+ScanJobSchema.index({ repositoryUrl: 1, createdAt: -1 });
+
+ScanJobSchema.pre('findOneAndUpdate', function(next) {
+  this.set({ updatedAt: new Date() });
+  next();
+});
+
+export default mongoose.model('ScanJob', ScanJobSchema);
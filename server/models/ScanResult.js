@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+/**
+ * One finding group of a background scan job: the matches of one rule in one
+ * file. Kept apart from the ScanJob so large repositories don't push the job
+ * document past MongoDB's size limit.
+ */
+const ScanResultSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScanJob',
+    required: true
+  },
+  repositoryUrl: String,
+  filePath: String,
+  ruleId: String,
+  issueType: String,
+  description: String,
+  severity: String,
+  lineNumbers: [Number],
+  locations: [{ _id: false, line: Number, column: Number }],
+  // AI issue the finding was saved as
+  issueNumber: String
+});
+
+ScanResultSchema.index({ job: 1, filePath: 1 });
+ScanResultSchema.index({ repositoryUrl: 1 });
+
+export default mongoose.model('ScanResult', ScanResultSchema);
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+const SyncStateSchema = new mongoose.Schema({
+  repositoryUrl: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // High-water mark: latest updated_at seen on GitHub, sent back as `since`
+  issuesSince: {
+    type: Date,
+    default: null
+  },
+  // ETag of the last issues listing, sent back as If-None-Match
+  issuesEtag: {
+    type: String,
+    default: null
+  },
+  // `since` the ETag's listing was requested with; the ETag is only valid for that listing
+  issuesEtagSince: {
+    type: Date,
+    default: null
+  },
+  lastSyncedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+export default mongoose.model('SyncState', SyncStateSchema);
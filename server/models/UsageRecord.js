@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+export const USAGE_OPERATIONS = ['analysis', 'triage', 'review'];
+
+/**
+ * Ledger entry for one LLM operation: the tokens of every call it made
+ * (repair attempts included, failed operations too) and their estimated cost.
+ */
+const UsageRecordSchema = new mongoose.Schema({
+  repository: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repository',
+    required: true
+  },
+  repositoryUrl: String,
+  // Caller the operation ran for; unset for anonymous requests and webhooks
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  operation: {
+    type: String,
+    enum: USAGE_OPERATIONS,
+    required: true
+  },
+  provider: String,
+  model: String,
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // LLM calls made, including repair attempts
+  calls: Number,
+  // Whether a valid response came back
+  succeeded: Boolean,
+  // Estimated USD; null when the model has no known price
+  estimatedCost: Number,
+  promptHash: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+UsageRecordSchema.index({ createdAt: -1 });
+UsageRecordSchema.index({ repository: 1, createdAt: -1 });
+UsageRecordSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model('UsageRecord', UsageRecordSchema);
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+export const HOST_TOKEN_SOURCES = ['oauth', 'pat'];
+
+/**
+ * A user of the API, identified by their account on a code host. Users call
+ * the API with API keys and may store their own host tokens, which are used
+ * instead of the server's so private repositories they can see work too.
+ */
+const UserSchema = new mongoose.Schema({
+  // Host the account belongs to, e.g. github.com
+  host: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  login: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  name: String,
+  apiKeys: [{
+    name: String,
+    // First characters of the key, to tell keys apart
+    prefix: String,
+    // SHA-256 of the key; the key itself is only shown when created
+    hash: {
+      type: String,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: Date,
+    revokedAt: Date
+  }],
+  hostTokens: [{
+    _id: false,
+    host: {
+      type: String,
+      required: true
+    },
+    source: {
+      type: String,
+      enum: HOST_TOKEN_SOURCES
+    },
+    // Account the token belongs to on that host
+    login: String,
+    scopes: [String],
+    // Encrypted with TOKEN_ENCRYPTION_KEY (see TokenCipher)
+    encryptedToken: {
+      type: String,
+      required: true
+    },
+    // Last characters of the token, to recognise it
+    hint: String,
+    createdAt: Date,
+    updatedAt: Date
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform(doc, ret) {
+      ret.apiKeys = (ret.apiKeys || []).map(({ hash, ...key }) => key);
+      ret.hostTokens = (ret.hostTokens || []).map(({ encryptedToken, ...token }) => token);
+      return ret;
+    }
+  }
+});
+
+UserSchema.index({ host: 1, login: 1 }, { unique: true });
+UserSchema.index({ 'apiKeys.hash': 1 });
+
+UserSchema.pre('findOneAndUpdate', function(next) {
+  this.set({ updatedAt: new Date() });
+  next();
+});
+
+export default mongoose.model('User', UserSchema);
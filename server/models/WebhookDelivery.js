@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+export const WEBHOOK_DELIVERY_STATUSES = ['processing', 'processed', 'ignored', 'failed'];
+export const AUTO_ANALYSIS_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// Deliveries are kept long enough to recognise redeliveries, then expire
+const DELIVERY_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const WebhookDeliverySchema = new mongoose.Schema({
+  // X-GitHub-Delivery header; the same ID is sent again on redelivery
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  action: String,
+  repositoryUrl: String,
+  issueNumber: Number,
+  status: {
+    type: String,
+    enum: WEBHOOK_DELIVERY_STATUSES,
+    default: 'processing'
+  },
+  // Why an event was ignored, or what processing changed
+  result: String,
+  error: String,
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  // Automatic analysis started by the delivery, if a repo rule matched
+  analysis: {
+    type: new mongoose.Schema({
+      status: {
+        type: String,
+        enum: AUTO_ANALYSIS_STATUSES,
+        default: 'queued'
+      },
+      provider: String,
+      model: String,
+      solution: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AISolution'
+      },
+      error: String,
+      finishedAt: Date
+    }, { _id: false }),
+    default: undefined
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date
+});
+
+WebhookDeliverySchema.index({ receivedAt: 1 }, { expireAfterSeconds: DELIVERY_TTL_SECONDS });
+WebhookDeliverySchema.index({ repositoryUrl: 1, receivedAt: -1 });
+
+export default mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -1,4 +1,13 @@
 import Issue from './Issue.js';
 import AISolution from './AISolution.js';
+import SyncState from './SyncState.js';
+import ScanJob from './ScanJob.js';
+import ScanResult from './ScanResult.js';
+import FileBlob from './FileBlob.js';
+import WebhookDelivery from './WebhookDelivery.js';
+import Repository from './Repository.js';
+import PullRequestReview from './PullRequestReview.js';
+import User from './User.js';
+import UsageRecord from './UsageRecord.js';
 
-export { Issue, AISolution };
\ No newline at end of file
+export { Issue, AISolution, SyncState, ScanJob, ScanResult, FileBlob, WebhookDelivery, Repository, PullRequestReview, User, UsageRecord };
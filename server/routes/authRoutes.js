@@ -0,0 +1,219 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { GitHubDeviceFlow } from '../services/index.js';
+import { authService, forgetAccess, requireUser } from '../middleware/auth.js';
+import { GITHUB_OAUTH_CLIENT_ID, GITHUB_OAUTH_URL } from '../config.js';
+
+const router = express.Router();
+const deviceFlow = new GitHubDeviceFlow(GITHUB_OAUTH_CLIENT_ID, { baseUrl: GITHUB_OAUTH_URL });
+
+/**
+ * Read the host account a token belongs to
+ * @param {Object} req - Express request (after authenticate)
+ * @param {string} host - Host name
+ * @param {string} token - Host token
+ * @returns {Promise<Object>} - { login, id, name, scopes }
+ * @throws {Error} - With status 400 for unknown hosts and 401 for tokens the host rejects
+ */
+async function accountOf(req, host, token) {
+  try {
+    return await req.hosts.clientFor(host, token).fetchAuthenticatedUser();
+  } catch (err) {
+    if (err.status === 401 || err.status === 403) {
+      const error = new Error(`${host} rejected the token`);
+      error.status = 401;
+      throw error;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Store a token for a host: for the calling user, or for the token's account
+ * (signing them in) when the caller is anonymous
+ * @param {Object} req - Express request (after authenticate)
+ * @param {string} host - Host name
+ * @param {string} token - Host token
+ * @param {string} source - 'oauth'|'pat'
+ * @param {Array<string>} scopes - Scopes granted to the token, when known
+ * @returns {Promise<Object>} - { user, created, apiKey? }: apiKey is set when signing in
+ */
+async function storeToken(req, host, token, source, scopes) {
+  authService.cipher.assertConfigured();
+  const account = await accountOf(req, host, token);
+
+  if (req.user) {
+    if (host === req.user.host && account.login.toLowerCase() !== req.user.login) {
+      const error = new Error(`The token belongs to ${account.login}, not ${req.user.login}`);
+      error.status = 409;
+      throw error;
+    }
+
+    const user = await authService.setHostToken(req.user, host, token, { source, login: account.login, scopes: scopes || account.scopes });
+    forgetAccess(user);
+    return { user, created: false };
+  }
+
+  let user = await authService.findOrCreateUser(host, account);
+  const created = user.apiKeys.length === 0;
+  user = await authService.setHostToken(user, host, token, { source, login: account.login, scopes: scopes || account.scopes });
+  forgetAccess(user);
+
+  const { key } = await authService.createApiKey(user, req.body?.keyName || `${source === 'oauth' ? 'Device' : 'Token'} sign-in`);
+  return { user, created, apiKey: key };
+}
+
+/**
+ * @route   POST /api/auth/device
+ * @desc    Start signing in with GitHub (OAuth device flow). Show the user the
+ *          code and verification URL, then poll /api/auth/device/token.
+ * @access  Public
+ */
+router.post('/device', async (req, res) => {
+  try {
+    res.json(await deviceFlow.start());
+  } catch (error) {
+    console.error('Error starting GitHub sign-in:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/device/token
+ * @desc    Finish signing in with GitHub once the user entered the code. While
+ *          they haven't, answers 202 with the interval to wait before asking
+ *          again. Signed-in callers link the GitHub token to their account;
+ *          anonymous callers are signed in and get an API key, shown once.
+ * @body    deviceCode - from /api/auth/device
+ *          keyName - optional, label for the new API key
+ * @access  Public
+ */
+router.post('/device/token', async (req, res) => {
+  try {
+    if (!req.body?.deviceCode) {
+      return res.status(400).json({ message: 'deviceCode is required' });
+    }
+
+    const result = await deviceFlow.poll(req.body.deviceCode);
+    if (result.status !== 'authorized') {
+      return res.status(202).json(result);
+    }
+
+    const { user, created, apiKey } = await storeToken(req, deviceFlow.host, result.token, 'oauth', result.scopes);
+    res.status(created ? 201 : 200).json({ user, ...(apiKey && { apiKey }) });
+  } catch (error) {
+    console.error('Error finishing GitHub sign-in:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Sign in with a personal access token: the token's account becomes
+ *          the user (created on first use), the token is stored for them and
+ *          a new API key is returned, shown once.
+ * @body    token - Personal access token
+ *          host - Host the token is for (default github.com)
+ *          keyName - optional, label for the new API key
+ * @access  Public
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { token, host = 'github.com' } = req.body || {};
+    if (!token) {
+      return res.status(400).json({ message: 'token is required' });
+    }
+    if (req.user) {
+      return res.status(409).json({ message: 'Already signed in; use PUT /api/auth/tokens/:host to add a token' });
+    }
+
+    const { user, created, apiKey } = await storeToken(req, String(host).toLowerCase(), token, 'pat');
+    res.status(created ? 201 : 200).json({ user, apiKey });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the calling user with their API keys and stored tokens (without secrets)
+ * @access  Authenticated users
+ */
+router.get('/me', requireUser, (req, res) => {
+  res.json(req.user);
+});
+
+/**
+ * @route   POST /api/auth/keys
+ * @desc    Create another API key, e.g. for a second browser. The key is only shown in this response.
+ * @body    name - Label for the key
+ * @access  Authenticated users
+ */
+router.post('/keys', requireUser, async (req, res) => {
+  try {
+    const { key, apiKey } = await authService.createApiKey(req.user, req.body?.name || 'default');
+    res.status(201).json({ ...apiKey, key });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/keys/:keyId
+ * @desc    Revoke an API key
+ * @access  Authenticated users
+ */
+router.delete('/keys/:keyId', requireUser, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.keyId) || !(await authService.revokeApiKey(req.user, req.params.keyId))) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/auth/tokens/:host
+ * @desc    Store a personal access token for a host, replacing an earlier one.
+ *          It is used instead of the server's token for the user's requests.
+ * @body    token - Personal access token
+ * @access  Authenticated users
+ */
+router.put('/tokens/:host', requireUser, async (req, res) => {
+  try {
+    if (!req.body?.token) {
+      return res.status(400).json({ message: 'token is required' });
+    }
+
+    const { user } = await storeToken(req, req.params.host.toLowerCase(), req.body.token, 'pat');
+    res.json(user);
+  } catch (error) {
+    console.error('Error storing host token:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/tokens/:host
+ * @desc    Remove the stored token for a host
+ * @access  Authenticated users
+ */
+router.delete('/tokens/:host', requireUser, async (req, res) => {
+  try {
+    if (!(await authService.removeHostToken(req.user, req.params.host))) {
+      return res.status(404).json({ message: 'No token stored for this host' });
+    }
+    forgetAccess(req.user);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error removing host token:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+export default router;
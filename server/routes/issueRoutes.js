@@ -1,101 +1,544 @@
 import express from 'express';
-import { Issue, AISolution } from '../models/index.js';
-import { GitHubService, IssueAnalyzerService, GeminiService } from '../services/index.js';
-import { GITHUB_TOKEN, GEMINI_API_KEY } from '../config.js';
+import { Issue, AISolution, SyncState } from '../models/index.js';
+import { SOLUTION_RATINGS, SNIPPET_FEEDBACK_STATUSES } from '../models/AISolution.js';
+import { HostRegistry, IssueAnalyzerService, AIService, FileRetrievalService, ContextBudgetService, PatchService, SecretScanner, SimilarityService, SolutionDiffService, MarkdownService, PullRequestService, RepositoryService } from '../services/index.js';
+import { getProvider, isKnownProvider, resolveProviderSelection } from '../services/llm/index.js';
+import { listComponents, matchComponent } from '../services/codeFiles.js';
+import { ISSUE_TYPES, ISSUE_PRIORITIES } from '../services/solutionSchema.js';
+import { SCM_HOSTS, LLM_CONTEXT_BUDGET_TOKENS, LLM_REPO_SETTINGS, SECRET_ALLOWLIST } from '../config.js';
+import { findRepository, resolveRepository, userClient } from '../middleware/auth.js';
+import { usageMeter } from './usageRoutes.js';
 
 const router = express.Router();
-const issueAnalyzer = new IssueAnalyzerService();
+const secretScanner = new SecretScanner(SECRET_ALLOWLIST);
+const issueAnalyzer = new IssueAnalyzerService({ secretScanner });
 
-// Initialize services with API tokens from config
-console.log('GitHub Token in routes:', GITHUB_TOKEN ? 'Token exists' : 'Token missing');
-const githubService = new GitHubService(GITHUB_TOKEN);
-const geminiService = new GeminiService(GEMINI_API_KEY);
+// Initialize services with API tokens from config; requests use the caller's clients (req.hosts)
+const hosts = new HostRegistry(SCM_HOSTS);
+const repositories = new RepositoryService(hosts);
+const contextBudget = new ContextBudgetService({ budgetTokens: LLM_CONTEXT_BUDGET_TOKENS });
+const patchService = new PatchService();
+const similarityService = new SimilarityService();
+const solutionDiff = new SolutionDiffService();
+const markdownService = new MarkdownService();
+
+// Per-repo LLM settings may be keyed by any spelling of a repository URL
+const llmRepoSettings = Object.fromEntries(
+  Object.entries(LLM_REPO_SETTINGS).map(([repoUrl, settings]) => {
+    try {
+      return [repositories.identify(repoUrl).url, settings];
+    } catch (err) {
+      return [repoUrl, settings];
+    }
+  })
+);
+
+const ISSUE_STATES = ['open', 'closed', 'all'];
+const ISSUE_SORT_FIELDS = { created: 'createdAt', updated: 'updatedAt', comments: 'commentsCount' };
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Provider and model requested in the body or query string
+ * @param {Object} req - Express request
+ * @returns {Object} - { provider, model }
+ */
+export function requestedProvider(req) {
+  return {
+    provider: req.body?.provider || req.query.provider,
+    model: req.body?.model || req.query.model
+  };
+}
+
+/**
+ * Create an AIService for the requested provider/model, the repo config or
+ * the global default
+ * @param {string} repoUrl - Repository URL
+ * @param {Object} requested - { provider, model }, both optional
+ * @param {Object} meter - { repository, user }: record the service's usage in the ledger for them
+ * @returns {AIService|null} - Service, or null when the provider is unknown
+ */
+export function createAIService(repoUrl, requested = {}, { repository = null, user = null } = {}) {
+  const selection = resolveProviderSelection(repoUrl, requested, llmRepoSettings);
+
+  if (!isKnownProvider(selection.provider)) return null;
+  return new AIService(getProvider(selection.provider, selection.model), {
+    redactor: secretScanner,
+    onUsage: repository ? entry => usageMeter.record({ ...entry, repository, user }) : null
+  });
+}
+
+/**
+ * A query parameter that may be repeated (?labels=a&labels=b) or comma
+ * separated (?labels=a,b), as a list
+ * @param {string|Array<string>|undefined} value - Query parameter
+ * @returns {Array<string>} - Values, trimmed and without empty ones
+ */
+function queryList(value) {
+  return [].concat(value ?? [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * A single-valued query parameter; the first value when it was repeated
+ * @param {string|Array<string>|undefined} value - Query parameter
+ * @returns {string|undefined} - Value
+ */
+function queryValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Build a MongoDB filter for stored issues from request query parameters
+ * @param {Document} repository - Repository
+ * @param {Object} query - Express request query
+ * @returns {Object} - Mongoose filter
+ */
+function buildIssueFilter(repository, query) {
+  const filter = { repository: repository._id };
+  const state = queryValue(query.state);
+  const assignee = queryValue(query.assignee);
+  const milestone = queryValue(query.milestone);
+  const since = queryValue(query.since);
+
+  if (state && state !== 'all') {
+    filter.state = state;
+  }
+
+  const labels = queryList(query.labels);
+  if (labels.length > 0) {
+    filter.labels = { $all: labels };
+  }
+
+  if (assignee === 'none') {
+    filter.assignees = { $size: 0 };
+  } else if (assignee === '*') {
+    filter['assignees.0'] = { $exists: true };
+  } else if (assignee) {
+    filter.assignees = assignee;
+  }
+
+  if (milestone === 'none') {
+    filter['milestone.number'] = { $exists: false };
+  } else if (milestone === '*') {
+    filter['milestone.number'] = { $exists: true };
+  } else if (milestone) {
+    if (/^\d+$/.test(milestone)) {
+      filter['milestone.number'] = parseInt(milestone, 10);
+    } else {
+      filter['milestone.title'] = milestone;
+    }
+  }
+
+  if (since) {
+    filter.updatedAt = { $gte: new Date(since) };
+  }
+
+  // Triage classification filters
+  const types = queryList(query.type);
+  const priorities = queryList(query.priority);
+  const component = queryValue(query.component);
+  const minConfidence = queryValue(query.minConfidence);
+  const triaged = queryValue(query.triaged);
+  if (types.length > 0) filter['triage.type'] = { $in: types };
+  if (priorities.length > 0) filter['triage.priority'] = { $in: priorities };
+  if (component) filter['triage.component'] = component;
+  if (minConfidence !== undefined) filter['triage.confidence'] = { $gte: Number(minConfidence) };
+  if (triaged === 'true') filter['triage.type'] = filter['triage.type'] || { $exists: true };
+  if (triaged === 'false') filter['triage.type'] = { $exists: false };
+
+  return filter;
+}
+
+/**
+ * Incrementally sync a repository's issues from GitHub into the database.
+ * Uses the stored high-water mark as `since` and the stored ETag for a
+ * conditional request, then bulk-upserts only issues that actually changed.
+ * @param {Document} repository - Repository
+ * @param {HostRegistry} hosts - Clients to read the issues with
+ * @returns {Promise<Object>} - Sync summary
+ */
+async function syncRepositoryIssues(repository, hosts) {
+  const repoUrl = repository.url;
+  const syncState = await SyncState.findOne({ repositoryUrl: repoUrl });
+  const since = syncState?.issuesSince || null;
+
+  // An ETag only matches the listing it came from, so it is sent when `since` has not moved
+  const etagMatchesSince = (syncState?.issuesEtagSince?.getTime() ?? null) === (since?.getTime() ?? null);
+
+  const { notModified, etag, issues: githubIssues } = await hosts.forRepo(repoUrl).fetchIssueUpdates(repoUrl, {
+    state: 'all',
+    since,
+    etag: etagMatchesSince ? syncState?.issuesEtag : null
+  });
+
+  if (notModified) {
+    await SyncState.updateOne(
+      { repositoryUrl: repoUrl },
+      { lastSyncedAt: new Date() }
+    );
+    await repositories.touch(repository, { lastSyncedAt: new Date() });
+    return { status: 'not-modified', fetched: 0, upserted: 0 };
+  }
+
+  // Skip issues whose stored copy is already up to date
+  const stored = await Issue.find(
+    { repository: repository._id, issueNumber: { $in: githubIssues.map(issue => issue.issueNumber) } },
+    { issueNumber: 1, updatedAt: 1, 'comments.body': 1 }
+  );
+  const storedUpdatedAt = new Map(stored.map(issue => [issue.issueNumber, issue.updatedAt?.getTime()]));
+  const storedComments = new Map(stored.map(issue => [issue.issueNumber, issue.comments]));
+
+  const changedIssues = githubIssues.filter(issue =>
+    storedUpdatedAt.get(issue.issueNumber) !== new Date(issue.updatedAt).getTime()
+  );
+
+  const operations = changedIssues.map(issue => {
+    // Merged with the stored comments' references, as syncIssueDetails stores them
+    const fileReferences = issueAnalyzer.extractIssueFileReferences({
+      body: issue.body,
+      comments: storedComments.get(issue.issueNumber)
+    });
+    const update = Issue.withIndexFields({
+      repository: repository._id,
+      repositoryUrl: repoUrl,
+      issueNumber: issue.issueNumber,
+      title: issue.title,
+      body: issue.body,
+      state: issue.state,
+      labels: issue.labels,
+      assignees: issue.assignees,
+      milestone: issue.milestone,
+      commentsCount: issue.commentsCount,
+      fileReferences,
+      createdAt: new Date(issue.createdAt),
+      updatedAt: new Date(issue.updatedAt)
+    });
+
+    return {
+      updateOne: {
+        filter: { repository: repository._id, issueNumber: issue.issueNumber },
+        update: { $set: update },
+        upsert: true
+      }
+    };
+  });
+
+  if (operations.length > 0) {
+    await Issue.bulkWrite(operations, { ordered: false });
+  }
+
+  // Advance the high-water mark to the newest update we have seen
+  const newest = githubIssues.reduce(
+    (latest, issue) => Math.max(latest, new Date(issue.updatedAt).getTime()),
+    since?.getTime() || 0
+  );
+
+  await SyncState.findOneAndUpdate(
+    { repositoryUrl: repoUrl },
+    {
+      repositoryUrl: repoUrl,
+      issuesSince: newest ? new Date(newest) : null,
+      issuesEtag: etag,
+      issuesEtagSince: since,
+      lastSyncedAt: new Date()
+    },
+    { upsert: true }
+  );
+  await repositories.touch(repository, { lastSyncedAt: new Date() });
+
+  return { status: 'updated', fetched: githubIssues.length, upserted: operations.length };
+}
+
+/**
+ * Fetch an issue with its comments and linked references from GitHub and
+ * upsert it into the database
+ * @param {Document} repository - Repository
+ * @param {number} issueNumber - Issue number
+ * @param {HostRegistry} hosts - Clients to read the issue with
+ * @returns {Promise<Object>} - Stored Issue document
+ */
+async function syncIssueDetails(repository, issueNumber, hosts) {
+  const githubIssue = await hosts.forRepo(repository.url).fetchIssueDetails(repository.url, issueNumber);
+  const fileReferences = issueAnalyzer.extractIssueFileReferences(githubIssue);
+
+  return Issue.findOneAndUpdate(
+    { repository: repository._id, issueNumber },
+    {
+      repository: repository._id,
+      repositoryUrl: repository.url,
+      issueNumber: githubIssue.issueNumber,
+      title: githubIssue.title,
+      body: githubIssue.body,
+      state: githubIssue.state,
+      labels: githubIssue.labels,
+      assignees: githubIssue.assignees,
+      milestone: githubIssue.milestone,
+      commentsCount: githubIssue.commentsCount,
+      comments: githubIssue.comments,
+      linkedReferences: githubIssue.linkedReferences,
+      discussionSyncedAt: new Date(),
+      fileReferences,
+      createdAt: new Date(githubIssue.createdAt),
+      updatedAt: new Date(githubIssue.updatedAt)
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Rank the other stored issues of the issue's repository by similarity to it,
+ * refreshing any stale cached vectors first
+ * @param {Object} issue - Issue document
+ * @param {Object} options - { limit, minScore }
+ * @returns {Promise<Array>} - [{ issue, score, textScore, sharedFiles }]
+ */
+async function findSimilarIssues(issue, options) {
+  const issues = await Issue.find({ repository: issue.repository }).select('+similarity');
+
+  const operations = similarityService.refreshVectors(issues);
+  if (operations.length > 0) {
+    await Issue.bulkWrite(operations, { ordered: false });
+  }
+
+  const target = issues.find(candidate => candidate._id.equals(issue._id));
+  const candidates = issues.filter(candidate => !candidate._id.equals(issue._id));
+  if (!target) return [];
+
+  return similarityService.rankSimilar(target, candidates, options);
+}
+
+/**
+ * Find a stored issue from route parameters
+ * @param {Object} req - Express request with repoUrl and issueNumber params
+ * @returns {Promise<Document|null>} - Issue, or null when missing or not readable by the caller
+ */
+async function findStoredIssue(req) {
+  const repository = await findRepository(req);
+  if (!repository) return null;
+
+  const issueNumber = /^\d+$/.test(req.params.issueNumber) ? parseInt(req.params.issueNumber, 10) : req.params.issueNumber;
+  return Issue.findOne({ repository: repository._id, issueNumber });
+}
+
+/**
+ * Current solution of each issue: the pinned or latest version
+ * @param {Array<Document>} issues - Issues
+ * @returns {Promise<Map<string, Document>>} - Solutions by issue ID
+ */
+async function findCurrentSolutions(issues) {
+  const solutions = await AISolution.find({ issue: { $in: issues.map(issue => issue._id) } })
+    .sort({ version: -1, createdAt: -1 });
+
+  const current = new Map();
+  for (const issue of issues) {
+    const versions = solutions.filter(solution => solution.issue.equals(issue._id));
+    const pointed = issue.currentSolution && versions.find(solution => solution._id.equals(issue.currentSolution));
+    if (pointed || versions.length > 0) {
+      current.set(String(issue._id), pointed || versions[0]);
+    }
+  }
+  return current;
+}
+
+/**
+ * Allocate the next solution version of an issue. The counter on the issue is
+ * incremented atomically, so concurrent analyses never get the same version.
+ * @param {Document} issue - Issue
+ * @returns {Promise<number>} - Version number
+ */
+async function nextSolutionVersion(issue) {
+  // Issues analyzed before the counter existed start it from their latest version
+  const latest = await AISolution.findOne({ issue: issue._id }).sort({ version: -1 }).select('version');
+  await Issue.updateOne(
+    { _id: issue._id, lastSolutionVersion: { $exists: false } },
+    { lastSolutionVersion: latest?.version || 0 }
+  );
+
+  const updated = await Issue.findOneAndUpdate(
+    { _id: issue._id },
+    { $inc: { lastSolutionVersion: 1 } },
+    { new: true, projection: { lastSolutionVersion: 1 } }
+  );
+  return updated.lastSolutionVersion;
+}
+
+/**
+ * Find one solution version of an issue
+ * @param {Document} issue - Issue
+ * @param {string|number} version - Version number
+ * @returns {Promise<Document|null>} - Solution
+ */
+async function findSolutionVersion(issue, version) {
+  const number = parseInt(version, 10);
+  if (!Number.isInteger(number)) return null;
+
+  // Solutions saved before versioning have no version field and count as version 1
+  const filter = number === 1
+    ? { issue: issue._id, $or: [{ version: 1 }, { version: { $exists: false } }] }
+    : { issue: issue._id, version: number };
+  return AISolution.findOne(filter);
+}
+
+/**
+ * Find the solution version a request refers to, defaulting to the current one
+ * @param {Document} issue - Issue
+ * @param {string|number} version - Requested version, if any
+ * @returns {Promise<Document|null>} - Solution
+ */
+async function findRequestedSolution(issue, version) {
+  if (version !== undefined && version !== null && version !== '') {
+    return findSolutionVersion(issue, version);
+  }
+  return (await findCurrentSolutions([issue])).get(String(issue._id)) || null;
+}
+
+/**
+ * Collect what the user rejected in earlier analyses of an issue, to guide the next one
+ * @param {Document} issue - Issue
+ * @param {number} limit - Maximum number of items, newest first
+ * @returns {Promise<Array>} - [{ kind: 'solution'|'snippet', filePath, suggestedCode, reason }]
+ */
+async function collectRejections(issue, limit = 10) {
+  const solutions = await AISolution.find({
+    issue: issue._id,
+    $or: [{ 'feedback.rating': 'unhelpful' }, { 'codeSnippets.feedback.status': 'rejected' }]
+  })
+    .select('feedback codeSnippets.filePath codeSnippets.suggestedCode codeSnippets.feedback')
+    .sort({ version: -1 });
+
+  const rejections = [];
+  for (const solution of solutions) {
+    if (solution.feedback && solution.feedback.rating === 'unhelpful') {
+      rejections.push({ kind: 'solution', reason: solution.feedback.comment });
+    }
+    for (const snippet of solution.codeSnippets) {
+      if (snippet.feedback && snippet.feedback.status === 'rejected') {
+        rejections.push({
+          kind: 'snippet',
+          filePath: snippet.filePath,
+          suggestedCode: snippet.suggestedCode,
+          reason: snippet.feedback.reason
+        });
+      }
+    }
+  }
+  return rejections.slice(0, limit);
+}
 
 /**
  * @route   GET /api/issues/:repoUrl
- * @desc    Get all issues for a repository
- * @access  Public
+ * @desc    Get issues for a repository, with filtering and pagination. The
+ *          body is the page of issues; the total, page and sync outcome are in
+ *          the X-Total-Count, X-Page, X-Per-Page, X-Total-Pages and X-Sync-Status headers.
+ * @query   state (open|closed|all), labels (comma separated or repeated), assignee, milestone,
+ *          since (ISO date), sort (created|updated|comments), direction (asc|desc),
+ *          type, priority (comma separated or repeated), component, minConfidence (0-1), triaged (true|false),
+ *          page, limit, refresh (incremental sync from GitHub)
+ * @access  Repository readers
  */
 router.get('/:repoUrl', async (req, res) => {
   try {
-    const repoUrl = decodeURIComponent(req.params.repoUrl);
-    
-    // Check if we already have issues for this repo in the database
-    let issues = await Issue.find({ repositoryUrl: repoUrl }).sort({ createdAt: -1 });
-    
-    // If no issues in DB or force refresh requested, fetch from GitHub
-    if (issues.length === 0 || req.query.refresh === 'true') {
-      const githubIssues = await githubService.fetchIssues(repoUrl);
-      
-      // Process each issue to extract file references
-      const processedIssues = githubIssues.map(issue => {
-        const fileReferences = issueAnalyzer.extractFileReferences(issue.body);
-        return {
-          repositoryUrl: repoUrl,
-          issueNumber: issue.issueNumber,
-          title: issue.title,
-          body: issue.body,
-          state: issue.state,
-          fileReferences,
-          createdAt: new Date(issue.createdAt),
-          updatedAt: new Date(issue.updatedAt)
-        };
-      });
-      
-      // Save to database (upsert)
-      for (const issue of processedIssues) {
-        await Issue.findOneAndUpdate(
-          { repositoryUrl: issue.repositoryUrl, issueNumber: issue.issueNumber },
-          issue,
-          { upsert: true, new: true }
-        );
+    const state = queryValue(req.query.state);
+    const since = queryValue(req.query.since);
+    const sort = queryValue(req.query.sort);
+    const direction = queryValue(req.query.direction);
+
+    if (state && !ISSUE_STATES.includes(state)) {
+      return res.status(400).json({ message: `Invalid state: ${state}` });
+    }
+    if (sort && !ISSUE_SORT_FIELDS[sort]) {
+      return res.status(400).json({ message: `Invalid sort field: ${sort}` });
+    }
+    if (since && isNaN(new Date(since).getTime())) {
+      return res.status(400).json({ message: `Invalid since date: ${since}` });
+    }
+    const invalidType = queryList(req.query.type).find(type => !ISSUE_TYPES.includes(type));
+    if (invalidType) {
+      return res.status(400).json({ message: `Invalid type: ${invalidType}` });
+    }
+    const invalidPriority = queryList(req.query.priority).find(priority => !ISSUE_PRIORITIES.includes(priority));
+    if (invalidPriority) {
+      return res.status(400).json({ message: `Invalid priority: ${invalidPriority}` });
+    }
+    const minConfidence = queryValue(req.query.minConfidence);
+    if (minConfidence !== undefined && (String(minConfidence).trim() === '' || !(Number(minConfidence) >= 0 && Number(minConfidence) <= 1))) {
+      return res.status(400).json({ message: `Invalid minConfidence (a number from 0 to 1): ${minConfidence}` });
+    }
+
+    const page = Math.max(parseInt(queryValue(req.query.page), 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(queryValue(req.query.limit), 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    // Sync from GitHub if there are no issues in DB yet or a refresh was requested
+    let sync = { status: 'skipped' };
+    const repository = await resolveRepository(req);
+    const storedCount = await Issue.countDocuments({ repository: repository._id });
+
+    if (storedCount === 0 || queryValue(req.query.refresh) === 'true') {
+      try {
+        sync = await syncRepositoryIssues(repository, req.hosts);
+      } catch (syncError) {
+        // Serve what we have instead of failing when GitHub is rate limiting us
+        if (!syncError.rateLimited) throw syncError;
+        console.warn(`Issue sync for ${repository.url} skipped: ${syncError.message}`);
+        sync = { status: 'rate-limited', message: syncError.message };
       }
-      
-      // Fetch updated issues from database
-      issues = await Issue.find({ repositoryUrl: repoUrl }).sort({ createdAt: -1 });
     }
-    
+
+    const filter = buildIssueFilter(repository, req.query);
+    const sortField = ISSUE_SORT_FIELDS[sort] || 'createdAt';
+    const sortOrder = direction === 'asc' ? 1 : -1;
+
+    const [issues, total] = await Promise.all([
+      Issue.find(filter)
+        .sort({ [sortField]: sortOrder })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Issue.countDocuments(filter)
+    ]);
+
+    // The body stays a plain array, as the extension expects; paging goes in headers
+    const pagination = {
+      'X-Total-Count': total,
+      'X-Page': page,
+      'X-Per-Page': limit,
+      'X-Total-Pages': Math.ceil(total / limit),
+      'X-Sync-Status': sync.status
+    };
+    res.set({
+      ...pagination,
+      'Access-Control-Expose-Headers': Object.keys(pagination).join(', ')
+    });
     res.json(issues);
   } catch (error) {
     console.error('Error fetching issues:', error);
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message });
   }
 });
 
 /**
  * @route   POST /api/issues/:repoUrl/create-ai-issue
  * @desc    Create an AI-generated issue
- * @access  Public
+ * @access  Repository readers
  */
 router.post('/:repoUrl/create-ai-issue', async (req, res) => {
   try {
-    const repoUrl = decodeURIComponent(req.params.repoUrl);
     const { title, body, fileReferences = [] } = req.body;
     
     if (!title || !body) {
       return res.status(400).json({ message: 'Title and body are required' });
     }
+    const repository = await resolveRepository(req);
     
-    // Find the highest AI issue number for this repo
-    const highestAIIssue = await Issue.findOne(
-      { 
-        repositoryUrl: repoUrl,
-        issueNumber: { $regex: /^AI-\d+$/ }
-      }
-    ).sort({ issueNumber: -1 });
-    
-    // Generate new AI issue number
-    let nextAINumber = 1;
-    if (highestAIIssue) {
-      const currentNumber = parseInt(highestAIIssue.issueNumber.split('-')[1], 10);
-      nextAINumber = currentNumber + 1;
-    }
-    
-    const aiIssueNumber = `AI-${nextAINumber}`;
+    // Number it after the highest AI issue of this repo
+    const aiIssueNumber = `AI-${(await Issue.lastAINumber(repository._id)) + 1}`;
     
     // Create the new AI issue
     const newIssue = await Issue.create({
-      repositoryUrl: repoUrl,
+      repository: repository._id,
+      repositoryUrl: repository.url,
       issueNumber: aiIssueNumber,
       title,
       body,
@@ -108,25 +551,115 @@ router.post('/:repoUrl/create-ai-issue', async (req, res) => {
     res.status(201).json(newIssue);
   } catch (error) {
     console.error('Error creating AI issue:', error);
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/issues/:repoUrl/triage
+ * @desc    Classify type, priority and component of all untriaged issues in a repository
+ * @body    force (boolean) - re-triage issues that already have a classification
+ *          limit - maximum number of issues to process in this call
+ *          provider, model - optional, override the configured LLM
+ * @access  Repository readers
+ */
+router.post('/:repoUrl/triage', async (req, res) => {
+  try {
+    const repository = await resolveRepository(req);
+    const repoUrl = repository.url;
+    const aiService = createAIService(repoUrl, requestedProvider(req), { repository, user: req.user });
+    if (!aiService) {
+      return res.status(400).json({ message: 'Unknown LLM provider' });
+    }
+    await usageMeter.assertWithinQuota({ repository, user: req.user });
+
+    const filter = { repository: repository._id };
+    if (!req.body?.force) {
+      filter['triage.type'] = { $exists: false };
+    }
+
+    let query = Issue.find(filter).sort({ createdAt: 1 });
+    const limit = parseInt(req.body?.limit, 10);
+    if (limit > 0) query = query.limit(limit);
+    const issues = await query;
+
+    // Components come from the repository layout
+    const tree = await req.hosts.forRepo(repoUrl).fetchRepoContents(repoUrl);
+    const components = listComponents(tree);
+
+    const results = [];
+    const failed = [];
+    let quotaExceeded = null;
+    for (const issue of issues) {
+      try {
+        // Stop once a quota runs out; the remaining issues are triaged on a later call
+        await usageMeter.assertWithinQuota({ repository, user: req.user });
+      } catch (err) {
+        if (err.status !== 429) throw err;
+        quotaExceeded = err.message;
+        break;
+      }
+
+      try {
+        const suggestedComponent = matchComponent(issue.fileReferences.map(ref => ref.path), components);
+        const triage = await aiService.triageIssue(issue, components, suggestedComponent);
+
+        await Issue.updateOne(
+          { _id: issue._id },
+          {
+            triage: {
+              type: triage.type,
+              priority: triage.priority,
+              component: triage.component,
+              confidence: triage.confidence,
+              provider: triage.provider,
+              model: triage.model,
+              triagedAt: new Date()
+            }
+          }
+        );
+        results.push({
+          issueNumber: issue.issueNumber,
+          type: triage.type,
+          priority: triage.priority,
+          component: triage.component,
+          confidence: triage.confidence
+        });
+      } catch (err) {
+        console.warn(`Could not triage issue ${issue.issueNumber}:`, err.message);
+        failed.push({ issueNumber: issue.issueNumber, message: err.message });
+      }
+    }
+
+    res.json({
+      repositoryUrl: repoUrl,
+      processed: issues.length,
+      triaged: results.length,
+      results,
+      failed,
+      quotaExceeded
+    });
+  } catch (error) {
+    console.error('Error triaging issues:', error);
+    res.status(error.status || 500).json({ message: error.message });
   }
 });
 
 /**
  * @route   GET /api/issues/:repoUrl/:issueNumber
  * @desc    Get a specific issue with AI analysis
- * @access  Public
+ * @access  Repository readers
  */
 router.get('/:repoUrl/:issueNumber', async (req, res) => {
   try {
-    const repoUrl = decodeURIComponent(req.params.repoUrl);
+    const repository = await resolveRepository(req);
     // Handle both numeric and string issue numbers (like 'AI-1')
     const issueNumber = req.params.issueNumber;
     // Only parse as integer if it's a numeric string
     const parsedIssueNumber = /^\d+$/.test(issueNumber) ? parseInt(issueNumber, 10) : issueNumber;
     
     // Find issue in database
-    let issue = await Issue.findOne({ repositoryUrl: repoUrl, issueNumber: parsedIssueNumber });
+    let issue = await Issue.findOne({ repository: repository._id, issueNumber: parsedIssueNumber });
     
     // If not found or force refresh, fetch from GitHub
     if (!issue || req.query.refresh === 'true') {
@@ -136,27 +669,11 @@ router.get('/:repoUrl/:issueNumber', async (req, res) => {
         return res.status(404).json({ message: 'AI-generated issue not found' });
       }
       
-      const githubIssue = await githubService.fetchIssue(repoUrl, parsedIssueNumber);
-      const fileReferences = issueAnalyzer.extractFileReferences(githubIssue.body);
-      
-      issue = await Issue.findOneAndUpdate(
-        { repositoryUrl: repoUrl, issueNumber: parsedIssueNumber },
-        {
-          repositoryUrl: repoUrl,
-          issueNumber: githubIssue.issueNumber,
-          title: githubIssue.title,
-          body: githubIssue.body,
-          state: githubIssue.state,
-          fileReferences,
-          createdAt: new Date(githubIssue.createdAt),
-          updatedAt: new Date(githubIssue.updatedAt)
-        },
-        { upsert: true, new: true }
-      );
+      issue = await syncIssueDetails(repository, parsedIssueNumber, req.hosts);
     }
     
     // Check if we already have an AI solution for this issue
-    let aiSolution = await AISolution.findOne({ issue: issue._id });
+    const aiSolution = (await findCurrentSolutions([issue])).get(String(issue._id));
     
     // Include the AI solution if it exists
     const response = {
@@ -167,83 +684,877 @@ router.get('/:repoUrl/:issueNumber', async (req, res) => {
     res.json(response);
   } catch (error) {
     console.error('Error fetching issue:', error);
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message });
   }
 });
 
+/**
+ * Run the full analysis pipeline for an issue and save the solution
+ * @param {Document} repository - Repository
+ * @param {string} issueNumber - Issue number from the route (numeric or 'AI-N')
+ * @param {AIService} aiService - Service for the selected provider
+ * @param {Object} options - { hosts, retrieve, maxFiles, signal, onProgress(event, data) }; hosts
+ *                           defaults to the server's clients
+ * @returns {Promise<Document>} - Saved AISolution version
+ * @throws {Error} - With a status property for client errors
+ */
+async function runIssueAnalysis(repository, issueNumber, aiService, { hosts: clients = hosts, retrieve, maxFiles, signal, onProgress = () => {} } = {}) {
+  const repoUrl = repository.url;
+  // Only parse as integer if it's a numeric string
+  const parsedIssueNumber = /^\d+$/.test(issueNumber) ? parseInt(issueNumber, 10) : issueNumber;
+  
+  // Find issue in database
+  let issue = await Issue.findOne({ repository: repository._id, issueNumber: parsedIssueNumber });
+  
+  if (!issue) {
+    // For AI-generated issues, we don't need to fetch from GitHub
+    if (typeof parsedIssueNumber === 'string' && parsedIssueNumber.startsWith('AI-')) {
+      const error = new Error('AI-generated issue not found');
+      error.status = 404;
+      throw error;
+    }
+    
+    // Fetch issue from GitHub if not in database
+    issue = await syncIssueDetails(repository, parsedIssueNumber, clients);
+  } else if (typeof issue.issueNumber === 'number' &&
+    (!issue.discussionSyncedAt || issue.discussionSyncedAt < issue.updatedAt)) {
+    // Make sure the analysis sees the latest discussion and linked references
+    issue = await syncIssueDetails(repository, issue.issueNumber, clients);
+  }
+  onProgress('issue', {
+    issueNumber: issue.issueNumber,
+    title: issue.title,
+    commentsCount: issue.comments.length,
+    fileReferences: issue.fileReferences.length
+  });
+  
+  // Fetch file contents for referenced files
+  const fileContents = [];
+  const contextFiles = [];
+  for (const fileRef of issue.fileReferences) {
+    signal?.throwIfAborted();
+    try {
+      const { content, sha } = await clients.forRepo(repoUrl).fetchFile(repoUrl, fileRef.path, { signal });
+      fileContents.push({
+        path: fileRef.path,
+        sha,
+        content,
+        lineNumbers: fileRef.lineNumbers,
+        ranges: fileRef.ranges,
+        source: 'reference'
+      });
+      contextFiles.push({
+        path: fileRef.path,
+        source: 'reference',
+        reasons: ['referenced in the issue']
+      });
+      onProgress('file', { path: fileRef.path, source: 'reference', size: content.length });
+    } catch (err) {
+      signal?.throwIfAborted();
+      console.warn(`Could not fetch content for ${fileRef.path}:`, err.message);
+      onProgress('file', { path: fileRef.path, source: 'reference', error: err.message });
+    }
+  }
+
+  // Related issues and their earlier analyses give the model extra context
+  const similar = await findSimilarIssues(issue, { limit: 3, minScore: 0.2 });
+  const relatedSolutions = await findCurrentSolutions(similar.map(result => result.issue));
+  const relatedIssues = similar.map(result => ({
+    issueNumber: result.issue.issueNumber,
+    title: result.issue.title,
+    state: result.issue.state,
+    score: result.score,
+    solution: relatedSolutions.get(String(result.issue._id)) || null
+  }));
+
+  // Search the repository when the issue doesn't point at any usable file
+  if (retrieve ?? fileContents.length === 0) {
+    const limit = Math.min(parseInt(maxFiles, 10) || 5, 20);
+    const retrieved = await new FileRetrievalService(clients).findRelevantFiles(repoUrl, issue, { limit, signal });
+
+    for (const file of retrieved) {
+      if (fileContents.some(f => f.path === file.path)) continue;
+      fileContents.push({ path: file.path, sha: file.sha, content: file.content, source: 'retrieval', score: file.score });
+      contextFiles.push({
+        path: file.path,
+        source: 'retrieval',
+        score: file.score,
+        reasons: file.reasons
+      });
+      onProgress('file', { path: file.path, source: 'retrieval', size: file.content.length, score: file.score });
+    }
+  }
+  
+  // Strip secrets before file contents reach the model or the stored solution
+  const redactions = [];
+  for (const file of fileContents) {
+    const { text, findings } = secretScanner.redact(file.content, { filePath: file.path });
+    file.content = text;
+    for (const finding of findings) {
+      redactions.push({ filePath: file.path, detectorId: finding.detectorId, line: finding.line });
+    }
+  }
+
+  // Fit the files into the prompt budget and record what was kept
+  const budgeted = contextBudget.fit(fileContents);
+  for (const entry of budgeted.report.files) {
+    const contextFile = contextFiles.find(f => f.path === entry.path);
+    Object.assign(contextFile, {
+      mode: entry.mode,
+      originalTokens: entry.originalTokens,
+      includedTokens: entry.includedTokens,
+      includedRanges: entry.includedRanges
+    });
+  }
+  onProgress('context', {
+    budgetTokens: budgeted.report.budgetTokens,
+    usedTokens: budgeted.report.usedTokens,
+    files: budgeted.report.files.map(({ path, mode, includedTokens }) => ({ path, mode, includedTokens }))
+  });
+
+  // Generate AI solution
+  signal?.throwIfAborted();
+  const feedback = await collectRejections(issue);
+  const aiAnalysis = await aiService.analyzeIssue(issue, budgeted.files, { relatedIssues, feedback }, { signal, onProgress });
+  // Don't save work the client has walked away from
+  signal?.throwIfAborted();
+  
+  // Keep every analysis as a new version of the issue's solution
+  const aiSolution = await AISolution.create({
+    issue: issue._id,
+    version: await nextSolutionVersion(issue),
+    promptHash: aiAnalysis.promptHash,
+    inputFiles: fileContents.map(file => ({ path: file.path, sha: file.sha })),
+    analysis: aiAnalysis.analysis,
+    rootCause: aiAnalysis.rootCause,
+    steps: aiAnalysis.steps,
+    solution: aiAnalysis.solution,
+    codeSnippets: patchService.annotateSnippets(aiAnalysis.codeSnippets),
+    bestPractices: aiAnalysis.bestPractices,
+    confidence: aiAnalysis.confidence,
+    attempts: aiAnalysis.attempts,
+    contextFiles,
+    relatedIssues: relatedIssues.map(({ issueNumber, title, score }) => ({ issueNumber, title, score })),
+    redactions,
+    contextBudget: {
+      budgetTokens: budgeted.report.budgetTokens,
+      usedTokens: budgeted.report.usedTokens
+    },
+    provider: aiAnalysis.provider,
+    model: aiAnalysis.model,
+    usage: aiAnalysis.usage,
+    estimatedCost: usageMeter.estimateCost(aiAnalysis.model, aiAnalysis.usage)
+  });
+
+  // A pinned version stays current until the user unpins it
+  if (!issue.solutionPinned) {
+    await Issue.updateOne({ _id: issue._id }, { currentSolution: aiSolution._id });
+  }
+  onProgress('saved', { id: aiSolution._id, version: aiSolution.version, usage: aiAnalysis.usage });
+
+  return aiSolution;
+}
+
+/**
+ * Analyze an issue outside of a request, e.g. when a webhook reports a new issue
+ * @param {string} repoUrl - Repository URL
+ * @param {number} issueNumber - Issue number
+ * @param {Object} requested - { provider, model }, both optional
+ * @returns {Promise<Document>} - Saved AISolution version
+ */
+export async function analyzeIssueAutomatically(repoUrl, issueNumber, requested = {}) {
+  const repository = await repositories.resolve(repoUrl);
+  const aiService = createAIService(repository.url, requested, { repository });
+  if (!aiService) {
+    throw new Error(`Unknown LLM provider: ${requested.provider}`);
+  }
+  await usageMeter.assertWithinQuota({ repository });
+  return runIssueAnalysis(repository, String(issueNumber), aiService);
+}
+
+/**
+ * Switch a response to Server-Sent Events
+ * @param {Object} res - Express response
+ * @returns {Function} - send(event, data)
+ */
+function openEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  return (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
 /**
  * @route   POST /api/issues/:repoUrl/:issueNumber/analyze
  * @desc    Analyze an issue with AI and provide solutions
- * @access  Public
+ * @body    provider (gemini|openai|mock), model - optional, override the configured LLM
+ *          retrieve (boolean) - search the repo for relevant files; defaults to true
+ *          when the issue references no files
+ *          maxFiles - number of retrieved files to include (default 5)
+ * @access  Repository readers
  */
 router.post('/:repoUrl/:issueNumber/analyze', async (req, res) => {
   try {
-    const repoUrl = decodeURIComponent(req.params.repoUrl);
-    // Handle both numeric and string issue numbers (like 'AI-1')
-    const issueNumber = req.params.issueNumber;
-    // Only parse as integer if it's a numeric string
-    const parsedIssueNumber = /^\d+$/.test(issueNumber) ? parseInt(issueNumber, 10) : issueNumber;
-    
-    // Find issue in database
-    let issue = await Issue.findOne({ repositoryUrl: repoUrl, issueNumber: parsedIssueNumber });
+    const repository = await resolveRepository(req);
+    const aiService = createAIService(repository.url, requestedProvider(req), { repository, user: req.user });
+    if (!aiService) {
+      return res.status(400).json({ message: 'Unknown LLM provider' });
+    }
+    await usageMeter.assertWithinQuota({ repository, user: req.user });
+
+    const aiSolution = await runIssueAnalysis(repository, req.params.issueNumber, aiService, {
+      hosts: req.hosts,
+      retrieve: req.body?.retrieve,
+      maxFiles: req.body?.maxFiles
+    });
     
+    res.json(aiSolution);
+  } catch (error) {
+    console.error('Error analyzing issue:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET|POST /api/issues/:repoUrl/:issueNumber/analyze/stream
+ * @desc    Analyze an issue, streaming progress as Server-Sent Events:
+ *          issue, file (one per fetched file), context, prompt, token (model
+ *          output as it is generated), repair, saved, then solution with the
+ *          saved AISolution. Failures end the stream with an error event.
+ *          Closing the connection cancels the analysis.
+ * @query   provider, model, retrieve (true|false), maxFiles - as for /analyze;
+ *          POST also accepts them in the body
+ * @access  Repository readers
+ */
+async function streamAnalysis(req, res) {
+  let repository;
+  let aiService;
+  try {
+    repository = await resolveRepository(req);
+    aiService = createAIService(repository.url, requestedProvider(req), { repository, user: req.user });
+    if (!aiService) {
+      return res.status(400).json({ message: 'Unknown LLM provider' });
+    }
+    await usageMeter.assertWithinQuota({ repository, user: req.user });
+  } catch (error) {
+    console.error('Error analyzing issue:', error);
+    return res.status(error.status || 500).json({ message: error.message });
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = openEventStream(res);
+  const retrieve = req.body?.retrieve ?? (req.query.retrieve ? req.query.retrieve === 'true' : undefined);
+
+  try {
+    const aiSolution = await runIssueAnalysis(repository, req.params.issueNumber, aiService, {
+      hosts: req.hosts,
+      retrieve,
+      maxFiles: req.body?.maxFiles || req.query.maxFiles,
+      signal: controller.signal,
+      onProgress: send
+    });
+    send('solution', aiSolution);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.warn(`Analysis of ${repository.url}#${req.params.issueNumber} cancelled by the client`);
+      return;
+    }
+    console.error('Error analyzing issue:', error);
+    send('error', { message: error.message, status: error.status || 500 });
+  }
+  res.end();
+}
+
+router.get('/:repoUrl/:issueNumber/analyze/stream', streamAnalysis);
+router.post('/:repoUrl/:issueNumber/analyze/stream', streamAnalysis);
+
+/**
+ * @route   GET /api/issues/:repoUrl/:issueNumber/similar
+ * @desc    Find stored issues that duplicate or relate to this one
+ * @query   limit (default 5), minScore (0-1, default 0.1)
+ * @access  Repository readers
+ */
+router.get('/:repoUrl/:issueNumber/similar', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 5, 50);
+    const minScore = req.query.minScore !== undefined ? parseFloat(req.query.minScore) : 0.1;
+
+    const issue = await findStoredIssue(req);
     if (!issue) {
-      // For AI-generated issues, we don't need to fetch from GitHub
-      if (typeof parsedIssueNumber === 'string' && parsedIssueNumber.startsWith('AI-')) {
-        // Return 404 for AI-generated issues that don't exist in our database
-        return res.status(404).json({ message: 'AI-generated issue not found' });
+      return res.status(404).json({ message: 'Issue not found' });
+    }
+
+    const similar = await findSimilarIssues(issue, { limit, minScore });
+    const solutions = await AISolution.find(
+      { issue: { $in: similar.map(result => result.issue._id) } },
+      { issue: 1 }
+    );
+
+    res.json({
+      issueNumber: issue.issueNumber,
+      similar: similar.map(result => ({
+        issueNumber: result.issue.issueNumber,
+        title: result.issue.title,
+        state: result.issue.state,
+        score: result.score,
+        textScore: result.textScore,
+        sharedFiles: result.sharedFiles,
+        hasSolution: solutions.some(solution => solution.issue.equals(result.issue._id))
+      }))
+    });
+  } catch (error) {
+    console.error('Error finding similar issues:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * Real content of the files a solution changes, at the blob SHA the analysis
+ * read. Snippets store those files with their secrets redacted, so patches are
+ * built against these instead. Files that cannot be fetched are left out.
+ * @param {HostRegistry} clients - Clients to read the repository with
+ * @param {string} repoUrl - Repository URL
+ * @param {Document} solution - AISolution
+ * @returns {Promise<Map<string, string>>} - Content by file path
+ */
+async function fetchAnalyzedFiles(clients, repoUrl, solution) {
+  const changed = new Set(solution.codeSnippets.map(snippet => snippet.filePath));
+  const contents = new Map();
+
+  for (const file of solution.inputFiles || []) {
+    if (!file.sha || !changed.has(file.path)) continue;
+    try {
+      contents.set(file.path, await clients.forRepo(repoUrl).fetchBlob(repoUrl, file.sha));
+    } catch (err) {
+      console.warn(`Could not fetch ${file.path} at ${file.sha}:`, err.message);
+    }
+  }
+  return contents;
+}
+
+/**
+ * @route   GET /api/issues/:repoUrl/:issueNumber/patch
+ * @desc    Download the AI solution's code changes as a patch for `git apply`, built
+ *          against the files as the analysis read them
+ * @query   format (patch|json) - json returns the patch with placement details
+ *          version - solution version to use (default: the current one)
+ * @access  Repository readers
+ */
+router.get('/:repoUrl/:issueNumber/patch', async (req, res) => {
+  try {
+    const issue = await findStoredIssue(req);
+    if (!issue) {
+      return res.status(404).json({ message: 'Issue not found' });
+    }
+
+    const aiSolution = req.query.version
+      ? await findSolutionVersion(issue, req.query.version)
+      : (await findCurrentSolutions([issue])).get(String(issue._id));
+    if (!aiSolution) {
+      return res.status(404).json({ message: 'No AI solution for this issue' });
+    }
+
+    const { patch, files, unplaced } = patchService.buildPatch(
+      aiSolution.codeSnippets.map(snippet => snippet.toObject()),
+      { contents: await fetchAnalyzedFiles(req.hosts, issue.repositoryUrl, aiSolution) }
+    );
+
+    if (req.query.format === 'json') {
+      return res.json({ patch, files, unplaced });
+    }
+
+    // git apply ignores text before the first diff header, so unplaced snippets are listed there
+    let preamble = `AI solution patch for ${issue.repositoryUrl} issue ${issue.issueNumber}\n`;
+    for (const item of unplaced) {
+      preamble += `UNPLACED snippet #${item.index} (${item.filePath || 'unknown file'}): ${item.reason}\n`;
+    }
+
+    res.set('Content-Type', 'text/x-diff; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="issue-${issue.issueNumber}.patch"`);
+    res.set('X-Unplaced-Snippets', String(unplaced.length));
+    res.send(`${preamble}\n${patch}`);
+  } catch (error) {
+    console.error('Error building patch:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/issues/:repoUrl/:issueNumber/versions
+ * @desc    List the versions of an issue's AI solution, newest first
+ * @access  Repository readers
+ */
+router.get('/:repoUrl/:issueNumber/versions', async (req, res) => {
+  try {
+    const issue = await findStoredIssue(req);
+    if (!issue) {
+      return res.status(404).json({ message: 'Issue not found' });
+    }
+
+    const versions = await AISolution.find({ issue: issue._id })
+      .select('version provider model promptHash inputFiles confidence attempts createdAt')
+      .sort({ version: -1, createdAt: -1 });
+    const current = (await findCurrentSolutions([issue])).get(String(issue._id));
+
+    res.json({
+      issueNumber: issue.issueNumber,
+      pinned: issue.solutionPinned,
+      currentVersion: current ? current.version : null,
+      versions
+    });
+  } catch (error) {
+    console.error('Error listing solution versions:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/issues/:repoUrl/:issueNumber/versions/:version
+ * @desc    Get one version of an issue's AI solution
+ * @access  Repository readers
+ */
+router.get('/:repoUrl/:issueNumber/versions/:version', async (req, res) => {
+  try {
+    const issue = await findStoredIssue(req);
+    if (!issue) {
+      return res.status(404).json({ message: 'Issue not found' });
+    }
+
+    const aiSolution = await findSolutionVersion(issue, req.params.version);
+    if (!aiSolution) {
+      return res.status(404).json({ message: `Solution version ${req.params.version} not found` });
+    }
+
+    res.json(aiSolution);
+  } catch (error) {
+    console.error('Error fetching solution version:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/issues/:repoUrl/:issueNumber/versions/:from/diff/:to
+ * @desc    Compare two versions of an issue's AI solution
+ * @access  Repository readers
+ */
+router.get('/:repoUrl/:issueNumber/versions/:from/diff/:to', async (req, res) => {
+  try {
+    const issue = await findStoredIssue(req);
+    if (!issue) {
+      return res.status(404).json({ message: 'Issue not found' });
+    }
+
+    const [from, to] = await Promise.all([
+      findSolutionVersion(issue, req.params.from),
+      findSolutionVersion(issue, req.params.to)
+    ]);
+    if (!from || !to) {
+      return res.status(404).json({ message: `Solution version ${!from ? req.params.from : req.params.to} not found` });
+    }
+
+    res.json(solutionDiff.diff(from.toObject(), to.toObject()));
+  } catch (error) {
+    console.error('Error comparing solution versions:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/issues/:repoUrl/:issueNumber/versions/:version/pin
+ * @desc    Make a solution version the issue's current solution, even after re-analysis
+ * @access  Repository readers
+ */
+router.post('/:repoUrl/:issueNumber/versions/:version/pin', async (req, res) => {
+  try {
+    const issue = await findStoredIssue(req);
+    if (!issue) {
+      return res.status(404).json({ message: 'Issue not found' });
+    }
+
+    const aiSolution = await findSolutionVersion(issue, req.params.version);
+    if (!aiSolution) {
+      return res.status(404).json({ message: `Solution version ${req.params.version} not found` });
+    }
+
+    await Issue.updateOne({ _id: issue._id }, { currentSolution: aiSolution._id, solutionPinned: true });
+    res.json({ issueNumber: issue.issueNumber, pinned: true, currentVersion: aiSolution.version });
+  } catch (error) {
+    console.error('Error pinning solution version:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/issues/:repoUrl/:issueNumber/pin
+ * @desc    Unpin the current solution so the latest version is current again
+ * @access  Repository readers
+ */
+router.delete('/:repoUrl/:issueNumber/pin', async (req, res) => {
+  try {
+    const issue = await findStoredIssue(req);
+    if (!issue) {
+      return res.status(404).json({ message: 'Issue not found' });
+    }
+
+    const latest = await AISolution.findOne({ issue: issue._id }).sort({ version: -1, createdAt: -1 });
+    await Issue.updateOne({ _id: issue._id }, { currentSolution: latest ? latest._id : null, solutionPinned: false });
+    res.json({ issueNumber: issue.issueNumber, pinned: false, currentVersion: latest ? latest.version : null });
+  } catch (error) {
+    console.error('Error unpinning solution version:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/issues/:repoUrl/:issueNumber/feedback
+ * @desc    Rate an issue's AI solution
+ * @body    rating (helpful|unhelpful), comment - optional,
+ *          version - solution version to rate (default: the current one)
+ * @access  Repository readers
+ */
+router.post('/:repoUrl/:issueNumber/feedback', async (req, res) => {
+  try {
+    const { rating, comment, version } = req.body || {};
+    if (!SOLUTION_RATINGS.includes(rating)) {
+      return res.status(400).json({ message: `rating must be one of: ${SOLUTION_RATINGS.join(', ')}` });
+    }
+
+    const issue = await findStoredIssue(req);
+    if (!issue) {
+      return res.status(404).json({ message: 'Issue not found' });
+    }
+
+    const aiSolution = await findRequestedSolution(issue, version);
+    if (!aiSolution) {
+      return res.status(404).json({ message: 'No AI solution for this issue' });
+    }
+
+    aiSolution.feedback = { rating, comment, ratedAt: new Date() };
+    await aiSolution.save();
+
+    res.json({ version: aiSolution.version, feedback: aiSolution.feedback });
+  } catch (error) {
+    console.error('Error saving solution feedback:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/issues/:repoUrl/:issueNumber/snippets/:index/feedback
+ * @desc    Mark one code snippet of an AI solution as accepted, rejected or applied.
+ *          Rejection reasons are passed to the model when the issue is analyzed again.
+ * @body    status (accepted|rejected|applied), reason - optional,
+ *          version - solution version (default: the current one)
+ * @access  Repository readers
+ */
+router.post('/:repoUrl/:issueNumber/snippets/:index/feedback', async (req, res) => {
+  try {
+    const { status, reason, version } = req.body || {};
+    if (!SNIPPET_FEEDBACK_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${SNIPPET_FEEDBACK_STATUSES.join(', ')}` });
+    }
+
+    const issue = await findStoredIssue(req);
+    if (!issue) {
+      return res.status(404).json({ message: 'Issue not found' });
+    }
+
+    const aiSolution = await findRequestedSolution(issue, version);
+    if (!aiSolution) {
+      return res.status(404).json({ message: 'No AI solution for this issue' });
+    }
+
+    const index = parseInt(req.params.index, 10);
+    const snippet = aiSolution.codeSnippets[index];
+    if (!snippet) {
+      return res.status(404).json({ message: `Snippet ${req.params.index} not found` });
+    }
+
+    snippet.feedback = { status, reason, updatedAt: new Date() };
+    await aiSolution.save();
+
+    res.json({ version: aiSolution.version, index, filePath: snippet.filePath, feedback: snippet.feedback });
+  } catch (error) {
+    console.error('Error saving snippet feedback:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/issues/:repoUrl/feedback/stats
+ * @desc    Feedback totals and acceptance rates for a repository's AI solutions,
+ *          overall and per provider/model
+ * @access  Repository readers
+ */
+router.get('/:repoUrl/feedback/stats', async (req, res) => {
+  try {
+    const repository = await findRepository(req);
+    if (!repository) {
+      return res.status(404).json({ message: 'Repository not found' });
+    }
+    const issueIds = await Issue.find({ repository: repository._id }).distinct('_id');
+
+    const countSnippets = status => ({
+      $size: {
+        $filter: {
+          input: { $ifNull: ['$codeSnippets', []] },
+          as: 'snippet',
+          cond: { $eq: ['$$snippet.feedback.status', status] }
+        }
       }
-      
-      // Fetch issue from GitHub if not in database
-      const githubIssue = await githubService.fetchIssue(repoUrl, parsedIssueNumber);
-      const fileReferences = issueAnalyzer.extractFileReferences(githubIssue.body);
-      
-      issue = await Issue.create({
-        repositoryUrl: repoUrl,
-        issueNumber: githubIssue.issueNumber,
-        title: githubIssue.title,
-        body: githubIssue.body,
-        state: githubIssue.state,
-        fileReferences,
-        createdAt: new Date(githubIssue.createdAt),
-        updatedAt: new Date(githubIssue.updatedAt)
+    });
+
+    const groups = await AISolution.aggregate([
+      { $match: { issue: { $in: issueIds } } },
+      {
+        $group: {
+          _id: { provider: '$provider', model: '$model' },
+          solutions: { $sum: 1 },
+          helpful: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'helpful'] }, 1, 0] } },
+          unhelpful: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'unhelpful'] }, 1, 0] } },
+          snippets: { $sum: { $size: { $ifNull: ['$codeSnippets', []] } } },
+          accepted: { $sum: countSnippets('accepted') },
+          rejected: { $sum: countSnippets('rejected') },
+          applied: { $sum: countSnippets('applied') }
+        }
+      },
+      { $sort: { solutions: -1 } }
+    ]);
+
+    // Rates are over the items that received feedback; null when there is none
+    const summarize = totals => {
+      const rated = totals.helpful + totals.unhelpful;
+      const reviewed = totals.accepted + totals.rejected + totals.applied;
+      return {
+        ...totals,
+        helpfulRate: rated > 0 ? Math.round((totals.helpful / rated) * 1000) / 1000 : null,
+        acceptanceRate: reviewed > 0 ? Math.round(((totals.accepted + totals.applied) / reviewed) * 1000) / 1000 : null
+      };
+    };
+
+    const fields = ['solutions', 'helpful', 'unhelpful', 'snippets', 'accepted', 'rejected', 'applied'];
+    const overall = Object.fromEntries(fields.map(field => [field, groups.reduce((sum, group) => sum + group[field], 0)]));
+
+    res.json({
+      repositoryUrl: repository.url,
+      overall: summarize(overall),
+      byModel: groups.map(({ _id, ...totals }) => ({
+        provider: _id.provider || null,
+        model: _id.model || null,
+        ...summarize(totals)
+      }))
+    });
+  } catch (error) {
+    console.error('Error computing feedback stats:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/issues/:repoUrl/:issueNumber/comment
+ * @desc    Post the AI solution as a comment on the GitHub issue. Posting again
+ *          edits the earlier comment instead of adding another one.
+ *          AI-generated issues must be promoted first.
+ * @body    dryRun (boolean) - return the rendered markdown without posting,
+ *          version - solution version to post (default: the current one)
+ * @access  Repository readers with their own token for the host (dryRun: repository readers)
+ */
+router.post('/:repoUrl/:issueNumber/comment', async (req, res) => {
+  try {
+    const { dryRun = false, version } = req.body || {};
+
+    const issue = await findStoredIssue(req);
+    if (!issue) {
+      return res.status(404).json({ message: 'Issue not found' });
+    }
+    const repoUrl = issue.repositoryUrl;
+
+    const targetNumber = typeof issue.issueNumber === 'number' ? issue.issueNumber : issue.promotedTo?.number;
+    if (!targetNumber) {
+      return res.status(400).json({ message: 'AI-generated issues must be promoted to GitHub before commenting' });
+    }
+
+    const aiSolution = await findRequestedSolution(issue, version);
+    if (!aiSolution) {
+      return res.status(404).json({ message: 'No AI solution for this issue' });
+    }
+
+    const markdown = markdownService.renderSolution(aiSolution, issue);
+    // The comment posted earlier, by stored ID or by its marker in the synced discussion
+    const marker = markdownService.marker('solution', issue.issueNumber);
+    const existingId = issue.postedComment?.commentId ||
+      issue.comments.find(comment => comment.body && comment.body.includes(marker))?.commentId;
+
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        action: existingId ? 'update' : 'create',
+        issueNumber: targetNumber,
+        commentId: existingId || null,
+        markdown
       });
     }
-    
-    // Fetch file contents for referenced files
-    const fileContents = [];
-    for (const fileRef of issue.fileReferences) {
+
+    const client = userClient(req, repoUrl);
+    let action = 'create';
+    let comment;
+    if (existingId) {
       try {
-        const content = await githubService.fetchFileContent(repoUrl, fileRef.path);
-        fileContents.push({
-          path: fileRef.path,
-          content
-        });
+        comment = await client.updateIssueComment(repoUrl, existingId, markdown);
+        action = 'update';
       } catch (err) {
-        console.warn(`Could not fetch content for ${fileRef.path}:`, err.message);
+        // The comment was deleted on GitHub; post a new one
+        if (err.status !== 404) throw err;
       }
     }
-    
-    // Generate AI solution
-    const aiAnalysis = await geminiService.analyzeIssue(issue, fileContents);
-    
-    // Save or update the AI solution
-    const aiSolution = await AISolution.findOneAndUpdate(
-      { issue: issue._id },
-      {
-        issue: issue._id,
-        analysis: aiAnalysis.analysis,
-        solution: aiAnalysis.solution,
-        codeSnippets: aiAnalysis.codeSnippets,
-        bestPractices: aiAnalysis.bestPractices
-      },
-      { upsert: true, new: true }
-    );
-    
-    res.json(aiSolution);
+    if (!comment) {
+      comment = await client.createIssueComment(repoUrl, targetNumber, markdown);
+    }
+
+    await Issue.updateOne({ _id: issue._id }, {
+      postedComment: {
+        commentId: comment.commentId,
+        url: comment.url,
+        solutionVersion: aiSolution.version,
+        postedAt: new Date()
+      }
+    });
+
+    res.json({ action, issueNumber: targetNumber, commentId: comment.commentId, url: comment.url, version: aiSolution.version });
   } catch (error) {
-    console.error('Error analyzing issue:', error);
-    res.status(500).json({ message: error.message });
+    console.error('Error posting solution comment:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/issues/:repoUrl/:issueNumber/promote
+ * @desc    Open a GitHub issue for an AI-generated issue (AI-N) and link it to the
+ *          local record. Promoting again updates the linked GitHub issue.
+ * @body    dryRun (boolean) - return the rendered issue without creating it,
+ *          labels - labels for a new GitHub issue
+ * @access  Repository readers with their own token for the host (dryRun: repository readers)
+ */
+router.post('/:repoUrl/:issueNumber/promote', async (req, res) => {
+  try {
+    const { dryRun = false, labels = [] } = req.body || {};
+
+    const issue = await findStoredIssue(req);
+    if (!issue) {
+      return res.status(404).json({ message: 'Issue not found' });
+    }
+    const repoUrl = issue.repositoryUrl;
+    if (typeof issue.issueNumber !== 'string' || !issue.issueNumber.startsWith('AI-')) {
+      return res.status(400).json({ message: 'Only AI-generated issues can be promoted' });
+    }
+
+    const { title, body } = markdownService.renderAIIssue(issue);
+    const existingNumber = issue.promotedTo?.number;
+
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        action: existingNumber ? 'update' : 'create',
+        issueNumber: existingNumber || null,
+        title,
+        markdown: body
+      });
+    }
+
+    const client = userClient(req, repoUrl);
+    let action = 'create';
+    let created;
+    if (existingNumber) {
+      try {
+        created = await client.updateIssue(repoUrl, existingNumber, { title, body });
+        action = 'update';
+      } catch (err) {
+        // The linked issue is gone (deleted or transferred); open a new one
+        if (err.status !== 404 && err.status !== 410) throw err;
+      }
+    }
+    if (!created) {
+      created = await client.createIssue(repoUrl, { title, body, labels });
+    }
+
+    await Issue.updateOne({ _id: issue._id }, {
+      promotedTo: { number: created.number, url: created.url, promotedAt: new Date() }
+    });
+
+    res.json({ action, localIssueNumber: issue.issueNumber, issueNumber: created.number, url: created.url });
+  } catch (error) {
+    console.error('Error promoting AI issue:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/issues/:repoUrl/:issueNumber/pull-request
+ * @desc    Open a draft pull request with the solution's code changes, on a new
+ *          branch off the default branch. Refused with 409 when a changed file
+ *          has a different blob SHA than when the issue was analyzed.
+ *          Rejected snippets are left out.
+ * @body    version - solution version (default: the current one),
+ *          branch - branch name (default: issue-analyzer/issue-<number>-v<version>)
+ * @access  Repository readers with their own token for the host
+ */
+router.post('/:repoUrl/:issueNumber/pull-request', async (req, res) => {
+  try {
+    const { version, branch } = req.body || {};
+
+    const issue = await findStoredIssue(req);
+    if (!issue) {
+      return res.status(404).json({ message: 'Issue not found' });
+    }
+    const repoUrl = issue.repositoryUrl;
+
+    const aiSolution = await findRequestedSolution(issue, version);
+    if (!aiSolution) {
+      return res.status(404).json({ message: 'No AI solution for this issue' });
+    }
+    if (aiSolution.pullRequest?.url) {
+      return res.json({ ...aiSolution.pullRequest.toObject(), existing: true });
+    }
+    // The service writes through req.hosts, which uses the caller's own token once this passes
+    userClient(req, repoUrl);
+
+    const githubNumber = typeof issue.issueNumber === 'number' ? issue.issueNumber : issue.promotedTo?.number;
+    const result = await new PullRequestService(req.hosts, patchService).openDraftPullRequest(repoUrl, aiSolution.toObject(), {
+      issueNumber: githubNumber,
+      title: githubNumber ? `Fix #${githubNumber}: ${issue.title}` : `Fix: ${issue.title}`,
+      branch: branch || `issue-analyzer/issue-${String(issue.issueNumber).toLowerCase()}-v${aiSolution.version}`
+    });
+
+    aiSolution.pullRequest = {
+      number: result.number,
+      url: result.url,
+      branch: result.branch,
+      commitSha: result.commitSha,
+      createdAt: new Date()
+    };
+    await aiSolution.save();
+
+    res.status(result.existing ? 200 : 201).json(result);
+  } catch (error) {
+    console.error('Error opening pull request:', error);
+    res.status(error.status || 500).json({
+      message: error.message,
+      staleFiles: error.staleFiles,
+      skipped: error.skipped
+    });
   }
 });
 
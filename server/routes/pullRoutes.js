@@ -0,0 +1,171 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { PullRequestReview } from '../models/index.js';
+import { IssueAnalyzerService, MarkdownService, PullReviewService, SecretScanner } from '../services/index.js';
+import { createAIService, requestedProvider } from './issueRoutes.js';
+import { parseRuleOptions } from './repoRoutes.js';
+import { findRepository, resolveRepository, userClient } from '../middleware/auth.js';
+import { usageMeter } from './usageRoutes.js';
+import { SECRET_ALLOWLIST } from '../config.js';
+
+const router = express.Router();
+const issueAnalyzer = new IssueAnalyzerService({ secretScanner: new SecretScanner(SECRET_ALLOWLIST) });
+const markdownService = new MarkdownService();
+
+/**
+ * Reviewer acting with the caller's clients, so pending reviews are created as the user
+ * @param {Object} req - Express request (after authenticate)
+ * @returns {PullReviewService}
+ */
+function pullReviewsFor(req) {
+  return new PullReviewService(req.hosts, issueAnalyzer, markdownService);
+}
+
+/**
+ * Post a stored review as a pending GitHub review and record it
+ * @param {PullReviewService} pullReviews - Reviewer acting for the caller
+ * @param {Document} review - PullRequestReview
+ * @returns {Promise<Document>} - Updated review
+ */
+async function postReview(pullReviews, review) {
+  const { reviewId, url, comments } = await pullReviews.postPendingReview(review.repositoryUrl, review.toObject());
+  review.posted = { reviewId, url, comments, postedAt: new Date() };
+  return review.save();
+}
+
+/**
+ * @route   POST /api/pulls/:repoUrl/:number/review
+ * @desc    Review a pull request: run the analysis rules on the added lines and
+ *          ask the LLM for comments tied to file/line positions. The result is
+ *          stored; with post it is also created as a pending GitHub review,
+ *          which stays private until submitted on GitHub.
+ * @query   disable, enable, severity - rule options as for /api/repos/:repoUrl/analyze
+ * @body    provider, model - optional, override the configured LLM
+ *          llm (boolean) - set to false to run the rules only (default true)
+ *          post (boolean) - create a pending GitHub review (default false)
+ * @access  Repository readers; posting takes their own token for the host
+ */
+router.post('/:repoUrl/:number/review', async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.number)) {
+      return res.status(400).json({ message: 'Pull request number must be numeric' });
+    }
+    const number = parseInt(req.params.number, 10);
+    const { llm = true, post = false } = req.body || {};
+
+    const repository = await resolveRepository(req);
+    // Checked before the review is paid for, since it could not be posted
+    if (post) userClient(req, repository.url);
+    const pullReviews = pullReviewsFor(req);
+    let aiService = null;
+    if (llm) {
+      aiService = createAIService(repository.url, requestedProvider(req), { repository, user: req.user });
+      if (!aiService) {
+        return res.status(400).json({ message: 'Unknown LLM provider' });
+      }
+      await usageMeter.assertWithinQuota({ repository, user: req.user });
+    }
+
+    const { pull, files, skipped, findings, llm: result } = await pullReviews.review(
+      repository.url,
+      number,
+      aiService,
+      parseRuleOptions(req.query)
+    );
+
+    let review = await PullRequestReview.create({
+      repository: repository._id,
+      repositoryUrl: repository.url,
+      number,
+      title: pull.title,
+      url: pull.url,
+      headSha: pull.head.sha,
+      headRef: pull.head.ref,
+      baseRef: pull.base.ref,
+      files: files.map(({ path, status, additions, deletions }) => ({ path, status, additions, deletions })),
+      skippedFiles: skipped,
+      findings,
+      ...(result && {
+        summary: result.summary,
+        comments: result.comments,
+        confidence: result.confidence,
+        provider: result.provider,
+        model: result.model,
+        promptHash: result.promptHash,
+        attempts: result.attempts,
+        usage: result.usage,
+        estimatedCost: usageMeter.estimateCost(result.model, result.usage)
+      })
+    });
+
+    if (post) {
+      try {
+        review = await postReview(pullReviews, review);
+      } catch (error) {
+        // The review is stored either way; it can be posted again once the problem is fixed
+        console.error('Error posting pull request review:', error);
+        return res.status(error.status || 500).json({ message: `Review saved but not posted: ${error.message}`, review });
+      }
+    }
+
+    res.status(201).json(review);
+  } catch (error) {
+    console.error('Error reviewing pull request:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/pulls/:repoUrl/:number/reviews
+ * @desc    List the stored reviews of a pull request, newest first
+ * @access  Repository readers
+ */
+router.get('/:repoUrl/:number/reviews', async (req, res) => {
+  try {
+    const repository = await findRepository(req);
+    if (!repository) {
+      return res.status(404).json({ message: 'Repository not found' });
+    }
+
+    const reviews = await PullRequestReview.find({ repository: repository._id, number: parseInt(req.params.number, 10) })
+      .sort({ createdAt: -1 });
+    res.json(reviews);
+  } catch (error) {
+    console.error('Error listing pull request reviews:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/pulls/:repoUrl/:number/reviews/:reviewId/post
+ * @desc    Create a pending GitHub review from a stored review. GitHub allows
+ *          one pending review per user and pull request, so an earlier one
+ *          must be submitted or deleted first.
+ * @access  Repository readers with their own token for the host
+ */
+router.post('/:repoUrl/:number/reviews/:reviewId/post', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.reviewId)) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const [repository, review] = await Promise.all([
+      findRepository(req),
+      PullRequestReview.findById(req.params.reviewId)
+    ]);
+    if (!repository || !review || !review.repository.equals(repository._id) || review.number !== parseInt(req.params.number, 10)) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    if (review.posted?.reviewId) {
+      return res.status(409).json({ message: 'Review already posted', review });
+    }
+    userClient(req, repository.url);
+
+    res.json(await postReview(pullReviewsFor(req), review));
+  } catch (error) {
+    console.error('Error posting pull request review:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+export default router;
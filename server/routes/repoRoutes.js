@@ -1,117 +1,468 @@
+import crypto from 'crypto';
 import express from 'express';
-import { GitHubService, IssueAnalyzerService } from '../services/index.js';
+import mongoose from 'mongoose';
+import { Issue, Repository, ScanJob, ScanResult, User } from '../models/index.js';
+import { SCAN_JOB_STATUSES } from '../models/ScanJob.js';
+import { HostRegistry, IssueAnalyzerService, SecretScanner, ScanJobQueue, RepoScanService, RepositoryService } from '../services/index.js';
+import { SCM_HOSTS, SECRET_ALLOWLIST, SCAN_CONCURRENCY, SCAN_FETCH_CONCURRENCY, SCAN_MAX_FILE_SIZE } from '../config.js';
+import { authorizeRepository, authorizeWrite, canRead, filterReadable, findRepository, hostsFor, resolveRepository } from '../middleware/auth.js';
 
 const router = express.Router();
-const issueAnalyzer = new IssueAnalyzerService();
+const issueAnalyzer = new IssueAnalyzerService({ secretScanner: new SecretScanner(SECRET_ALLOWLIST) });
 
-// Initialize GitHub service with API token (will work without token for public repos)
-const githubService = new GitHubService(process.env.GITHUB_TOKEN);
+// API clients per code host (tokens are optional for public repos); requests use the caller's (req.hosts)
+const hosts = new HostRegistry(SCM_HOSTS);
+export const repositories = new RepositoryService(hosts);
+
+// Failed and skipped files listed in a job's result; the counts cover all of them
+const MAX_LISTED_FILES = 1000;
+// Scan results written per insert
+const RESULT_BATCH_SIZE = 500;
 
 /**
- * @route   GET /api/repos/:repoUrl/analyze
- * @desc    Analyze a repository for potential issues
- * @access  Public
+ * Read rule configuration from request query parameters
+ * @param {Object} query - Express request query
+ * @returns {Object} - { disabledRules, enabledRules, severityOverrides }
  */
-router.get('/:repoUrl/analyze', async (req, res) => {
-  try {
-    console.log('Repository analysis request received');
-    const repoUrl = decodeURIComponent(req.params.repoUrl);
-    console.log(`Analyzing repository: ${repoUrl}`);
-    
-    // Fetch repository contents
-    console.log('Fetching repository contents...');
-    const repoContents = await githubService.fetchRepoContents(repoUrl);
-    console.log(`Retrieved ${repoContents.length} files from repository`);
-    
-    // Filter for code files only (exclude binaries, images, etc.)
-    const codeFileExtensions = [
-      '.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.c', '.cpp', '.cs', 
-      '.go', '.rb', '.php', '.html', '.css', '.scss', '.json', '.yml', '.yaml'
-    ];
-    
-    console.log('Filtering for code files...');
-    const codeFiles = repoContents.filter(file => {
-      // Check if path contains a dot to avoid errors with files without extensions
-      if (file.path.includes('.')) {
-        const extension = file.path.substring(file.path.lastIndexOf('.'));
-        return codeFileExtensions.includes(extension);
+export function parseRuleOptions(query) {
+  const list = value => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+  const severityOverrides = {};
+  for (const entry of list(query.severity)) {
+    const [ruleId, severity] = entry.split(':');
+    if (ruleId && severity) {
+      severityOverrides[ruleId] = severity;
+    }
+  }
+
+  return {
+    disabledRules: list(query.disable),
+    enabledRules: list(query.enable),
+    severityOverrides
+  };
+}
+
+/**
+ * @route   GET /api/repos/rules
+ * @desc    List the code analysis rules
+ * @access  API users
+ */
+router.get('/rules', (req, res) => {
+  res.json(issueAnalyzer.ruleEngine.rules.map(rule => ({
+    id: rule.id,
+    type: rule.type,
+    severity: rule.severity,
+    message: rule.message,
+    extensions: rule.extensions || null,
+    enabled: rule.enabled !== false
+  })));
+});
+
+/**
+ * Read file selection options from request query parameters
+ * @param {Object} query - Express request query
+ * @returns {Object} - { include, exclude, maxFiles, useCache }
+ */
+function parseScanOptions(query) {
+  const list = value => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+  return {
+    include: list(query.include),
+    exclude: list(query.exclude),
+    maxFiles: Math.max(parseInt(query.maxFiles, 10) || 0, 0),
+    useCache: query.cache !== 'false'
+  };
+}
+
+/**
+ * Stable identity of a scan result: one result is kept per rule and file
+ * @param {Object} item - Analysis result ({ ruleId, filePath })
+ * @returns {string} - Fingerprint
+ */
+function scanFingerprint(item) {
+  return crypto.createHash('sha1').update(`${item.ruleId}\0${item.filePath}`).digest('hex');
+}
+
+/**
+ * Save a scan result as an AI issue. The issue earlier scans created for the
+ * same rule and file is updated, unless it has been promoted to GitHub, in
+ * which case it is left as it is.
+ * @param {Document} repository - Repository
+ * @param {Object} item - Analysis result
+ * @param {Function} allocateNumber - Returns the number of a new AI issue
+ * @returns {Promise<string>} - Number of the AI issue the result belongs to
+ */
+export async function saveScanIssue(repository, item, allocateNumber) {
+  const fingerprint = scanFingerprint(item);
+  const fields = {
+    repositoryUrl: repository.url,
+    title: `Code Issue: ${item.issueType || 'Code smell detected'}`,
+    body: `${item.description || 'Potential code issue detected by automated analysis'}\n\n` +
+      `Rule: ${item.ruleId}\n` +
+      `Locations: ${item.locations.map(location => `${item.filePath}:${location.line}:${location.column}`).join(', ')}`,
+    state: 'open',
+    fileReferences: [
+      {
+        path: item.filePath,
+        lineNumbers: item.lineNumbers || []
       }
-      return false;
+    ],
+    updatedAt: new Date()
+  };
+
+  const existing = await Issue.findOne({ repository: repository._id, scanFingerprint: fingerprint }).select('issueNumber promotedTo');
+  if (existing) {
+    await Issue.findOneAndUpdate(
+      { _id: existing._id, 'promotedTo.number': { $exists: false } },
+      { ...fields, issueNumber: existing.issueNumber }
+    );
+    return existing.issueNumber;
+  }
+
+  try {
+    const created = await Issue.create({
+      ...fields,
+      repository: repository._id,
+      issueNumber: allocateNumber(),
+      scanFingerprint: fingerprint,
+      createdAt: new Date()
     });
-    console.log(`Found ${codeFiles.length} code files`);
-    
-    // Limit to a reasonable number of files to analyze
-    const filesToAnalyze = codeFiles.slice(0, 10);
-    console.log(`Selected ${filesToAnalyze.length} files for analysis`);
-    
-    // Fetch content for each file and analyze
-    const analysisResults = [];
-    
-    console.log('Beginning file analysis...');
-    for (const file of filesToAnalyze) {
-      try {
-        console.log(`Analyzing file: ${file.path}`);
-        const content = await githubService.fetchFileContent(repoUrl, file.path);
-        const issues = issueAnalyzer.analyzeCode(content);
-        
-        console.log(`Found ${issues.length} issues in ${file.path}`);
-        if (issues.length > 0) {
-          // For each issue in the file, create a separate analysis result
-          issues.forEach(issue => {
-            analysisResults.push({
-              filePath: file.path,
-              issueType: issue.type,
-              description: issue.description,
-              severity: issue.severity,
-              lineNumbers: [] // We don't have line numbers from the analyzer yet
-            });
-          });
-        }
-      } catch (err) {
-        console.warn(`Could not analyze ${file.path}:`, err.message);
+    return created.issueNumber;
+  } catch (err) {
+    // A concurrent scan created the issue first
+    if (err.code !== 11000) throw err;
+    const winner = await Issue.findOne({ repository: repository._id, scanFingerprint: fingerprint }).select('issueNumber');
+    return winner.issueNumber;
+  }
+}
+
+/**
+ * Scan a repository with the rule engine and save the findings as AI issues
+ * @param {Document} repository - Repository
+ * @param {HostRegistry} clients - Clients to read the repository with
+ * @param {Object} options - File selection (see parseScanOptions) and rule options (see parseRuleOptions)
+ * @param {Object} control - { signal, onProgress({ totalFiles, processedFiles, cachedFiles, findings }) }
+ * @returns {Promise<Object>} - { repositoryUrl, filesAnalyzed, totalFiles, cachedFiles, failedFiles, skippedFiles, analysisResults }:
+ *                               each analysis result names the AI issue it was saved as (issueNumber)
+ */
+async function scanRepository(repository, clients, options, { signal, onProgress } = {}) {
+  const repoUrl = repository.url;
+  console.log(`Analyzing repository: ${repoUrl}`);
+  const repoScan = new RepoScanService(clients, issueAnalyzer, {
+    concurrency: SCAN_FETCH_CONCURRENCY,
+    maxFileSize: SCAN_MAX_FILE_SIZE
+  });
+  const scan = await repoScan.scan(repoUrl, options, { signal, onProgress });
+  console.log(`Analyzed ${scan.files.length} of ${scan.totalFiles} code files (${scan.cachedFiles} from cache)`);
+  
+  const analysisResults = [];
+  for (const file of scan.files) {
+    // Group findings by rule so each rule yields one result per file
+    const byRule = new Map();
+    for (const finding of file.findings) {
+      if (!byRule.has(finding.ruleId)) {
+        byRule.set(finding.ruleId, []);
       }
+      byRule.get(finding.ruleId).push(finding);
     }
-    
-    console.log(`Analysis complete. Found issues in ${analysisResults.length} files`);
-    
-    // Save AI-generated issues to the database
-    const Issue = (await import('../models/Issue.js')).default;
-    const savedIssues = [];
-    
-    for (let i = 0; i < analysisResults.length; i++) {
-      const item = analysisResults[i];
-      const aiIssueNumber = `AI-${i + 1}`;
-      
-      // Create or update the AI issue in the database
-      const aiIssue = await Issue.findOneAndUpdate(
-        { repositoryUrl: repoUrl, issueNumber: aiIssueNumber },
-        {
-          repositoryUrl: repoUrl,
-          issueNumber: aiIssueNumber,
-          title: `Code Issue: ${item.issueType || 'Code smell detected'}`,
-          body: item.description || 'Potential code issue detected by automated analysis',
-          state: 'open',
-          fileReferences: [
-            {
-              path: item.filePath,
-              lineNumbers: item.lineNumbers || []
-            }
-          ],
-          createdAt: new Date(),
-          updatedAt: new Date()
-        },
-        { new: true, upsert: true }
+
+    for (const [ruleId, ruleFindings] of byRule) {
+      const first = ruleFindings[0];
+      analysisResults.push({
+        filePath: file.path,
+        ruleId,
+        issueType: first.type,
+        description: first.description,
+        severity: first.severity,
+        lineNumbers: [...new Set(ruleFindings.map(finding => finding.line))],
+        locations: ruleFindings.map(finding => ({ line: finding.line, column: finding.column }))
+      });
+    }
+  }
+  
+  console.log(`Analysis complete. Found issues in ${analysisResults.length} files`);
+  signal?.throwIfAborted();
+  
+  // Save AI-generated issues to the database
+  let lastNumber = await Issue.lastAINumber(repository._id);
+  for (const item of analysisResults) {
+    item.issueNumber = await saveScanIssue(repository, item, () => `AI-${++lastNumber}`);
+  }
+  
+  return {
+    repositoryUrl: repoUrl,
+    filesAnalyzed: scan.files.length,
+    totalFiles: scan.totalFiles,
+    cachedFiles: scan.cachedFiles,
+    failedFiles: scan.failed,
+    skippedFiles: scan.skipped,
+    analysisResults
+  };
+}
+
+/**
+ * Clients a scan job reads the repository with: those of the user who
+ * submitted it, or the server's for jobs submitted anonymously
+ * @param {Document} job - ScanJob
+ * @returns {Promise<HostRegistry>} - Clients
+ * @throws {Error} - When the submitting user no longer exists
+ */
+async function hostsForJob(job) {
+  if (!job.user) return hosts;
+
+  const user = await User.findById(job.user);
+  if (!user) {
+    throw new Error('The user who submitted the scan no longer exists');
+  }
+  return hostsFor(user);
+}
+
+/**
+ * Find the scan job named by the route's jobId parameter
+ * @param {Object} req - Express request (after authenticate)
+ * @returns {Promise<Document|null>} - Job, or null when unknown or its repository is not readable by the caller
+ */
+async function findJob(req) {
+  if (!mongoose.isValidObjectId(req.params.jobId)) return null;
+
+  const job = await ScanJob.findById(req.params.jobId);
+  if (!job) return null;
+
+  const repository = await req.repositories.find(job.repositoryUrl);
+  return repository && (await canRead(req, repository)) ? job : null;
+}
+
+// Background worker for submitted scans
+export const scanQueue = new ScanJobQueue(
+  async (job, control) => {
+    const repository = await repositories.resolve(job.repositoryUrl);
+    const { analysisResults, failedFiles, skippedFiles, ...summary } = await scanRepository(repository, await hostsForJob(job), {
+      include: job.options?.include || [],
+      exclude: job.options?.exclude || [],
+      maxFiles: job.options?.maxFiles || 0,
+      useCache: job.options?.useCache !== false,
+      disabledRules: job.options?.disabledRules || [],
+      enabledRules: job.options?.enabledRules || [],
+      severityOverrides: Object.fromEntries(job.options?.severityOverrides || [])
+    }, control);
+
+    // Findings go to their own collection; an interrupted earlier attempt may have written some
+    await ScanResult.deleteMany({ job: job._id });
+    for (let index = 0; index < analysisResults.length; index += RESULT_BATCH_SIZE) {
+      await ScanResult.insertMany(
+        analysisResults.slice(index, index + RESULT_BATCH_SIZE).map(result => ({ ...result, job: job._id, repositoryUrl: repository.url }))
       );
-      
-      savedIssues.push(aiIssue);
     }
-    
-    const response = {
-      repositoryUrl: repoUrl,
-      filesAnalyzed: filesToAnalyze.length,
-      totalFiles: codeFiles.length,
-      analysisResults
+    await repositories.touch(repository, { lastScannedAt: new Date(), lastScanJob: job._id });
+
+    return {
+      ...summary,
+      failedFiles: failedFiles.slice(0, MAX_LISTED_FILES),
+      skippedFiles: skippedFiles.slice(0, MAX_LISTED_FILES),
+      failedCount: failedFiles.length,
+      skippedCount: skippedFiles.length,
+      resultCount: analysisResults.length
     };
+  },
+  { concurrency: SCAN_CONCURRENCY }
+);
+
+/**
+ * @route   POST /api/repos
+ * @desc    Register a repository, reading its default branch and visibility
+ *          from the host. Registering again refreshes that metadata.
+ * @body    url - Repository URL in any common form (https, SSH remote, with .git, ...)
+ * @access  Repository readers
+ */
+router.post('/', async (req, res) => {
+  try {
+    if (!req.body?.url) {
+      return res.status(400).json({ message: 'url is required' });
+    }
+
+    const { repository, created } = await req.repositories.register(req.body.url);
+    await authorizeRepository(req, repository);
+    res.status(created ? 201 : 200).json(repository);
+  } catch (error) {
+    console.error('Error registering repository:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/repos
+ * @desc    List the registered repositories the caller may read, most recently updated first
+ * @query   host - only repositories on this host
+ *          owner - only repositories of this owner
+ * @access  API users
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.host) filter.host = String(req.query.host).toLowerCase();
+    if (req.query.owner) filter.owner = String(req.query.owner).toLowerCase();
+
+    const list = await Repository.find(filter).sort({ updatedAt: -1 });
+    res.json(await filterReadable(req, list));
+  } catch (error) {
+    console.error('Error listing repositories:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/repos/jobs
+ * @desc    List scan jobs of the repositories the caller may read, newest first
+ * @query   repoUrl - only jobs for this repository
+ *          status - queued|running|completed|failed|cancelled
+ *          limit - maximum number of jobs (default 20, max 100)
+ * @access  API users
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const repoFilter = req.query.repoUrl ? { key: req.repositories.identify(req.query.repoUrl).key } : {};
+    const readable = await filterReadable(req, await Repository.find(repoFilter));
+    const filter = { repositoryUrl: { $in: readable.map(repository => repository.url) } };
+    if (req.query.status) {
+      if (!SCAN_JOB_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ message: `status must be one of: ${SCAN_JOB_STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const jobs = await ScanJob.find(filter)
+      .select('-result.analysisResults')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error listing scan jobs:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/repos/jobs/:jobId
+ * @desc    Get a scan job's status, progress and (when completed) result summary;
+ *          the findings are listed by /api/repos/jobs/:jobId/results
+ * @access  Repository readers
+ */
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await findJob(req);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching scan job:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/repos/jobs/:jobId/results
+ * @desc    List a completed scan job's findings, one per rule and file, ordered by file.
+ *          The total is in the X-Total-Count header.
+ * @query   page, limit - pagination (default limit 100, max 500)
+ * @access  Repository readers
+ */
+router.get('/jobs/:jobId/results', async (req, res) => {
+  try {
+    const job = await findJob(req);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const [results, total] = await Promise.all([
+      ScanResult.find({ job: job._id })
+        .select('-job -repositoryUrl')
+        .sort({ filePath: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ScanResult.countDocuments({ job: job._id })
+    ]);
+
+    res.set({ 'X-Total-Count': total, 'Access-Control-Expose-Headers': 'X-Total-Count' });
+    res.json(results);
+  } catch (error) {
+    console.error('Error fetching scan results:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/repos/jobs/:jobId/cancel
+ * @desc    Cancel a queued or running scan job
+ * @access  Repository readers
+ */
+router.post('/jobs/:jobId/cancel', async (req, res) => {
+  try {
+    if (!(await findJob(req))) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const job = await scanQueue.cancel(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    if (!['cancelled', 'running'].includes(job.status)) {
+      return res.status(409).json({ message: `Job already ${job.status}`, job });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error cancelling scan job:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/repos/:repoUrl/scan
+ * @desc    Submit a repository scan as a background job; poll /api/repos/jobs/:jobId.
+ *          The job reads the repository with the submitting user's tokens.
+ * @query   include, exclude, maxFiles, cache, disable, enable, severity - as for /analyze
+ * @access  Repository readers
+ */
+router.post('/:repoUrl/scan', async (req, res) => {
+  try {
+    // Reject unsupported hosts now rather than in the background job
+    const repository = await resolveRepository(req);
+    const job = await scanQueue.enqueue(
+      repository.url,
+      { ...parseScanOptions(req.query), ...parseRuleOptions(req.query) },
+      { user: req.user }
+    );
+
+    res.status(202).json(job);
+  } catch (error) {
+    console.error('Error submitting scan job:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/repos/:repoUrl/analyze
+ * @desc    Analyze a repository for potential issues within the request.
+ *          Large repositories should use POST /api/repos/:repoUrl/scan instead.
+ * @query   include, exclude - comma-separated path globs, e.g. include=src/** exclude=*.min.js
+ *          maxFiles - stop after this many files (default: no limit)
+ *          cache (true|false) - reuse findings for unchanged files (default true)
+ *          disable, enable - comma-separated rule IDs
+ *          severity - comma-separated ruleId:severity overrides
+ * @access  Repository readers
+ */
+router.get('/:repoUrl/analyze', async (req, res) => {
+  try {
+    console.log('Repository analysis request received');
+    const repository = await resolveRepository(req);
+    const response = await scanRepository(repository, req.hosts, { ...parseScanOptions(req.query), ...parseRuleOptions(req.query) });
+    await repositories.touch(repository, { lastScannedAt: new Date() });
     
     console.log('Saving AI issues to database and sending analysis results to client');
     res.json(response);
@@ -127,11 +478,65 @@ router.get('/:repoUrl/analyze', async (req, res) => {
       errorMessage = error.message;
     }
     
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       message: errorMessage,
       error: process.env.NODE_ENV === 'development' ? error.toString() : undefined
     });
   }
 });
 
+/**
+ * @route   GET /api/repos/:repoUrl
+ * @desc    Get a registered repository with its issue counts and last scan job
+ * @access  Repository readers
+ */
+router.get('/:repoUrl', async (req, res) => {
+  try {
+    const repository = await findRepository(req);
+    if (!repository) {
+      return res.status(404).json({ message: 'Repository not found' });
+    }
+
+    const [total, open, aiGenerated, lastScanJob] = await Promise.all([
+      Issue.countDocuments({ repository: repository._id }),
+      Issue.countDocuments({ repository: repository._id, state: 'open' }),
+      Issue.countDocuments({ repository: repository._id, issueNumber: { $regex: /^AI-\d+$/ } }),
+      repository.lastScanJob ? ScanJob.findById(repository.lastScanJob).select('-result.analysisResults') : null
+    ]);
+
+    res.json({
+      ...repository.toObject(),
+      issues: { total, open, aiGenerated },
+      lastScanJob
+    });
+  } catch (error) {
+    console.error('Error fetching repository:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/repos/:repoUrl
+ * @desc    Delete a repository with its issues, AI solutions and finished scan jobs
+ * @access  Users whose own token has write or admin access to the repository
+ */
+router.delete('/:repoUrl', async (req, res) => {
+  try {
+    const repository = await findRepository(req);
+    if (!repository) {
+      return res.status(404).json({ message: 'Repository not found' });
+    }
+    await authorizeWrite(req, repository);
+    if (await ScanJob.exists({ repositoryUrl: repository.url, status: { $in: ['queued', 'running'] } })) {
+      return res.status(409).json({ message: 'Cancel the repository\'s pending scan jobs first' });
+    }
+
+    const deleted = await repositories.remove(repository);
+    res.json({ repositoryUrl: repository.url, deleted });
+  } catch (error) {
+    console.error('Error deleting repository:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,128 @@
+import express from 'express';
+import { Repository, User } from '../models/index.js';
+import { USAGE_OPERATIONS } from '../models/UsageRecord.js';
+import { HostRegistry, RepositoryService, UsageService } from '../services/index.js';
+import { USAGE_GROUPS } from '../services/usageService.js';
+import { AUTH_REQUIRED, LLM_DAILY_QUOTAS, LLM_PRICING, SCM_HOSTS } from '../config.js';
+import { canRead, filterReadable } from '../middleware/auth.js';
+
+const router = express.Router();
+const repositories = new RepositoryService(new HostRegistry(SCM_HOSTS));
+
+// Reports cover the last 30 days unless asked otherwise
+const DEFAULT_REPORT_DAYS = 30;
+
+/**
+ * Canonical form of a repository URL, or the URL itself when its host is not configured
+ * @param {string} repoUrl - Repository URL
+ * @returns {string} - Repository URL
+ */
+function canonicalUrl(repoUrl) {
+  try {
+    return repositories.identify(repoUrl).url;
+  } catch (err) {
+    return repoUrl;
+  }
+}
+
+// Shared by every route that calls an LLM; quotas may be keyed by any spelling of a repository URL
+export const usageMeter = new UsageService({
+  pricing: LLM_PRICING,
+  quotas: {
+    ...LLM_DAILY_QUOTAS,
+    repositories: Object.fromEntries(
+      Object.entries(LLM_DAILY_QUOTAS.repositories || {}).map(([url, limits]) => [canonicalUrl(url), limits])
+    ),
+    users: Object.fromEntries(
+      Object.entries(LLM_DAILY_QUOTAS.users || {}).map(([key, limits]) => [key.toLowerCase(), limits])
+    )
+  }
+});
+
+/**
+ * @route   GET /api/usage
+ * @desc    Report LLM usage (requests, tokens, estimated cost) from the usage ledger.
+ *          When authentication is required, only repositories the caller may read are included.
+ * @query   groupBy - comma-separated repo, user, model, day, operation (default day)
+ *          from, to - ISO dates (default the last 30 days)
+ *          repoUrl - only this repository
+ *          user - only this user, as host/login (e.g. github.com/octocat), or "me"
+ *          operation - analysis|triage|review
+ *          model - only this model
+ * @access  API users
+ */
+router.get('/', async (req, res) => {
+  try {
+    const groupBy = String(req.query.groupBy || 'day').split(',').map(group => group.trim()).filter(Boolean);
+    const invalidGroup = groupBy.find(group => !USAGE_GROUPS.includes(group));
+    if (invalidGroup) {
+      return res.status(400).json({ message: `groupBy must be a list of: ${USAGE_GROUPS.join(', ')}` });
+    }
+    if (req.query.operation && !USAGE_OPERATIONS.includes(req.query.operation)) {
+      return res.status(400).json({ message: `operation must be one of: ${USAGE_OPERATIONS.join(', ')}` });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ message: 'from and to must be ISO dates' });
+    }
+
+    const match = {};
+    if (req.query.operation) match.operation = req.query.operation;
+    if (req.query.model) match.model = String(req.query.model);
+    if (req.query.user) {
+      let user = null;
+      if (req.query.user === 'me') {
+        user = req.user;
+      } else {
+        const [host, login] = String(req.query.user).toLowerCase().split('/');
+        user = login ? await User.findOne({ host, login }) : null;
+      }
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      match.user = user._id;
+    }
+
+    if (req.query.repoUrl || AUTH_REQUIRED) {
+      const candidates = await Repository.find(req.query.repoUrl ? { key: req.repositories.identify(req.query.repoUrl).key } : {});
+      if (req.query.repoUrl && candidates.length === 0) {
+        return res.status(404).json({ message: 'Repository not found' });
+      }
+      const readable = await filterReadable(req, candidates);
+      match.repository = { $in: readable.map(repository => repository._id) };
+    }
+
+    res.json(await usageMeter.report({ from, to, groupBy, match }));
+  } catch (error) {
+    console.error('Error reporting LLM usage:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/usage/quota
+ * @desc    Today's LLM usage against the daily quotas of a repository and the caller
+ * @query   repoUrl - Repository URL
+ * @access  Repository readers
+ */
+router.get('/quota', async (req, res) => {
+  try {
+    if (!req.query.repoUrl) {
+      return res.status(400).json({ message: 'repoUrl is required' });
+    }
+
+    const repository = await req.repositories.find(String(req.query.repoUrl));
+    if (!repository || !(await canRead(req, repository))) {
+      return res.status(404).json({ message: 'Repository not found' });
+    }
+
+    res.json(await usageMeter.quotaStatus({ repository, user: req.user }));
+  } catch (error) {
+    console.error('Error fetching LLM quota:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,252 @@
+import express from 'express';
+import { AISolution, Repository, WebhookDelivery } from '../models/index.js';
+import { WEBHOOK_DELIVERY_STATUSES } from '../models/WebhookDelivery.js';
+import { GitHubService, HostRegistry, IssueAnalyzerService, RepositoryService, SecretScanner, WebhookService } from '../services/index.js';
+import { analyzeIssueAutomatically } from './issueRoutes.js';
+import { AUTH_REQUIRED, GITHUB_TOKEN, GITHUB_API_URL, GITHUB_WEBHOOK_SECRET, WEBHOOK_AUTO_ANALYZE, SECRET_ALLOWLIST, SCM_HOSTS } from '../config.js';
+import { authenticate, filterReadable } from '../middleware/auth.js';
+
+const router = express.Router();
+const issueAnalyzer = new IssueAnalyzerService({ secretScanner: new SecretScanner(SECRET_ALLOWLIST) });
+const githubService = new GitHubService(GITHUB_TOKEN, { baseUrl: GITHUB_API_URL });
+const repositories = new RepositoryService(new HostRegistry(SCM_HOSTS));
+
+/**
+ * Canonical form of a repository URL, or the URL itself when its host is not configured
+ * @param {string|null} repoUrl - Repository URL
+ * @returns {string|null} - Repository URL
+ */
+function canonicalUrl(repoUrl) {
+  if (!repoUrl) return repoUrl;
+  try {
+    return repositories.identify(repoUrl).url;
+  } catch (err) {
+    return repoUrl;
+  }
+}
+
+const webhooks = new WebhookService(githubService, issueAnalyzer, {
+  secret: GITHUB_WEBHOOK_SECRET,
+  // Rules may be keyed by any spelling of the repository URL
+  autoAnalyze: Object.fromEntries(
+    Object.entries(WEBHOOK_AUTO_ANALYZE).map(([repoUrl, rule]) => [canonicalUrl(repoUrl), rule])
+  )
+});
+
+// issues actions that change stored fields
+const ISSUE_ACTIONS = ['opened', 'edited', 'closed', 'reopened', 'labeled', 'unlabeled'];
+const COMMENT_ACTIONS = ['created', 'edited', 'deleted'];
+
+// Automatic analyses run one at a time so a burst of new issues doesn't flood the LLM
+let analysisQueue = Promise.resolve();
+
+/**
+ * Record a delivery, or recognise a redelivery. A delivery that failed before
+ * is processed again; any other redelivery is a duplicate.
+ * @param {string} deliveryId - X-GitHub-Delivery header
+ * @param {Object} fields - { event, action, repositoryUrl, issueNumber }
+ * @returns {Promise<Object>} - { delivery, duplicate }
+ */
+async function claimDelivery(deliveryId, fields) {
+  try {
+    return { delivery: await WebhookDelivery.create({ deliveryId, ...fields }), duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const retried = await WebhookDelivery.findOneAndUpdate(
+    { deliveryId, status: 'failed' },
+    { status: 'processing', error: null, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (retried) return { delivery: retried, duplicate: false };
+
+  return { delivery: await WebhookDelivery.findOne({ deliveryId }), duplicate: true };
+}
+
+/**
+ * Apply an event to the stored issues
+ * @param {string} event - X-GitHub-Event header
+ * @param {Object} payload - Webhook payload
+ * @returns {Promise<Object>} - { status: 'processed'|'ignored', result, issue, rule }
+ */
+async function handleEvent(event, payload) {
+  const payloadUrl = webhooks.repositoryUrl(payload);
+  const { action } = payload;
+
+  if (event === 'ping') {
+    return { status: 'ignored', result: 'ping' };
+  }
+  if (!payloadUrl || !payload.issue) {
+    return { status: 'ignored', result: `Unhandled event: ${event}` };
+  }
+  const repository = await repositories.resolve(payloadUrl);
+
+  if (event === 'issues') {
+    if (!ISSUE_ACTIONS.includes(action)) {
+      return { status: 'ignored', result: `Unhandled issues action: ${action}` };
+    }
+
+    const { issue, created, stale } = await webhooks.upsertIssue(repository, payload.issue);
+    if (stale) {
+      return { status: 'ignored', result: 'A newer version of the issue is already stored', issue };
+    }
+
+    const rule = webhooks.matchAutoAnalyzeRule(repository.url, { action, label: payload.label?.name, issue });
+    return { status: 'processed', result: created ? 'Issue created' : 'Issue updated', issue, rule };
+  }
+
+  if (event === 'issue_comment') {
+    // Pull requests share the issue comment API; only issues are stored
+    if (payload.issue.pull_request) {
+      return { status: 'ignored', result: 'Comment on a pull request' };
+    }
+    if (!COMMENT_ACTIONS.includes(action)) {
+      return { status: 'ignored', result: `Unhandled issue_comment action: ${action}` };
+    }
+
+    const { issue } = await webhooks.upsertIssue(repository, payload.issue);
+    const changed = await webhooks.applyComment(issue, action, payload.comment);
+    return { status: 'processed', result: changed ? `Comment ${action}` : 'Comment already up to date', issue };
+  }
+
+  return { status: 'ignored', result: `Unhandled event: ${event}` };
+}
+
+/**
+ * Queue an automatic analysis and record its outcome on the delivery
+ * @param {Document} delivery - Delivery that triggered the analysis
+ * @param {Document} issue - Issue to analyze
+ * @param {Object} rule - Matching rule with provider/model
+ * @returns {Promise<boolean>} - Whether an analysis was queued
+ */
+async function queueAutoAnalysis(delivery, issue, rule) {
+  // The issue may already have been analyzed, or be waiting for another delivery's analysis
+  const [analyzed, pending] = await Promise.all([
+    AISolution.exists({ issue: issue._id }),
+    WebhookDelivery.exists({
+      repositoryUrl: delivery.repositoryUrl,
+      issueNumber: issue.issueNumber,
+      'analysis.status': { $in: ['queued', 'running'] }
+    })
+  ]);
+  if (analyzed || pending) return false;
+
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    { analysis: { status: 'queued', provider: rule.provider, model: rule.model } }
+  );
+
+  analysisQueue = analysisQueue.then(async () => {
+    try {
+      await WebhookDelivery.updateOne({ _id: delivery._id }, { 'analysis.status': 'running' });
+      const solution = await analyzeIssueAutomatically(delivery.repositoryUrl, issue.issueNumber, rule);
+      await WebhookDelivery.updateOne({ _id: delivery._id }, {
+        'analysis.status': 'completed',
+        'analysis.provider': solution.provider,
+        'analysis.model': solution.model,
+        'analysis.solution': solution._id,
+        'analysis.finishedAt': new Date()
+      });
+    } catch (error) {
+      console.error(`Automatic analysis of ${delivery.repositoryUrl}#${issue.issueNumber} failed:`, error);
+      await WebhookDelivery.updateOne({ _id: delivery._id }, {
+        'analysis.status': 'failed',
+        'analysis.error': error.message,
+        'analysis.finishedAt': new Date()
+      }).catch(err => console.error('Error recording automatic analysis failure:', err));
+    }
+  });
+  return true;
+}
+
+/**
+ * @route   POST /api/webhooks/github
+ * @desc    Receive GitHub webhook deliveries. The X-Hub-Signature-256 header
+ *          must match GITHUB_WEBHOOK_SECRET. issues events (opened, edited,
+ *          closed, reopened, labeled, unlabeled) and issue_comment events are
+ *          upserted into the stored issues; new issues matching the repo's
+ *          WEBHOOK_AUTO_ANALYZE rule are analyzed in the background.
+ *          Redeliveries of processed deliveries are acknowledged without
+ *          being applied again.
+ * @access  Public (signed)
+ */
+router.post('/github', express.raw({ type: () => true, limit: '25mb' }), async (req, res) => {
+  if (!GITHUB_WEBHOOK_SECRET) {
+    return res.status(503).json({ message: 'Webhook secret not configured' });
+  }
+
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (!webhooks.verifySignature(rawBody, req.get('X-Hub-Signature-256'))) {
+    return res.status(401).json({ message: 'Invalid signature' });
+  }
+
+  const deliveryId = req.get('X-GitHub-Delivery');
+  const event = req.get('X-GitHub-Event');
+  if (!deliveryId || !event) {
+    return res.status(400).json({ message: 'X-GitHub-Delivery and X-GitHub-Event headers are required' });
+  }
+
+  let delivery;
+  try {
+    const payload = webhooks.parsePayload(rawBody, req.get('Content-Type'));
+
+    const claimed = await claimDelivery(deliveryId, {
+      event,
+      action: payload.action,
+      repositoryUrl: canonicalUrl(webhooks.repositoryUrl(payload)),
+      issueNumber: payload.issue?.number
+    });
+    delivery = claimed.delivery;
+    if (claimed.duplicate) {
+      return res.json({ message: 'Delivery already received', deliveryId, status: delivery.status });
+    }
+
+    const { status, result, issue, rule } = await handleEvent(event, payload);
+    await WebhookDelivery.updateOne({ _id: delivery._id }, { status, result, processedAt: new Date() });
+
+    const analysisQueued = rule ? await queueAutoAnalysis(delivery, issue, rule) : false;
+
+    res.json({ deliveryId, status, result, analysisQueued });
+  } catch (error) {
+    console.error(`Error handling webhook delivery ${deliveryId}:`, error);
+    if (delivery) {
+      await WebhookDelivery.updateOne({ _id: delivery._id }, { status: 'failed', error: error.message, processedAt: new Date() })
+        .catch(err => console.error('Error recording webhook failure:', err));
+    }
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/deliveries
+ * @desc    List recent webhook deliveries, newest first. When authentication is
+ *          required, only deliveries of repositories the caller may read.
+ * @query   repoUrl, status (processing|processed|ignored|failed), limit (default 50, max 200)
+ * @access  API users
+ */
+router.get('/deliveries', authenticate(), async (req, res) => {
+  try {
+    const { repoUrl, status } = req.query;
+    if (status && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Invalid status: ${status}` });
+    }
+
+    const filter = {};
+    if (repoUrl) filter.repositoryUrl = canonicalUrl(repoUrl);
+    if (status) filter.status = status;
+    if (AUTH_REQUIRED) {
+      const readable = await filterReadable(req, await Repository.find(repoUrl ? { url: filter.repositoryUrl } : {}));
+      filter.repositoryUrl = { $in: readable.map(repository => repository.url) };
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const deliveries = await WebhookDelivery.find(filter).sort({ receivedAt: -1 }).limit(limit);
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
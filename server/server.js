@@ -4,22 +4,32 @@ import { PORT, MONGO_URI } from './config.js';
 import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { Issue } from './models/index.js';
 
 // Import routes
 import issueRoutes from './routes/issueRoutes.js';
-import repoRoutes from './routes/repoRoutes.js';
+import repoRoutes, { repositories, scanQueue } from './routes/repoRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import pullRoutes from './routes/pullRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import usageRoutes from './routes/usageRoutes.js';
+import { authenticate } from './middleware/auth.js';
 
 const app = express();
 
 // Middleware
 app.use(cors());
+// Webhooks verify signatures over the raw body, so they are mounted before the body parsers
+app.use('/api/webhooks', webhookRoutes);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
-app.use('/api/issues', issueRoutes);
-app.use('/api/repos', repoRoutes);
+app.use('/api/auth', authenticate({ required: false }), authRoutes);
+app.use('/api/issues', authenticate(), issueRoutes);
+app.use('/api/repos', authenticate(), repoRoutes);
+app.use('/api/pulls', authenticate(), pullRoutes);
+app.use('/api/usage', authenticate(), usageRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -28,7 +38,18 @@ app.get('/', (req, res) => {
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log('MongoDB connected'))
+  .then(async () => {
+    console.log('MongoDB connected');
+    // Link issues stored before repositories were registered
+    const migrated = await repositories.migrateIssues();
+    if (migrated.issues > 0) {
+      console.log(`Attached ${migrated.issues} issue(s) to ${migrated.repositories} repositories`);
+    }
+    // Issue indexes are built once duplicates are merged, so the unique one can be
+    await Issue.syncIndexes();
+    // Resume scan jobs interrupted by the last shutdown
+    return scanQueue.start();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Start server
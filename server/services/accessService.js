@@ -0,0 +1,109 @@
+import Repository from '../models/Repository.js';
+
+// How long a user's access to a repository is remembered
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+
+// Entries kept before expired ones are pruned
+const MAX_ENTRIES = 10000;
+
+// Host responses that mean the token can't see the repository
+const DENIED_STATUSES = [401, 403, 404];
+
+/**
+ * Decides who may read a repository's stored data. Public repositories are
+ * readable by everyone; anything else only by users whose own host token can
+ * read the repository. Answers from the host are cached for a while.
+ */
+class AccessService {
+  /**
+   * @param {Object} options - { ttlMs }
+   */
+  constructor({ ttlMs = DEFAULT_TTL_MS } = {}) {
+    this.ttlMs = ttlMs;
+    this.cache = new Map();
+  }
+
+  /**
+   * Whether a user may read a repository
+   * @param {Document|null} user - User, or null for anonymous callers
+   * @param {Document} repository - Repository
+   * @param {HostRegistry} hosts - The caller's clients (see hostsFor)
+   * @returns {Promise<boolean>}
+   */
+  async canRead(user, repository, hosts) {
+    if (repository.visibility === 'public') return true;
+
+    const ownToken = Boolean(user) && hosts.hasUserToken(repository.host);
+    // Without their own token, callers can only be let in once the repository is known to be public
+    if (!ownToken && repository.visibility) return false;
+
+    const key = `${user?._id || 'anonymous'}:${repository._id}`;
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.allowed;
+
+    let allowed = false;
+    try {
+      const { visibility } = await hosts.forRepo(repository.url).fetchRepository(repository.url);
+      // The server's token seeing a repository says nothing about whether the caller may
+      allowed = ownToken || visibility === 'public';
+      if (visibility && visibility !== repository.visibility) {
+        await Repository.updateOne({ _id: repository._id }, { visibility, metadataSyncedAt: new Date(), updatedAt: new Date() });
+        repository.visibility = visibility;
+      }
+    } catch (err) {
+      if (!DENIED_STATUSES.includes(err.status)) throw err;
+    }
+
+    this.remember(key, allowed);
+    return allowed;
+  }
+
+  /**
+   * Whether a user may change or delete a repository's stored data: their own
+   * token must have write or admin access to it. Not cached, since writes are
+   * rare and access may have been revoked.
+   * @param {Document|null} user - User, or null for anonymous callers
+   * @param {Document} repository - Repository
+   * @param {HostRegistry} hosts - The caller's clients (see hostsFor)
+   * @returns {Promise<boolean>}
+   */
+  async canWrite(user, repository, hosts) {
+    if (!user || !hosts.hasUserToken(repository.host)) return false;
+
+    try {
+      const { permissions } = await hosts.forRepo(repository.url).fetchRepository(repository.url);
+      return Boolean(permissions?.push || permissions?.admin);
+    } catch (err) {
+      if (!DENIED_STATUSES.includes(err.status)) throw err;
+      return false;
+    }
+  }
+
+  /**
+   * Cache an answer, pruning expired answers when the cache grows large
+   * @param {string} key - user:repository
+   * @param {boolean} allowed - Answer
+   */
+  remember(key, allowed) {
+    if (this.cache.size >= MAX_ENTRIES) {
+      const now = Date.now();
+      for (const [entry, { expiresAt }] of this.cache) {
+        if (expiresAt <= now) this.cache.delete(entry);
+      }
+    }
+    this.cache.set(key, { allowed, expiresAt: Date.now() + this.ttlMs });
+  }
+
+  /**
+   * Forget a user's cached answers, e.g. after their token changed
+   * @param {string} userId - User ID
+   */
+  forget(userId) {
+    const prefix = `${userId}:`;
+    for (const key of this.cache.keys()) {
+      if (key.startsWith(prefix)) this.cache.delete(key);
+    }
+  }
+}
+
+export default AccessService;
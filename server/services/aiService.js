@@ -0,0 +1,616 @@
+import crypto from 'crypto';
+import { SOLUTION_SCHEMA, TRIAGE_SCHEMA, REVIEW_SCHEMA, MAX_CHANGE_LINES, validateSolution, validateAgainstSchema } from './solutionSchema.js';
+
+/**
+ * Provider-agnostic issue analysis. Builds the prompt, sends it to the
+ * configured LLM provider and parses the reply into a structured solution.
+ */
+class AIService {
+  /**
+   * @param {BaseProvider} provider - LLM provider (see services/llm)
+   * @param {Object} options - { maxRepairAttempts, redactor, onUsage }; the redactor (a SecretScanner)
+   *                           strips secrets from the prompt before it leaves the server, and
+   *                           onUsage(entry) is awaited after every operation that called the
+   *                           provider (see generateValidated)
+   */
+  constructor(provider, { maxRepairAttempts = 2, redactor = null, onUsage = null } = {}) {
+    this.provider = provider;
+    this.maxRepairAttempts = maxRepairAttempts;
+    this.redactor = redactor;
+    this.onUsage = onUsage;
+
+    // Limits for the discussion summary included in the prompt
+    this.maxCommentsInPrompt = 10;
+    this.maxCommentLength = 1500;
+
+    // Diff lines of a pull request included in a review prompt
+    this.maxDiffLinesInPrompt = 2000;
+  }
+
+  /**
+   * Summarize an issue's comment thread for the prompt. Keeps the first
+   * comments (usually the repro details) and the latest ones, and truncates
+   * long comments.
+   * @param {Array} comments - Issue comments ({ author, body })
+   * @returns {string} - Discussion summary, or an empty string
+   */
+  summarizeDiscussion(comments) {
+    if (!comments || comments.length === 0) return '';
+
+    let selected = comments;
+    let omitted = 0;
+    if (comments.length > this.maxCommentsInPrompt) {
+      const head = Math.ceil(this.maxCommentsInPrompt / 2);
+      const tail = this.maxCommentsInPrompt - head;
+      selected = [...comments.slice(0, head), ...comments.slice(comments.length - tail)];
+      omitted = comments.length - selected.length;
+    }
+
+    const lines = selected.map((comment, index) => {
+      let body = (comment.body || '').trim();
+      if (body.length > this.maxCommentLength) {
+        body = `${body.slice(0, this.maxCommentLength)}... [truncated]`;
+      }
+      const line = `- ${comment.author || 'unknown'}: ${body}`;
+      // Mark where the omitted middle of the thread was
+      return omitted > 0 && index === Math.ceil(this.maxCommentsInPrompt / 2)
+        ? `- ... ${omitted} more comments omitted ...\n${line}`
+        : line;
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Prefix each line of a file with its line number so the model can cite ranges
+   * @param {string} content - File content
+   * @param {number} startLine - Line number of the first line
+   * @returns {string} - Numbered content
+   */
+  numberLines(content, startLine = 1) {
+    const lines = content.split('\n');
+    const width = String(startLine + lines.length - 1).length;
+    return lines.map((line, index) => `${String(startLine + index).padStart(width)}| ${line}`).join('\n');
+  }
+
+  /**
+   * Render a file for the prompt. Files trimmed by ContextBudgetService carry
+   * segments; the gaps between them are marked so line numbers stay accurate.
+   * @param {Object} file - { content, segments? }
+   * @returns {string} - Numbered file listing
+   */
+  renderFile(file) {
+    if (!file.segments) return this.numberLines(file.content);
+
+    const lineCount = file.content.split('\n').length;
+    const parts = [];
+    let nextLine = 1;
+
+    for (const segment of file.segments) {
+      if (segment.startLine > nextLine) {
+        parts.push(`... lines ${nextLine}-${segment.startLine - 1} omitted ...`);
+      }
+      parts.push(this.numberLines(segment.text, segment.startLine));
+      nextLine = segment.endLine + 1;
+    }
+    if (nextLine <= lineCount) {
+      parts.push(`... lines ${nextLine}-${lineCount} omitted ...`);
+    }
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Build the analysis prompt for an issue
+   * @param {Object} issue - The GitHub issue data
+   * @param {Array} fileContents - Array of {path, content} objects for relevant files
+   * @param {Object} context - { relatedIssues: [{ issueNumber, title, state, score, solution }],
+   *                            feedback: [{ kind: 'solution'|'snippet', filePath, suggestedCode, reason }] }
+   * @returns {string} - Prompt text
+   */
+  buildPrompt(issue, fileContents, context = {}) {
+    let prompt = `Analyze this GitHub issue and provide a solution:\n\n`;
+    prompt += `Issue Title: ${issue.title}\n\n`;
+    prompt += `Issue Description:\n${issue.body || 'No description provided.'}\n\n`;
+
+    if (issue.labels && issue.labels.length > 0) {
+      prompt += `Labels: ${issue.labels.join(', ')}\n\n`;
+    }
+
+    if (issue.linkedReferences && issue.linkedReferences.length > 0) {
+      prompt += `Linked references:\n`;
+      for (const ref of issue.linkedReferences) {
+        prompt += ref.type === 'commit'
+          ? `- commit ${ref.sha}\n`
+          : `- ${ref.type === 'pull_request' ? 'PR' : 'issue'} #${ref.number} (${ref.state}): ${ref.title}\n`;
+      }
+      prompt += `\n`;
+    }
+
+    const discussion = this.summarizeDiscussion(issue.comments);
+    if (discussion) {
+      prompt += `Discussion (${issue.comments.length} comments):\n${discussion}\n\n`;
+    }
+
+    // Similar issues, with their earlier analyses when we have them
+    if (context.relatedIssues && context.relatedIssues.length > 0) {
+      prompt += `Possibly related issues in this repository:\n`;
+      for (const related of context.relatedIssues) {
+        prompt += `- #${related.issueNumber} (${related.state}, similarity ${related.score}): ${related.title}\n`;
+        if (related.solution) {
+          prompt += `  Earlier root cause: ${related.solution.rootCause || related.solution.analysis}\n`;
+          prompt += `  Earlier solution: ${related.solution.solution.replace(/\n/g, ' ')}\n`;
+        }
+      }
+      prompt += `If this issue duplicates one of them, say so in the analysis.\n\n`;
+    }
+
+    // What users rejected in earlier analyses of this issue
+    if (context.feedback && context.feedback.length > 0) {
+      prompt += `Earlier suggestions for this issue were rejected by the user. Do not repeat them:\n`;
+      for (const item of context.feedback) {
+        if (item.kind === 'solution') {
+          prompt += `- Earlier solution marked unhelpful${item.reason ? `: ${item.reason}` : ''}\n`;
+        } else {
+          const code = (item.suggestedCode || '').split('\n').slice(0, 5).join('\n    ');
+          prompt += `- Change to ${item.filePath} rejected${item.reason ? `: ${item.reason}` : ''}\n    ${code}\n`;
+        }
+      }
+      prompt += `\n`;
+    }
+
+    // Add file contents for context
+    if (fileContents && fileContents.length > 0) {
+      prompt += `Relevant code files (each line is prefixed with its line number):\n\n`;
+
+      for (const file of fileContents) {
+        prompt += `File: ${file.path}\n\n\`\`\`\n${this.renderFile(file)}\n\`\`\`\n\n`;
+      }
+    }
+
+    prompt += `Respond with a single JSON object and nothing else. It must match this JSON schema:\n`;
+    prompt += `${JSON.stringify(SOLUTION_SCHEMA, null, 2)}\n\n`;
+    prompt += `Line numbers in codeChanges refer to the numbered listings above; `;
+    prompt += `originalCode and suggestedCode must not include the line-number prefixes.\n`;
+
+    return prompt;
+  }
+
+  /**
+   * Build a follow-up prompt asking the model to fix an invalid response
+   * @param {string} prompt - Original prompt
+   * @param {string} previousResponse - The invalid response
+   * @param {Array<string>} errors - Validation errors
+   * @returns {string} - Repair prompt
+   */
+  buildRepairPrompt(prompt, previousResponse, errors) {
+    let repairPrompt = `${prompt}\n`;
+    repairPrompt += `Your previous response was not valid:\n\n${previousResponse}\n\n`;
+    repairPrompt += `Validation errors:\n${errors.map(error => `- ${error}`).join('\n')}\n\n`;
+    repairPrompt += `Return a corrected JSON object that matches the schema exactly.\n`;
+    return repairPrompt;
+  }
+
+  /**
+   * Send a prompt and parse the reply. Invalid responses are sent back to the
+   * model with the validation errors until they pass or the repair attempts
+   * run out.
+   * @param {string} prompt - Prompt text (redacted here when a redactor is set)
+   * @param {Function} parse - Parses the response text; throws an Error with
+   *                           validationErrors when the response is invalid
+   * @param {Object} options - { signal, onProgress(event, data), operation }; with onProgress the
+   *                           response is streamed and reported as 'prompt', 'token'
+   *                           and 'repair' events. The operation (analysis|triage|review)
+   *                           is passed to onUsage with the tokens of all attempts, whether
+   *                           or not a valid response came back.
+   * @returns {Promise<Object>} - { value, attempts, usage, promptHash }
+   */
+  async generateValidated(prompt, parse, { signal, onProgress, operation = 'analysis' } = {}) {
+    if (this.redactor) {
+      prompt = this.redactor.redact(prompt).text;
+    }
+    // Identifies the exact prompt that was sent, so results can be traced back to their input
+    const promptHash = crypto.createHash('sha256').update(prompt).digest('hex');
+
+    const usage = { promptTokens: 0, completionTokens: 0 };
+    let currentPrompt = prompt;
+    let lastErrors = [];
+    let calls = 0;
+    let succeeded = false;
+
+    try {
+      for (let attempt = 0; attempt <= this.maxRepairAttempts; attempt++) {
+        let result;
+        if (onProgress) {
+          onProgress('prompt', {
+            attempt: attempt + 1,
+            characters: currentPrompt.length,
+            estimatedTokens: Math.ceil(currentPrompt.length / 4)
+          });
+          result = await this.provider.stream(currentPrompt, {
+            json: true,
+            signal,
+            onToken: text => onProgress('token', { attempt: attempt + 1, text })
+          });
+        } else {
+          result = await this.provider.generate(currentPrompt, { json: true, signal });
+        }
+        calls++;
+        usage.promptTokens += result.usage?.promptTokens || 0;
+        usage.completionTokens += result.usage?.completionTokens || 0;
+
+        try {
+          const value = parse(result.text);
+          succeeded = true;
+          return { value, attempts: attempt + 1, usage, promptHash };
+        } catch (parseError) {
+          if (!parseError.validationErrors) throw parseError;
+
+          lastErrors = parseError.validationErrors;
+          console.warn(`AI response failed validation (attempt ${attempt + 1}):`, lastErrors.join('; '));
+          if (onProgress) onProgress('repair', { attempt: attempt + 1, errors: lastErrors });
+          currentPrompt = this.buildRepairPrompt(prompt, result.text, lastErrors);
+        }
+      }
+
+      throw new Error(`AI response did not match the expected schema: ${lastErrors.join('; ')}`);
+    } finally {
+      // Tokens are spent whether or not the response was usable
+      if (this.onUsage && calls > 0) {
+        await this.onUsage({
+          operation,
+          provider: this.provider.name,
+          model: this.provider.model,
+          usage,
+          calls,
+          succeeded,
+          promptHash
+        });
+      }
+    }
+  }
+
+  /**
+   * Generate an analysis and solution for a GitHub issue
+   * @param {Object} issue - The GitHub issue data
+   * @param {Array} fileContents - Array of {path, content} objects for relevant files
+   * @param {Object} context - Extra prompt context, see buildPrompt
+   * @param {Object} options - { signal, onProgress }, see generateValidated
+   * @returns {Promise<Object>} - AI analysis and solution
+   */
+  async analyzeIssue(issue, fileContents, context = {}, options = {}) {
+    try {
+      const prompt = this.buildPrompt(issue, fileContents, context);
+      const { value, attempts, usage, promptHash } = await this.generateValidated(
+        prompt,
+        text => this.parseAIResponse(text, issue, fileContents),
+        { ...options, operation: 'analysis' }
+      );
+
+      return {
+        ...value,
+        provider: this.provider.name,
+        model: this.provider.model,
+        attempts,
+        usage,
+        promptHash
+      };
+    } catch (error) {
+      console.error(`${this.provider.name} API error:`, error);
+      throw new Error(`Failed to analyze issue with AI: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the triage prompt for an issue
+   * @param {Object} issue - Issue data
+   * @param {Array<string>} components - Candidate components (directories) of the repository
+   * @param {string|null} suggestedComponent - Component implied by the issue's file references
+   * @returns {string} - Prompt text
+   */
+  buildTriagePrompt(issue, components, suggestedComponent) {
+    let prompt = `Triage this GitHub issue.\n\n`;
+    prompt += `Issue Title: ${issue.title}\n\n`;
+    prompt += `Issue Description:\n${issue.body || 'No description provided.'}\n\n`;
+
+    if (issue.labels && issue.labels.length > 0) {
+      prompt += `Labels: ${issue.labels.join(', ')}\n\n`;
+    }
+    if (issue.fileReferences && issue.fileReferences.length > 0) {
+      prompt += `Referenced files: ${issue.fileReferences.map(ref => ref.path).join(', ')}\n\n`;
+    }
+    if (components.length > 0) {
+      prompt += `Components of the repository (pick one for "component"):\n`;
+      prompt += `${components.map(component => `- ${component}`).join('\n')}\n\n`;
+    }
+    if (suggestedComponent) {
+      prompt += `The referenced files belong to "${suggestedComponent}".\n\n`;
+    }
+
+    prompt += `Respond with a single JSON object and nothing else. It must match this JSON schema:\n`;
+    prompt += `${JSON.stringify(TRIAGE_SCHEMA, null, 2)}\n`;
+    return prompt;
+  }
+
+  /**
+   * Parse and validate a triage response
+   * @param {string} aiResponse - Raw text response
+   * @returns {Object} - { type, priority, component, confidence }
+   * @throws {Error} - With a validationErrors array when the response is invalid
+   */
+  parseTriageResponse(aiResponse) {
+    let data;
+    try {
+      data = this.extractJson(aiResponse);
+    } catch (error) {
+      const invalid = new Error('AI response is not valid JSON');
+      invalid.validationErrors = [`Response is not valid JSON: ${error.message}`];
+      throw invalid;
+    }
+
+    const errors = validateAgainstSchema(data, TRIAGE_SCHEMA);
+    if (errors.length > 0) {
+      const invalid = new Error('AI response does not match the triage schema');
+      invalid.validationErrors = errors;
+      throw invalid;
+    }
+
+    return {
+      type: data.type,
+      priority: data.priority,
+      component: data.component.trim(),
+      confidence: data.confidence
+    };
+  }
+
+  /**
+   * Classify an issue's type, priority and component
+   * @param {Object} issue - Issue data
+   * @param {Array<string>} components - Candidate components of the repository
+   * @param {string|null} suggestedComponent - Component implied by file references
+   * @returns {Promise<Object>} - { type, priority, component, confidence, provider, model, usage }
+   */
+  async triageIssue(issue, components = [], suggestedComponent = null) {
+    try {
+      const prompt = this.buildTriagePrompt(issue, components, suggestedComponent);
+      const { value, usage } = await this.generateValidated(prompt, text => this.parseTriageResponse(text), { operation: 'triage' });
+
+      return {
+        ...value,
+        provider: this.provider.name,
+        model: this.provider.model,
+        usage
+      };
+    } catch (error) {
+      console.error(`${this.provider.name} API error:`, error);
+      throw new Error(`Failed to triage issue with AI: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render a file's diff for the review prompt. Added and context lines carry
+   * their line number in the new file; removed lines have none.
+   * @param {Object} file - { lines: [{ type: 'hunk'|'add'|'context'|'remove', newLine, text }] }
+   * @param {number} maxLines - Maximum number of lines to render
+   * @returns {string} - Numbered diff listing
+   */
+  renderDiff(file, maxLines = Infinity) {
+    const width = String(Math.max(1, ...file.lines.map(line => line.newLine || 0))).length;
+    const marks = { add: '+', context: ' ', remove: '-' };
+
+    const rendered = file.lines.slice(0, maxLines).map(line => (line.type === 'hunk'
+      ? `${' '.repeat(width)}| ${line.text}`
+      : `${line.type === 'remove' ? ' '.repeat(width) : String(line.newLine).padStart(width)}| ${marks[line.type]}${line.text}`));
+    if (file.lines.length > maxLines) {
+      rendered.push(`... ${file.lines.length - maxLines} more diff lines omitted ...`);
+    }
+    return rendered.join('\n');
+  }
+
+  /**
+   * Build the review prompt for a pull request
+   * @param {Object} pull - { title, body, base: { ref }, head: { ref } }
+   * @param {Array} files - [{ path, status, lines }] with parsed diffs
+   * @param {Array} findings - Rule findings on the added lines ({ filePath, line, description })
+   * @returns {string} - Prompt text
+   */
+  buildReviewPrompt(pull, files, findings = []) {
+    let prompt = `Review this pull request:\n\n`;
+    prompt += `Pull Request Title: ${pull.title}\n\n`;
+    prompt += `Description:\n${pull.body || 'No description provided.'}\n\n`;
+    prompt += `Merging ${pull.head.ref} into ${pull.base.ref}\n\n`;
+
+    if (findings.length > 0) {
+      prompt += `Automated checks already reported these; do not repeat them:\n`;
+      prompt += `${findings.map(finding => `- ${finding.filePath}:${finding.line} ${finding.description}`).join('\n')}\n\n`;
+    }
+
+    prompt += `Changed files (added and unchanged lines are prefixed with their line number in the new file):\n\n`;
+    let remaining = this.maxDiffLinesInPrompt;
+    for (const file of files) {
+      if (remaining <= 0) {
+        prompt += `File: ${file.path} (${file.status}) - diff omitted\n\n`;
+        continue;
+      }
+      prompt += `File: ${file.path} (${file.status})\n\n\`\`\`diff\n${this.renderDiff(file, remaining)}\n\`\`\`\n\n`;
+      remaining -= file.lines.length;
+    }
+
+    prompt += `Comment only on problems introduced by the added lines: bugs, security issues, missing error handling, `;
+    prompt += `unclear code. Leave "comments" empty when there is nothing worth raising.\n`;
+    prompt += `Respond with a single JSON object and nothing else. It must match this JSON schema:\n`;
+    prompt += `${JSON.stringify(REVIEW_SCHEMA, null, 2)}\n`;
+    return prompt;
+  }
+
+  /**
+   * Parse and validate a review response. Comments must name a file of the
+   * pull request; comments on lines outside the diff are kept but marked as
+   * not anchored, since GitHub only accepts comments on lines of the diff.
+   * @param {string} aiResponse - Raw text response
+   * @param {Array} files - [{ path, lines }] with parsed diffs
+   * @returns {Object} - { summary, comments: [{ filePath, line, severity, body, anchored }], confidence }
+   * @throws {Error} - With a validationErrors array when the response is invalid
+   */
+  parseReviewResponse(aiResponse, files) {
+    let data;
+    try {
+      data = this.extractJson(aiResponse);
+    } catch (error) {
+      const invalid = new Error('AI response is not valid JSON');
+      invalid.validationErrors = [`Response is not valid JSON: ${error.message}`];
+      throw invalid;
+    }
+
+    const errors = validateAgainstSchema(data, REVIEW_SCHEMA);
+    const matched = errors.length > 0 ? [] : data.comments.map((comment, index) => {
+      const file = files.find(f => f.path === comment.filePath) ||
+        files.find(f => f.path.endsWith(comment.filePath) || comment.filePath.endsWith(f.path));
+      if (!file) {
+        errors.push(`$.comments[${index}].filePath must be one of the changed files`);
+      }
+      return file;
+    });
+    if (errors.length > 0) {
+      const invalid = new Error('AI response does not match the review schema');
+      invalid.validationErrors = errors;
+      throw invalid;
+    }
+
+    return {
+      summary: data.summary.trim(),
+      comments: data.comments.map((comment, index) => ({
+        filePath: matched[index].path,
+        line: comment.line,
+        severity: comment.severity,
+        body: comment.body.trim(),
+        anchored: matched[index].lines.some(line => line.type !== 'remove' && line.newLine === comment.line)
+      })),
+      confidence: data.confidence
+    };
+  }
+
+  /**
+   * Review a pull request's changes
+   * @param {Object} pull - Pull request, see buildReviewPrompt
+   * @param {Array} files - Changed files with parsed diffs
+   * @param {Array} findings - Rule findings already reported
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} - { summary, comments, confidence, provider, model, attempts, usage, promptHash }
+   */
+  async reviewPullRequest(pull, files, findings = [], options = {}) {
+    try {
+      const prompt = this.buildReviewPrompt(pull, files, findings);
+      const { value, attempts, usage, promptHash } = await this.generateValidated(
+        prompt,
+        text => this.parseReviewResponse(text, files),
+        { ...options, operation: 'review' }
+      );
+
+      return {
+        ...value,
+        provider: this.provider.name,
+        model: this.provider.model,
+        attempts,
+        usage,
+        promptHash
+      };
+    } catch (error) {
+      console.error(`${this.provider.name} API error:`, error);
+      throw new Error(`Failed to review pull request with AI: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract a JSON object from a model response, tolerating code fences and
+   * surrounding prose
+   * @param {string} aiResponse - Raw text response
+   * @returns {Object} - Parsed JSON
+   */
+  extractJson(aiResponse) {
+    const fenced = aiResponse.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    let candidate = fenced ? fenced[1] : aiResponse;
+
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      candidate = candidate.slice(start, end + 1);
+    }
+
+    return JSON.parse(candidate);
+  }
+
+  /**
+   * Parse and validate the AI response into a structured solution
+   * @param {string} aiResponse - Raw text response from the LLM
+   * @param {Object} issue - The GitHub issue data
+   * @param {Array} fileContents - Array of file contents
+   * @returns {Object} - Structured AI solution
+   * @throws {Error} - With a validationErrors array when the response is invalid
+   */
+  parseAIResponse(aiResponse, issue, fileContents) {
+    let data;
+    try {
+      data = this.extractJson(aiResponse);
+    } catch (error) {
+      const invalid = new Error('AI response is not valid JSON');
+      invalid.validationErrors = [`Response is not valid JSON: ${error.message}`];
+      throw invalid;
+    }
+
+    // Match a change with one of the files we sent
+    const matchFile = filePath => (fileContents || []).find(f =>
+      typeof filePath === 'string' && (f.path === filePath || f.path.endsWith(filePath) || filePath.endsWith(f.path))
+    );
+
+    const errors = validateSolution(data, {
+      lineCount: filePath => {
+        const file = matchFile(filePath);
+        return typeof file?.content === 'string' ? file.content.split('\n').length : null;
+      }
+    });
+    if (errors.length > 0) {
+      const invalid = new Error('AI response does not match the solution schema');
+      invalid.validationErrors = errors;
+      throw invalid;
+    }
+
+    const codeSnippets = data.codeChanges.map(change => {
+      const matchedFile = matchFile(change.filePath);
+
+      // Validation bounds the range already; the cap keeps a bad range from ever allocating unbounded
+      const lastLine = Math.min(change.endLine, change.startLine + MAX_CHANGE_LINES - 1);
+      const lineNumbers = [];
+      for (let line = change.startLine; line <= lastLine; line++) {
+        lineNumbers.push(line);
+      }
+
+      return {
+        filePath: matchedFile ? matchedFile.path : change.filePath,
+        originalCode: matchedFile ? matchedFile.content : '',
+        originalExcerpt: change.originalCode,
+        suggestedCode: change.suggestedCode,
+        explanation: change.explanation || '',
+        startLine: change.startLine,
+        endLine: change.endLine,
+        lineNumbers
+      };
+    });
+
+    const steps = data.steps.map(step => step.trim());
+
+    return {
+      analysis: data.analysis.trim(),
+      rootCause: data.rootCause.trim(),
+      steps,
+      solution: steps.length > 0
+        ? steps.map((step, index) => `${index + 1}. ${step}`).join('\n')
+        : data.rootCause.trim(),
+      codeSnippets,
+      bestPractices: data.bestPractices.map(practice => practice.trim()),
+      confidence: data.confidence
+    };
+  }
+}
+
+export default AIService;
@@ -0,0 +1,85 @@
+/**
+ * Default rules for IssueAnalyzerService.analyzeCode.
+ *
+ * Each rule has:
+ * - id:         stable identifier used to enable/disable or override it
+ * - type:       finding category (debugging, incomplete, security, quality)
+ * - severity:   low | medium | high | critical
+ * - message:    human-readable description
+ * - extensions: optional list of file extensions the rule applies to
+ * - pattern:    RegExp matched against each line (every match is reported), or
+ * - match:      function(line, context) returning [{ column }] for custom logic, or
+ * - scanFile:   function(code, context) returning [{ line, column }] for multi-line logic
+ * - enabled:    false to make the rule opt-in
+ */
+const JS_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'];
+
+const DEFAULT_RULES = [
+  {
+    id: 'debug-console',
+    type: 'debugging',
+    severity: 'low',
+    message: 'Debug statement (console.log/debug/error) found in code',
+    extensions: JS_EXTENSIONS,
+    pattern: /\bconsole\.(?:log|debug|error)\s*\(/g
+  },
+  {
+    id: 'debug-debugger',
+    type: 'debugging',
+    severity: 'medium',
+    message: 'debugger statement left in code',
+    extensions: JS_EXTENSIONS,
+    pattern: /\bdebugger\s*;/g
+  },
+  {
+    id: 'debug-print',
+    type: 'debugging',
+    severity: 'low',
+    message: 'print() debug statement found in code',
+    extensions: ['.py'],
+    pattern: /^\s*print\s*\(/g
+  },
+  {
+    id: 'todo-comment',
+    type: 'incomplete',
+    severity: 'medium',
+    message: 'TODO, FIXME, HACK or XXX comment found',
+    pattern: /\b(?:TODO|FIXME|HACK|XXX)\b/g
+  },
+  {
+    id: 'unsafe-eval',
+    type: 'security',
+    severity: 'high',
+    message: 'Potentially unsafe code execution (eval / new Function)',
+    extensions: JS_EXTENSIONS,
+    pattern: /\beval\s*\(|\bnew Function\s*\(/g
+  },
+  {
+    id: 'python-exec',
+    type: 'security',
+    severity: 'high',
+    message: 'Potentially unsafe code execution (eval / exec)',
+    extensions: ['.py'],
+    pattern: /\b(?:eval|exec)\s*\(/g
+  },
+  {
+    id: 'php-eval',
+    type: 'security',
+    severity: 'high',
+    message: 'Potentially unsafe code execution (eval)',
+    extensions: ['.php'],
+    pattern: /\beval\s*\(/g
+  },
+  {
+    id: 'python-bare-except',
+    type: 'quality',
+    severity: 'low',
+    message: 'Bare except clause swallows all exceptions',
+    extensions: ['.py'],
+    pattern: /^\s*except\s*:/g
+  }
+];
+
+// Credential checks are provided by SecretScanner.toRules()
+
+export default DEFAULT_RULES;
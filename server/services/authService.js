@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+
+const API_KEY_PREFIX = 'gia_';
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} - Hex SHA-256
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Manages users, their API keys and their encrypted host tokens. API keys
+ * are random and stored as SHA-256 hashes, so they can only be shown once.
+ */
+class AuthService {
+  /**
+   * @param {TokenCipher} cipher - Encrypts stored host tokens
+   */
+  constructor(cipher) {
+    this.cipher = cipher;
+  }
+
+  /**
+   * Find the user of an API key and record its use
+   * @param {string} key - API key
+   * @returns {Promise<Document|null>} - User, or null for unknown and revoked keys
+   */
+  async authenticate(key) {
+    if (!key || !key.startsWith(API_KEY_PREFIX)) return null;
+
+    return User.findOneAndUpdate(
+      { apiKeys: { $elemMatch: { hash: hashKey(key), revokedAt: null } } },
+      { $set: { 'apiKeys.$.lastUsedAt': new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Find the user of a host account, creating them on first sign-in
+   * @param {string} host - Host name
+   * @param {Object} account - { login, name } from fetchAuthenticatedUser
+   * @returns {Promise<Document>} - User
+   */
+  async findOrCreateUser(host, account) {
+    return User.findOneAndUpdate(
+      { host: host.toLowerCase(), login: account.login.toLowerCase() },
+      {
+        $set: { name: account.name || null },
+        $setOnInsert: { host: host.toLowerCase(), login: account.login.toLowerCase() }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Create an API key for a user
+   * @param {Document} user - User
+   * @param {string} name - Label for the key, e.g. the browser it is used in
+   * @returns {Promise<Object>} - { key, apiKey }: the key itself, shown once, and its stored record
+   */
+  async createApiKey(user, name = 'default') {
+    const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $push: { apiKeys: { name, prefix: key.slice(0, API_KEY_PREFIX.length + 6), hash: hashKey(key) } } },
+      { new: true }
+    );
+    return { key, apiKey: updated.toJSON().apiKeys.at(-1) };
+  }
+
+  /**
+   * Revoke one of a user's API keys
+   * @param {Document} user - User
+   * @param {string} keyId - API key record ID
+   * @returns {Promise<boolean>} - Whether an active key was revoked
+   */
+  async revokeApiKey(user, keyId) {
+    const result = await User.updateOne(
+      { _id: user._id, apiKeys: { $elemMatch: { _id: keyId, revokedAt: null } } },
+      { $set: { 'apiKeys.$.revokedAt': new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Store a user's token for a host, replacing an earlier one
+   * @param {Document} user - User
+   * @param {string} host - Host name
+   * @param {string} token - Plain token
+   * @param {Object} details - { source: 'oauth'|'pat', login, scopes }
+   * @returns {Promise<Document>} - Updated user
+   * @throws {Error} - With status 503 when token storage is not configured
+   */
+  async setHostToken(user, host, token, { source, login, scopes = [] }) {
+    const now = new Date();
+    const entry = {
+      host: host.toLowerCase(),
+      source,
+      login,
+      scopes,
+      encryptedToken: this.cipher.encrypt(token),
+      hint: token.slice(-4),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await User.updateOne({ _id: user._id }, { $pull: { hostTokens: { host: entry.host } } });
+    return User.findOneAndUpdate({ _id: user._id }, { $push: { hostTokens: entry } }, { new: true });
+  }
+
+  /**
+   * Remove a user's token for a host
+   * @param {Document} user - User
+   * @param {string} host - Host name
+   * @returns {Promise<boolean>} - Whether a token was removed
+   */
+  async removeHostToken(user, host) {
+    const result = await User.updateOne(
+      { _id: user._id },
+      { $pull: { hostTokens: { host: host.toLowerCase() } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Decrypt a user's host tokens. Tokens that no longer decrypt (e.g. after
+   * the encryption key changed) are left out.
+   * @param {Document} user - User
+   * @returns {Object} - Tokens by host name
+   */
+  hostTokens(user) {
+    const tokens = {};
+    for (const { host, encryptedToken } of user.hostTokens || []) {
+      try {
+        tokens[host] = this.cipher.decrypt(encryptedToken);
+      } catch (err) {
+        console.warn(`Could not decrypt ${user.login}'s token for ${host}:`, err.message);
+      }
+    }
+    return tokens;
+  }
+}
+
+export default AuthService;
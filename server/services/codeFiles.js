@@ -0,0 +1,134 @@
+/**
+ * Shared helpers for deciding which repository files are source code and
+ * how a repository is laid out
+ */
+export const CODE_FILE_EXTENSIONS = [
+  '.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.c', '.cpp', '.cs',
+  '.go', '.rb', '.php', '.html', '.css', '.scss', '.json', '.yml', '.yaml'
+];
+
+/**
+ * Get the lower-cased extension of a path, including the dot
+ * @param {string} filePath - File path
+ * @returns {string} - Extension such as '.js', or '' when there is none
+ */
+export function getExtension(filePath) {
+  const fileName = filePath.substring(filePath.lastIndexOf('/') + 1);
+  const dot = fileName.lastIndexOf('.');
+  return dot > 0 ? fileName.substring(dot).toLowerCase() : '';
+}
+
+/**
+ * Check whether a path looks like a code file (excludes binaries, images, etc.)
+ * @param {string} filePath - File path
+ * @returns {boolean}
+ */
+export function isCodeFile(filePath) {
+  return CODE_FILE_EXTENSIONS.includes(getExtension(filePath));
+}
+
+/**
+ * Component a path belongs to: its directory, limited to the first two levels
+ * @param {string} filePath - File path
+ * @returns {string} - e.g. 'server/routes', or '(root)' for top-level files
+ */
+export function componentOf(filePath) {
+  const dirs = filePath.split('/').slice(0, -1);
+  return dirs.length > 0 ? dirs.slice(0, 2).join('/') : '(root)';
+}
+
+/**
+ * Derive the components of a repository from its file tree
+ * @param {Array<Object>} tree - Files as returned by GitHubService.fetchRepoContents
+ * @param {number} limit - Maximum number of components
+ * @returns {Array<string>} - Components with the most code files first
+ */
+export function listComponents(tree, limit = 40) {
+  const counts = new Map();
+  for (const file of tree) {
+    if (!isCodeFile(file.path)) continue;
+    const component = componentOf(file.path);
+    counts.set(component, (counts.get(component) || 0) + 1);
+  }
+
+  return [...counts].sort((a, b) => b[1] - a[1]).slice(0, limit).map(([component]) => component);
+}
+
+/**
+ * Most common component among a set of referenced paths
+ * @param {Array<string>} paths - Referenced file paths
+ * @param {Array<string>} components - Known components; paths are matched by suffix
+ *                                     when issues use paths relative to a subdirectory
+ * @returns {string|null} - Component, or null when no path maps to one
+ */
+export function matchComponent(paths, components = []) {
+  const counts = new Map();
+  for (const path of paths) {
+    let component = componentOf(path);
+    if (components.length > 0 && !components.includes(component)) {
+      component = components.find(known => known.endsWith(`/${component}`) || known.endsWith(component)) || null;
+    }
+    if (component) {
+      counts.set(component, (counts.get(component) || 0) + 1);
+    }
+  }
+
+  let best = null;
+  for (const [component, count] of counts) {
+    if (!best || count > counts.get(best)) best = component;
+  }
+  return best;
+}
+
+/**
+ * Convert a glob to a regular expression matching whole paths.
+ * Supports `**` (any number of directories), `*`, `?` and `{a,b}`.
+ * A glob without a slash matches the file name at any depth, like .gitignore.
+ * @param {string} glob - Glob pattern, e.g. 'src/**\/*.js'
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let pattern = glob.replace(/^\.?\//, '');
+  if (!pattern.includes('/')) pattern = `**/${pattern}`;
+  // A trailing slash means everything under the directory
+  if (pattern.endsWith('/')) pattern += '**';
+
+  let source = '';
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '*' && pattern[index + 1] === '*') {
+      const slashAfter = pattern[index + 2] === '/';
+      source += slashAfter ? '(?:.*/)?' : '.*';
+      index += slashAfter ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const close = pattern.indexOf('}', index);
+      if (close === -1) {
+        source += '\\{';
+        continue;
+      }
+      const options = pattern.slice(index + 1, close).split(',');
+      source += `(?:${options.map(option => option.replace(/[.+^$()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*')).join('|')})`;
+      index = close;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\}]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check a path against include and exclude globs
+ * @param {string} filePath - File path
+ * @param {Object} globs - { include: [String], exclude: [String] }; no includes means everything
+ * @returns {boolean}
+ */
+export function matchesGlobs(filePath, { include = [], exclude = [] } = {}) {
+  const matches = glob => globToRegExp(glob).test(filePath);
+  if (include.length > 0 && !include.some(matches)) return false;
+  return !exclude.some(matches);
+}
@@ -0,0 +1,28 @@
+/**
+ * Map over items with at most `limit` calls in flight, preserving order
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @param {Object} options - { signal } stops starting new calls once aborted
+ * @returns {Promise<Array>} - Results in item order
+ */
+export async function mapWithConcurrency(items, limit, fn, { signal } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      signal?.throwIfAborted();
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = [];
+  for (let count = 0; count < Math.min(Math.max(1, limit), items.length); count++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
@@ -0,0 +1,222 @@
+// Lines that declare something worth keeping in a file outline
+const DECLARATION_PATTERN = /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?(?:function|class|def|func|interface|type|struct|const\s+\w+\s*=\s*(?:async\s*)?\(|module\.exports|router\.\w+\(|[A-Za-z_$][\w$]*\s*\([^)]*\)\s*\{)/;
+
+/**
+ * Keeps the code sent to the LLM within a token budget. Files are ranked by
+ * importance; each file is included whole when it fits, otherwise as windows
+ * around the referenced lines (or the head of the file) plus an outline of
+ * declarations from the rest. Every decision is reported so it can be stored
+ * with the solution.
+ */
+class ContextBudgetService {
+  /**
+   * @param {Object} options - { budgetTokens, windowRadius, maxFileShare, minFileTokens }
+   */
+  constructor({ budgetTokens = 30000, windowRadius = 20, maxFileShare = 0.5, minFileTokens = 200 } = {}) {
+    this.budgetTokens = budgetTokens;
+    this.windowRadius = windowRadius;
+    this.maxFileShare = maxFileShare;
+    this.minFileTokens = minFileTokens;
+  }
+
+  /**
+   * Rough token estimate (about 4 characters per token, plus the line-number prefix)
+   * @param {string} text - Text to measure
+   * @returns {number} - Estimated tokens
+   */
+  estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(text.length / 4) + text.split('\n').length;
+  }
+
+  /**
+   * Order files by importance: references with line numbers, then other
+   * references, then retrieved files by score
+   * @param {Array} files - [{ path, content, lineNumbers, ranges, source, score }]
+   * @returns {Array} - Sorted copy
+   */
+  rankFiles(files) {
+    const priority = file => (this.hasReferencedLines(file) ? 2 : 0) + (file.source === 'reference' ? 1 : 0);
+
+    return [...files].sort((a, b) => priority(b) - priority(a) || (b.score || 0) - (a.score || 0));
+  }
+
+  /**
+   * Whether a file has referenced lines or line ranges
+   * @param {Object} file - { lineNumbers, ranges }
+   * @returns {boolean}
+   */
+  hasReferencedLines(file) {
+    return (file.lineNumbers?.length || 0) + (file.ranges?.length || 0) > 0;
+  }
+
+  /**
+   * Build merged line windows around referenced lines and ranges
+   * @param {Array<number>} lineNumbers - Referenced lines (1-based)
+   * @param {number} lineCount - Number of lines in the file
+   * @param {Array<Object>} referencedRanges - Referenced spans: [{ start, end }]
+   * @returns {Array<Object>} - [{ startLine, endLine }] sorted and non-overlapping
+   */
+  buildWindows(lineNumbers, lineCount, referencedRanges = []) {
+    const spans = [
+      ...[...new Set(lineNumbers)].map(line => ({ start: line, end: line })),
+      ...referencedRanges
+    ];
+
+    const ranges = spans
+      .filter(span => span.end >= 1 && span.start <= lineCount)
+      .map(span => ({
+        startLine: Math.max(1, span.start - this.windowRadius),
+        endLine: Math.min(lineCount, span.end + this.windowRadius)
+      }));
+
+    return this.mergeRanges(ranges);
+  }
+
+  /**
+   * Merge overlapping or adjacent ranges
+   * @param {Array<Object>} ranges - [{ startLine, endLine }]
+   * @returns {Array<Object>} - Merged ranges
+   */
+  mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a.startLine - b.startLine);
+    const merged = [];
+    for (const range of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && range.startLine <= last.endLine + 1) {
+        last.endLine = Math.max(last.endLine, range.endLine);
+      } else {
+        merged.push({ ...range });
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Tokens needed for a set of ranges of a file
+   * @param {Array<string>} lines - File lines
+   * @param {Array<Object>} ranges - [{ startLine, endLine }]
+   * @returns {number} - Estimated tokens
+   */
+  rangeTokens(lines, ranges) {
+    return ranges.reduce(
+      (sum, range) => sum + this.estimateTokens(lines.slice(range.startLine - 1, range.endLine).join('\n')),
+      0
+    );
+  }
+
+  /**
+   * Reduce a file to ranges that fit the given token cap
+   * @param {Object} file - { content, lineNumbers, ranges }
+   * @param {number} cap - Token cap for this file
+   * @returns {Object} - { mode, ranges }
+   */
+  excerptFile(file, cap) {
+    const lines = file.content.split('\n');
+    const hasLines = this.hasReferencedLines(file);
+    let ranges = [];
+    let used = 0;
+
+    // Windows around the referenced lines, or the head of the file
+    const primary = hasLines
+      ? this.buildWindows(file.lineNumbers || [], lines.length, file.ranges)
+      : [{ startLine: 1, endLine: lines.length }];
+
+    for (const window of primary) {
+      let range = { ...window };
+      let tokens = this.rangeTokens(lines, [range]);
+
+      // Shrink a window that doesn't fit by dropping lines from its end
+      while (tokens > cap * 0.8 - used && range.endLine > range.startLine) {
+        range.endLine = range.startLine + Math.floor((range.endLine - range.startLine) / 2);
+        tokens = this.rangeTokens(lines, [range]);
+      }
+      if (used + tokens > cap) break;
+
+      ranges.push(range);
+      used += tokens;
+    }
+
+    // Outline: declaration lines from the parts that were left out
+    for (let index = 0; index < lines.length; index++) {
+      const lineNumber = index + 1;
+      if (ranges.some(range => lineNumber >= range.startLine && lineNumber <= range.endLine)) continue;
+      if (!DECLARATION_PATTERN.test(lines[index])) continue;
+
+      const tokens = this.estimateTokens(lines[index]);
+      if (used + tokens > cap) break;
+
+      ranges.push({ startLine: lineNumber, endLine: lineNumber });
+      used += tokens;
+    }
+
+    ranges = this.mergeRanges(ranges);
+    return { mode: hasLines ? 'windows' : 'truncated', ranges };
+  }
+
+  /**
+   * Fit files into the budget
+   * @param {Array} files - [{ path, content, lineNumbers, ranges, source, score }]
+   * @returns {Object} - { files: [{ path, content, segments }], report }
+   */
+  fit(files) {
+    const ranked = this.rankFiles(files.filter(file => typeof file.content === 'string'));
+    let remaining = this.budgetTokens;
+    const included = [];
+    const report = [];
+
+    ranked.forEach((file, index) => {
+      const lines = file.content.split('\n');
+      const originalTokens = this.estimateTokens(file.content);
+      const isLast = index === ranked.length - 1;
+      const cap = isLast ? remaining : Math.max(Math.floor(remaining * this.maxFileShare), Math.min(remaining, this.minFileTokens));
+
+      let mode;
+      let ranges;
+      if (originalTokens <= cap) {
+        mode = 'full';
+        ranges = [{ startLine: 1, endLine: lines.length }];
+      } else if (cap < this.minFileTokens) {
+        mode = 'omitted';
+        ranges = [];
+      } else {
+        ({ mode, ranges } = this.excerptFile(file, cap));
+        if (ranges.length === 0) mode = 'omitted';
+      }
+
+      const includedTokens = mode === 'full' ? originalTokens : this.rangeTokens(lines, ranges);
+      remaining -= includedTokens;
+
+      if (mode !== 'omitted') {
+        included.push({
+          path: file.path,
+          content: file.content,
+          segments: ranges.map(range => ({
+            startLine: range.startLine,
+            endLine: range.endLine,
+            text: lines.slice(range.startLine - 1, range.endLine).join('\n')
+          }))
+        });
+      }
+
+      report.push({
+        path: file.path,
+        mode,
+        originalTokens,
+        includedTokens,
+        includedRanges: mode === 'full' ? [] : ranges
+      });
+    });
+
+    return {
+      files: included,
+      report: {
+        budgetTokens: this.budgetTokens,
+        usedTokens: this.budgetTokens - remaining,
+        files: report
+      }
+    };
+  }
+}
+
+export default ContextBudgetService;
@@ -0,0 +1,137 @@
+import { isCodeFile } from './codeFiles.js';
+import { tokenize, bm25Scores } from './textRanking.js';
+
+// Relative weight of each signal in the combined score
+const FIELD_WEIGHTS = {
+  path: 2,
+  symbols: 1.5,
+  content: 1
+};
+
+// Paths that rarely hold the code an issue is about
+const LOW_VALUE_PATH_PATTERN = /(^|\/)(node_modules|vendor|dist|build|coverage|\.github)\/|(\.min\.js|package-lock\.json|yarn\.lock)$/;
+
+/**
+ * Finds the repository files most relevant to an issue when the issue
+ * itself does not name any. Ranking is done in two stages: BM25 over the
+ * file paths of the whole tree, then BM25 over symbols and content of the
+ * best path candidates.
+ */
+class FileRetrievalService {
+  /**
+   * @param {HostRegistry} hosts - Clients used to read repositories
+   * @param {Object} options - { maxCandidates, maxFileSize }
+   */
+  constructor(hosts, { maxCandidates = 15, maxFileSize = 100 * 1024 } = {}) {
+    this.hosts = hosts;
+    this.maxCandidates = maxCandidates;
+    this.maxFileSize = maxFileSize;
+  }
+
+  /**
+   * Build the query terms for an issue from its title, body and comments.
+   * The title is counted twice since it is usually the most precise.
+   * @param {Object} issue - Issue data
+   * @returns {Array<string>} - Query terms
+   */
+  buildQuery(issue) {
+    const comments = (issue.comments || []).map(comment => comment.body).join('\n');
+    return [
+      ...tokenize(issue.title),
+      ...tokenize(issue.title),
+      ...tokenize(issue.body),
+      ...tokenize(comments)
+    ];
+  }
+
+  /**
+   * Extract declared symbol names (functions, classes, variables) from source
+   * @param {string} content - File content
+   * @returns {Array<string>} - Symbol names
+   */
+  extractSymbols(content) {
+    const symbols = [];
+    const pattern = /\b(?:function|class|def|func|interface|type|struct|const|let|var)\s+([A-Za-z_$][\w$]*)/g;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      symbols.push(match[1]);
+    }
+    return symbols;
+  }
+
+  /**
+   * Rank repository files against an issue and return the top matches with content
+   * @param {string} repoUrl - Repository URL
+   * @param {Object} issue - Issue data (title, body, comments)
+   * @param {Object} options - { limit, signal }
+   * @returns {Promise<Array>} - [{ path, sha, content, score, reasons }]
+   */
+  async findRelevantFiles(repoUrl, issue, { limit = 5, signal } = {}) {
+    const queryTerms = this.buildQuery(issue);
+    if (queryTerms.length === 0) return [];
+
+    const tree = await this.hosts.forRepo(repoUrl).fetchRepoContents(repoUrl);
+    const files = tree.filter(file =>
+      isCodeFile(file.path) &&
+      !LOW_VALUE_PATH_PATTERN.test(file.path) &&
+      (!file.size || file.size <= this.maxFileSize)
+    );
+    if (files.length === 0) return [];
+
+    // Stage 1: rank the whole tree by path
+    const pathScores = bm25Scores(queryTerms, files.map(file => tokenize(file.path)));
+    const candidates = files
+      .map((file, index) => ({ file, path: pathScores[index] }))
+      .sort((a, b) => b.path.score - a.path.score)
+      .slice(0, this.maxCandidates);
+
+    // Stage 2: fetch candidates and rank by declared symbols and content
+    const fetched = [];
+    for (const candidate of candidates) {
+      signal?.throwIfAborted();
+      try {
+        const { content, sha } = await this.hosts.forRepo(repoUrl).fetchFile(repoUrl, candidate.file.path, { signal });
+        fetched.push({ ...candidate, content, sha });
+      } catch (err) {
+        console.warn(`Could not fetch candidate ${candidate.file.path}:`, err.message);
+      }
+    }
+
+    const symbolScores = bm25Scores(queryTerms, fetched.map(c => tokenize(this.extractSymbols(c.content).join(' '))));
+    const contentScores = bm25Scores(queryTerms, fetched.map(c => tokenize(c.content)));
+
+    return fetched
+      .map((candidate, index) => {
+        const symbols = symbolScores[index];
+        const content = contentScores[index];
+        const score =
+          FIELD_WEIGHTS.path * candidate.path.score +
+          FIELD_WEIGHTS.symbols * symbols.score +
+          FIELD_WEIGHTS.content * content.score;
+
+        const reasons = [];
+        if (candidate.path.matchedTerms.length > 0) {
+          reasons.push(`path matches: ${candidate.path.matchedTerms.join(', ')}`);
+        }
+        if (symbols.matchedTerms.length > 0) {
+          reasons.push(`symbol matches: ${symbols.matchedTerms.join(', ')}`);
+        }
+        if (content.matchedTerms.length > 0) {
+          reasons.push(`content matches: ${content.matchedTerms.slice(0, 10).join(', ')}`);
+        }
+
+        return {
+          path: candidate.file.path,
+          sha: candidate.sha,
+          content: candidate.content,
+          score: Math.round(score * 1000) / 1000,
+          reasons
+        };
+      })
+      .filter(file => file.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+export default FileRetrievalService;
@@ -0,0 +1,107 @@
+import fetch from 'node-fetch';
+
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+// Device flow errors that end the sign-in, with the status reported to the caller
+const FAILURE_STATUSES = {
+  expired_token: 410,
+  access_denied: 403,
+  incorrect_device_code: 400,
+  device_flow_disabled: 501,
+  incorrect_client_credentials: 500,
+  unsupported_grant_type: 500
+};
+
+/**
+ * GitHub OAuth device flow: the extension shows the user a code to enter on
+ * GitHub, then polls until they approve it and a token is issued.
+ */
+class GitHubDeviceFlow {
+  /**
+   * @param {string} clientId - OAuth app client ID
+   * @param {Object} options - { baseUrl } of the GitHub server, e.g. https://github.com
+   */
+  constructor(clientId, { baseUrl = 'https://github.com' } = {}) {
+    this.clientId = clientId;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.host = new URL(this.baseUrl).hostname.toLowerCase();
+  }
+
+  /**
+   * Post a form to GitHub and read its JSON answer
+   * @param {string} path - Path on the GitHub server
+   * @param {Object} params - Form fields
+   * @returns {Promise<Object>} - Response body
+   */
+  async post(path, params) {
+    if (!this.clientId) {
+      const error = new Error('GitHub sign-in is not configured (set GITHUB_OAUTH_CLIENT_ID)');
+      error.status = 503;
+      throw error;
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: 'POST',
+      headers: { Accept: 'application/json' },
+      body: new URLSearchParams({ client_id: this.clientId, ...params })
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(`GitHub OAuth error: ${data.error_description || data.error || response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Start a sign-in
+   * @param {string} scope - OAuth scopes to request (repo covers private repositories)
+   * @returns {Promise<Object>} - { deviceCode, userCode, verificationUri, expiresIn, interval }
+   */
+  async start(scope = 'repo') {
+    const data = await this.post('/login/device/code', { scope });
+    return {
+      deviceCode: data.device_code,
+      userCode: data.user_code,
+      verificationUri: data.verification_uri,
+      expiresIn: data.expires_in,
+      interval: data.interval
+    };
+  }
+
+  /**
+   * Check whether the user has approved a sign-in
+   * @param {string} deviceCode - Device code from start
+   * @returns {Promise<Object>} - { status: 'pending'|'slow_down', interval } or
+   *                              { status: 'authorized', token, scopes }
+   * @throws {Error} - With a status when the sign-in expired, was denied or is invalid
+   */
+  async poll(deviceCode) {
+    const data = await this.post('/login/oauth/access_token', {
+      device_code: deviceCode,
+      grant_type: DEVICE_GRANT_TYPE
+    });
+
+    if (data.access_token) {
+      return {
+        status: 'authorized',
+        token: data.access_token,
+        scopes: data.scope ? data.scope.split(',').filter(Boolean) : []
+      };
+    }
+    if (data.error === 'authorization_pending') {
+      return { status: 'pending', interval: data.interval };
+    }
+    if (data.error === 'slow_down') {
+      return { status: 'slow_down', interval: data.interval };
+    }
+
+    const error = new Error(`GitHub sign-in failed: ${data.error_description || data.error || 'no token issued'}`);
+    error.status = FAILURE_STATUSES[data.error] || 502;
+    throw error;
+  }
+}
+
+export default GitHubDeviceFlow;
@@ -1,72 +1,168 @@
-import fetch from 'node-fetch';
+import HostService from './hostService.js';
+import { parseRepoUrl } from './repoUrl.js';
 
-class GitHubService {
-  constructor(token) {
-    this.token = token;
-    this.baseUrl = 'https://api.github.com';
-    this.headers = token ? {
+export const DEFAULT_GITHUB_API_URL = 'https://api.github.com';
+
+/**
+ * Client for the GitHub REST API (github.com or a GitHub Enterprise server)
+ */
+class GitHubService extends HostService {
+  /**
+   * @param {string} token - GitHub token (optional for public repositories)
+   * @param {Object} options - { baseUrl } of the REST API, e.g. a GitHub Enterprise
+   *                           server's https://host/api/v3 or a local fake for testing
+   */
+  constructor(token, { baseUrl = DEFAULT_GITHUB_API_URL } = {}) {
+    super('GitHub', token ? {
       'Authorization': `token ${token}`,
       'Accept': 'application/vnd.github.v3+json'
     } : {
       'Accept': 'application/vnd.github.v3+json'
-    };
-    console.log('GitHub token provided:', !!token);
-    console.log('GitHub token value:', token);
+    }, { baseUrl });
+    this.token = token;
   }
 
   /**
-   * Extract owner and repo from GitHub URL
-   * @param {string} repoUrl - GitHub repository URL
+   * Extract owner and repo from a repository URL
+   * @param {string} repoUrl - Repository URL on github.com or a GitHub Enterprise host
    * @returns {Object} - { owner, repo }
    */
   parseRepoUrl(repoUrl) {
     try {
-      // Handle URLs like https://github.com/owner/repo
-      const urlParts = repoUrl.split('github.com/');
-      if (urlParts.length < 2) throw new Error('Invalid GitHub URL');
-      
-      const pathParts = urlParts[1].split('/');
-      if (pathParts.length < 2) throw new Error('Invalid GitHub URL format');
-      
-      return {
-        owner: pathParts[0],
-        repo: pathParts[1].split('#')[0].split('?')[0] // Remove any fragments or query params
-      };
+      const { owner, repo } = parseRepoUrl(repoUrl, 'github');
+      return { owner, repo };
     } catch (error) {
       throw new Error(`Failed to parse GitHub URL: ${error.message}`);
     }
   }
 
   /**
-   * Fetch issues from a GitHub repository
+   * Build the query string for the issues endpoint from filter options
+   * @param {Object} options - Filters: state, labels, assignee, milestone, since, sort, direction
+   * @returns {URLSearchParams} - Query parameters for the request
+   */
+  buildIssueQuery(options = {}) {
+    const params = new URLSearchParams();
+    params.set('state', options.state || 'open');
+    params.set('per_page', '100');
+
+    if (options.labels) {
+      const labels = Array.isArray(options.labels) ? options.labels.join(',') : options.labels;
+      params.set('labels', labels);
+    }
+    if (options.assignee) params.set('assignee', options.assignee);
+    if (options.milestone) params.set('milestone', String(options.milestone));
+    if (options.since) params.set('since', new Date(options.since).toISOString());
+    if (options.sort) params.set('sort', options.sort);
+    if (options.direction) params.set('direction', options.direction);
+
+    return params;
+  }
+
+  /**
+   * Convert a raw GitHub issue payload into the shape used by the app
+   * @param {Object} issue - Issue object returned by the GitHub API
+   * @returns {Object} - Formatted issue
+   */
+  formatIssue(issue) {
+    return {
+      issueNumber: issue.number,
+      title: issue.title,
+      body: issue.body || '',
+      state: issue.state,
+      labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+      assignees: (issue.assignees || []).map(assignee => assignee.login),
+      milestone: issue.milestone
+        ? { number: issue.milestone.number, title: issue.milestone.title }
+        : null,
+      commentsCount: issue.comments || 0,
+      createdAt: issue.created_at,
+      updatedAt: issue.updated_at,
+      url: issue.html_url
+    };
+  }
+
+  /**
+   * Convert a raw GitHub issue comment into the shape stored on issues
+   * @param {Object} comment - Comment object returned by the GitHub API
+   * @returns {Object} - { commentId, author, body, createdAt, updatedAt }
+   */
+  formatComment(comment) {
+    return {
+      commentId: comment.id,
+      author: comment.user ? comment.user.login : 'ghost',
+      body: comment.body || '',
+      createdAt: comment.created_at,
+      updatedAt: comment.updated_at
+    };
+  }
+
+  /**
+   * Fetch issues from a GitHub repository, following pagination across all pages
    * @param {string} repoUrl - GitHub repository URL
-   * @returns {Promise<Array>} - List of issues
+   * @param {Object} options - Filters: state (open/closed/all), labels, assignee,
+   *                           milestone, since, sort, direction, maxPages
+   * @returns {Promise<Array>} - List of issues (pull requests are excluded)
    */
-  async fetchIssues(repoUrl) {
+  async fetchIssues(repoUrl, options = {}) {
+    const { issues } = await this.fetchIssueUpdates(repoUrl, options);
+    return issues;
+  }
+
+  /**
+   * Fetch issues with a conditional request. When an ETag from a previous call is
+   * supplied and GitHub answers 304 Not Modified, no pages are downloaded.
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {Object} options - Same filters as fetchIssues, plus etag
+   * @returns {Promise<Object>} - { notModified, etag, issues }
+   */
+  async fetchIssueUpdates(repoUrl, options = {}) {
     try {
       const { owner, repo } = this.parseRepoUrl(repoUrl);
-      const response = await fetch(
-        `${this.baseUrl}/repos/${owner}/${repo}/issues?state=open&per_page=100`,
-        { headers: this.headers }
-      );
+      const query = this.buildIssueQuery(options);
+      const maxPages = options.maxPages || Infinity;
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`GitHub API error: ${errorData.message || response.statusText}`);
+      let url = `${this.baseUrl}/repos/${owner}/${repo}/issues?${query}`;
+      let pagesFetched = 0;
+      let etag = null;
+      const issues = [];
+
+      while (url && pagesFetched < maxPages) {
+        // Only the first page is conditional; its ETag covers the whole listing
+        const headers = pagesFetched === 0 && options.etag ? { 'If-None-Match': options.etag } : {};
+        const response = await this.request(url, { headers });
+
+        if (response.status === 304) {
+          return { notModified: true, etag: options.etag, issues: [] };
+        }
+
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw new Error(`GitHub API error: ${errorData.message || response.statusText}`);
+        }
+
+        if (pagesFetched === 0) {
+          etag = response.headers.get('etag');
+        }
+
+        const page = await response.json();
+        pagesFetched++;
+
+        // The issues endpoint also returns pull requests; skip them
+        for (const issue of page) {
+          if (!issue.pull_request) {
+            issues.push(this.formatIssue(issue));
+          }
+        }
+
+        url = this.parseLinkHeader(response.headers.get('link')).next;
       }
 
-      const issues = await response.json();
-      return issues.map(issue => ({
-        issueNumber: issue.number,
-        title: issue.title,
-        body: issue.body || '',
-        state: issue.state,
-        createdAt: issue.created_at,
-        updatedAt: issue.updated_at,
-        url: issue.html_url
-      }));
+      return { notModified: false, etag, issues };
     } catch (error) {
-      throw new Error(`Failed to fetch issues: ${error.message}`);
+      const wrapped = new Error(`Failed to fetch issues: ${error.message}`);
+      wrapped.rateLimited = !!error.rateLimited;
+      throw wrapped;
     }
   }
 
@@ -79,9 +175,8 @@ class GitHubService {
   async fetchIssue(repoUrl, issueNumber) {
     try {
       const { owner, repo } = this.parseRepoUrl(repoUrl);
-      const response = await fetch(
-        `${this.baseUrl}/repos/${owner}/${repo}/issues/${issueNumber}`,
-        { headers: this.headers }
+      const response = await this.request(
+        `${this.baseUrl}/repos/${owner}/${repo}/issues/${issueNumber}`
       );
 
       if (!response.ok) {
@@ -90,20 +185,98 @@ class GitHubService {
       }
 
       const issue = await response.json();
-      return {
-        issueNumber: issue.number,
-        title: issue.title,
-        body: issue.body || '',
-        state: issue.state,
-        createdAt: issue.created_at,
-        updatedAt: issue.updated_at,
-        url: issue.html_url
-      };
+      return this.formatIssue(issue);
     } catch (error) {
       throw new Error(`Failed to fetch issue: ${error.message}`);
     }
   }
 
+  /**
+   * Fetch all comments on an issue
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {number} issueNumber - Issue number
+   * @returns {Promise<Array>} - List of comments
+   */
+  async fetchIssueComments(repoUrl, issueNumber) {
+    try {
+      const { owner, repo } = this.parseRepoUrl(repoUrl);
+      const comments = await this.fetchAllPages(
+        `${this.baseUrl}/repos/${owner}/${repo}/issues/${issueNumber}/comments?per_page=100`
+      );
+
+      return comments.map(comment => this.formatComment(comment));
+    } catch (error) {
+      throw new Error(`Failed to fetch issue comments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch linked pull requests, issues and commits from the issue timeline
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {number} issueNumber - Issue number
+   * @returns {Promise<Array>} - List of { type, number, sha, title, state, url }
+   */
+  async fetchIssueReferences(repoUrl, issueNumber) {
+    try {
+      const { owner, repo } = this.parseRepoUrl(repoUrl);
+      const events = await this.fetchAllPages(
+        `${this.baseUrl}/repos/${owner}/${repo}/issues/${issueNumber}/timeline?per_page=100`
+      );
+
+      const references = [];
+      const seen = new Set();
+
+      for (const event of events) {
+        let reference = null;
+
+        if (event.event === 'cross-referenced' && event.source && event.source.issue) {
+          const source = event.source.issue;
+          reference = {
+            type: source.pull_request ? 'pull_request' : 'issue',
+            number: source.number,
+            title: source.title,
+            state: source.pull_request && source.pull_request.merged_at ? 'merged' : source.state,
+            url: source.html_url
+          };
+        } else if ((event.event === 'referenced' || event.event === 'closed') && event.commit_id) {
+          reference = {
+            type: 'commit',
+            sha: event.commit_id,
+            url: event.commit_url
+          };
+        }
+
+        if (reference) {
+          const key = reference.sha || `${reference.type}#${reference.url || reference.number}`;
+          if (!seen.has(key)) {
+            seen.add(key);
+            references.push(reference);
+          }
+        }
+      }
+
+      return references;
+    } catch (error) {
+      throw new Error(`Failed to fetch issue timeline: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch an issue together with its discussion and linked references
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {number} issueNumber - Issue number
+   * @returns {Promise<Object>} - Issue details with comments and linkedReferences
+   */
+  async fetchIssueDetails(repoUrl, issueNumber) {
+    const [issue, comments, linkedReferences] = await Promise.all([
+      this.fetchIssue(repoUrl, issueNumber),
+      this.fetchIssueComments(repoUrl, issueNumber),
+      this.fetchIssueReferences(repoUrl, issueNumber)
+    ]);
+
+    return { ...issue, comments, linkedReferences };
+  }
+
   /**
    * Fetch repository code structure
    * @param {string} repoUrl - GitHub repository URL
@@ -119,7 +292,7 @@ class GitHubService {
       console.log(`Getting repository information to determine default branch...`);
       const repoInfoUrl = `${this.baseUrl}/repos/${owner}/${repo}`;
       console.log(`Fetching from: ${repoInfoUrl}`);
-      const repoInfoResponse = await fetch(repoInfoUrl, { headers: this.headers });
+      const repoInfoResponse = await this.request(repoInfoUrl);
       
       if (!repoInfoResponse.ok) {
         console.error(`Failed to get repository info (${repoInfoResponse.status})`);
@@ -134,7 +307,7 @@ class GitHubService {
       // Try the default branch
       const branchUrl = `${this.baseUrl}/repos/${owner}/${repo}/git/trees/${defaultBranch}?recursive=1`;
       console.log(`Fetching contents from default branch: ${branchUrl}`);
-      const response = await fetch(branchUrl, { headers: this.headers });
+      const response = await this.request(branchUrl);
 
       if (!response.ok) {
         console.error(`Default branch ${defaultBranch} not accessible (${response.status})`);
@@ -143,7 +316,7 @@ class GitHubService {
         console.log(`Trying to get top-level contents instead...`);
         const contentsUrl = `${this.baseUrl}/repos/${owner}/${repo}/contents`;
         console.log(`Fetching from: ${contentsUrl}`);
-        const contentsResponse = await fetch(contentsUrl, { headers: this.headers });
+        const contentsResponse = await this.request(contentsUrl);
         
         if (!contentsResponse.ok) {
           console.error(`Failed to get repository contents (${contentsResponse.status})`);
@@ -179,17 +352,20 @@ class GitHubService {
   }
 
   /**
-   * Fetch file content from GitHub
+   * Fetch a file and its blob SHA from GitHub
    * @param {string} repoUrl - GitHub repository URL
    * @param {string} filePath - Path to the file
-   * @returns {Promise<string>} - File content
+   * @param {Object} options - { ref } branch or commit to read (default branch if omitted),
+   *                           { signal } to abort the request
+   * @returns {Promise<Object>} - { content, sha }
    */
-  async fetchFileContent(repoUrl, filePath) {
+  async fetchFile(repoUrl, filePath, { ref, signal } = {}) {
     try {
       const { owner, repo } = this.parseRepoUrl(repoUrl);
-      const response = await fetch(
-        `${this.baseUrl}/repos/${owner}/${repo}/contents/${filePath}`,
-        { headers: this.headers }
+      const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+      const response = await this.request(
+        `${this.baseUrl}/repos/${owner}/${repo}/contents/${filePath}${query}`,
+        { signal }
       );
 
       if (!response.ok) {
@@ -199,11 +375,359 @@ class GitHubService {
 
       const data = await response.json();
       // GitHub API returns content as base64 encoded
-      return Buffer.from(data.content, 'base64').toString('utf-8');
+      return {
+        content: Buffer.from(data.content, 'base64').toString('utf-8'),
+        sha: data.sha
+      };
     } catch (error) {
       throw new Error(`Failed to fetch file content: ${error.message}`);
     }
   }
+
+  /**
+   * Fetch file content from GitHub
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {string} filePath - Path to the file
+   * @param {Object} options - { signal } to abort the request
+   * @returns {Promise<string>} - File content
+   */
+  async fetchFileContent(repoUrl, filePath, options = {}) {
+    const { content } = await this.fetchFile(repoUrl, filePath, options);
+    return content;
+  }
+
+  /**
+   * Post a comment on an issue
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {number} issueNumber - Issue number
+   * @param {string} body - Markdown body
+   * @returns {Promise<Object>} - { commentId, url }
+   */
+  async createIssueComment(repoUrl, issueNumber, body) {
+    const { owner, repo } = this.parseRepoUrl(repoUrl);
+    const comment = await this.sendJson(
+      `${this.baseUrl}/repos/${owner}/${repo}/issues/${issueNumber}/comments`,
+      'POST',
+      { body }
+    );
+    return { commentId: comment.id, url: comment.html_url };
+  }
+
+  /**
+   * Replace the body of an existing issue comment
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {number} commentId - Comment ID
+   * @param {string} body - Markdown body
+   * @returns {Promise<Object>} - { commentId, url }
+   */
+  async updateIssueComment(repoUrl, commentId, body) {
+    const { owner, repo } = this.parseRepoUrl(repoUrl);
+    const comment = await this.sendJson(
+      `${this.baseUrl}/repos/${owner}/${repo}/issues/comments/${commentId}`,
+      'PATCH',
+      { body }
+    );
+    return { commentId: comment.id, url: comment.html_url };
+  }
+
+  /**
+   * Open an issue
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {Object} fields - { title, body, labels }
+   * @returns {Promise<Object>} - { number, url }
+   */
+  async createIssue(repoUrl, { title, body, labels = [] }) {
+    const { owner, repo } = this.parseRepoUrl(repoUrl);
+    const issue = await this.sendJson(
+      `${this.baseUrl}/repos/${owner}/${repo}/issues`,
+      'POST',
+      { title, body, labels }
+    );
+    return { number: issue.number, url: issue.html_url };
+  }
+
+  /**
+   * Update an issue's title and body
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {number} issueNumber - Issue number
+   * @param {Object} fields - { title, body }
+   * @returns {Promise<Object>} - { number, url }
+   */
+  async updateIssue(repoUrl, issueNumber, { title, body }) {
+    const { owner, repo } = this.parseRepoUrl(repoUrl);
+    const issue = await this.sendJson(
+      `${this.baseUrl}/repos/${owner}/${repo}/issues/${issueNumber}`,
+      'PATCH',
+      { title, body }
+    );
+    return { number: issue.number, url: issue.html_url };
+  }
+
+  /**
+   * Fetch the account the token belongs to
+   * @returns {Promise<Object>} - { login, id, name, scopes } (scopes of classic and OAuth tokens)
+   * @throws {Error} - With status 401 when the token is invalid
+   */
+  async fetchAuthenticatedUser() {
+    const response = await this.request(`${this.baseUrl}/user`);
+
+    if (!response.ok) {
+      throw await this.responseError(response);
+    }
+
+    const data = await response.json();
+    const scopes = response.headers.get('x-oauth-scopes');
+    return {
+      login: data.login,
+      id: data.id,
+      name: data.name || null,
+      scopes: scopes ? scopes.split(',').map(scope => scope.trim()).filter(Boolean) : []
+    };
+  }
+
+  /**
+   * Fetch repository metadata
+   * @param {string} repoUrl - GitHub repository URL
+   * @returns {Promise<Object>} - { fullName, defaultBranch, private, visibility, permissions: { push, admin } }:
+   *                               permissions are those of the token's account
+   */
+  async fetchRepository(repoUrl) {
+    const { owner, repo } = this.parseRepoUrl(repoUrl);
+    const response = await this.request(`${this.baseUrl}/repos/${owner}/${repo}`);
+
+    if (!response.ok) {
+      throw await this.responseError(response);
+    }
+
+    const data = await response.json();
+    return {
+      fullName: data.full_name,
+      defaultBranch: data.default_branch || 'main',
+      private: Boolean(data.private),
+      visibility: data.visibility || (data.private ? 'private' : 'public'),
+      permissions: {
+        push: Boolean(data.permissions?.push),
+        admin: Boolean(data.permissions?.admin)
+      }
+    };
+  }
+
+  /**
+   * Get the commit a branch points to
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {string} branch - Branch name
+   * @returns {Promise<string|null>} - Commit SHA, or null when the branch doesn't exist
+   */
+  async fetchBranchHead(repoUrl, branch) {
+    const { owner, repo } = this.parseRepoUrl(repoUrl);
+    const response = await this.request(`${this.baseUrl}/repos/${owner}/${repo}/git/ref/heads/${branch}`);
+
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`GitHub API error: ${errorData.message || response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.object.sha;
+  }
+
+  /**
+   * Commit changed files on top of a commit using the Git Data API
+   * (blobs, tree, commit), without moving any branch
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {string} parentSha - Parent commit SHA
+   * @param {Array<Object>} files - [{ path, content }] new file contents
+   * @param {string} message - Commit message
+   * @returns {Promise<string>} - New commit SHA
+   */
+  async createCommit(repoUrl, parentSha, files, message) {
+    const { owner, repo } = this.parseRepoUrl(repoUrl);
+    const gitUrl = `${this.baseUrl}/repos/${owner}/${repo}/git`;
+
+    const parent = await this.sendJson(`${gitUrl}/commits/${parentSha}`, 'GET');
+
+    const tree = [];
+    for (const file of files) {
+      const blob = await this.sendJson(`${gitUrl}/blobs`, 'POST', {
+        content: Buffer.from(file.content, 'utf-8').toString('base64'),
+        encoding: 'base64'
+      });
+      tree.push({ path: file.path, mode: file.mode || '100644', type: 'blob', sha: blob.sha });
+    }
+
+    const newTree = await this.sendJson(`${gitUrl}/trees`, 'POST', { base_tree: parent.tree.sha, tree });
+    const commit = await this.sendJson(`${gitUrl}/commits`, 'POST', {
+      message,
+      tree: newTree.sha,
+      parents: [parentSha]
+    });
+    return commit.sha;
+  }
+
+  /**
+   * Create a branch pointing at a commit
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {string} branch - Branch name
+   * @param {string} sha - Commit SHA
+   * @returns {Promise<void>}
+   */
+  async createBranch(repoUrl, branch, sha) {
+    const { owner, repo } = this.parseRepoUrl(repoUrl);
+    await this.sendJson(`${this.baseUrl}/repos/${owner}/${repo}/git/refs`, 'POST', {
+      ref: `refs/heads/${branch}`,
+      sha
+    });
+  }
+
+  /**
+   * Find an open pull request from a branch of the same repository
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {string} branch - Head branch name
+   * @returns {Promise<Object|null>} - { number, url, draft } or null
+   */
+  async findPullRequest(repoUrl, branch) {
+    const { owner, repo } = this.parseRepoUrl(repoUrl);
+    const pulls = await this.sendJson(
+      `${this.baseUrl}/repos/${owner}/${repo}/pulls?state=open&head=${encodeURIComponent(`${owner}:${branch}`)}`,
+      'GET'
+    );
+    const pull = pulls[0];
+    return pull ? { number: pull.number, url: pull.html_url, draft: pull.draft } : null;
+  }
+
+  /**
+   * Open a pull request
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {Object} fields - { title, body, head, base, draft }
+   * @returns {Promise<Object>} - { number, url, draft }
+   */
+  async createPullRequest(repoUrl, { title, body, head, base, draft = true }) {
+    const { owner, repo } = this.parseRepoUrl(repoUrl);
+    const pull = await this.sendJson(`${this.baseUrl}/repos/${owner}/${repo}/pulls`, 'POST', {
+      title,
+      body,
+      head,
+      base,
+      draft
+    });
+    return { number: pull.number, url: pull.html_url, draft: pull.draft };
+  }
+
+  /**
+   * Fetch a pull request
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {number} number - Pull request number
+   * @returns {Promise<Object>} - { number, title, body, state, draft, author, url, head: { ref, sha },
+   *                              base: { ref, sha }, additions, deletions, changedFiles, createdAt, updatedAt }
+   */
+  async fetchPullRequest(repoUrl, number) {
+    const { owner, repo } = this.parseRepoUrl(repoUrl);
+    const pull = await this.sendJson(`${this.baseUrl}/repos/${owner}/${repo}/pulls/${number}`, 'GET');
+    return {
+      number: pull.number,
+      title: pull.title,
+      body: pull.body || '',
+      state: pull.merged_at ? 'merged' : pull.state,
+      draft: Boolean(pull.draft),
+      author: pull.user?.login || null,
+      url: pull.html_url,
+      head: { ref: pull.head.ref, sha: pull.head.sha },
+      base: { ref: pull.base.ref, sha: pull.base.sha },
+      additions: pull.additions,
+      deletions: pull.deletions,
+      changedFiles: pull.changed_files,
+      createdAt: pull.created_at,
+      updatedAt: pull.updated_at
+    };
+  }
+
+  /**
+   * Fetch the files changed by a pull request. GitHub leaves out `patch`
+   * for binary files and very large diffs.
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {number} number - Pull request number
+   * @returns {Promise<Array>} - [{ path, previousPath, status, additions, deletions, sha, patch }]
+   */
+  async fetchPullRequestFiles(repoUrl, number) {
+    const { owner, repo } = this.parseRepoUrl(repoUrl);
+    const files = await this.fetchAllPages(`${this.baseUrl}/repos/${owner}/${repo}/pulls/${number}/files?per_page=100`);
+    return files.map(file => ({
+      path: file.filename,
+      previousPath: file.previous_filename || null,
+      status: file.status,
+      additions: file.additions,
+      deletions: file.deletions,
+      sha: file.sha,
+      patch: file.patch ?? null
+    }));
+  }
+
+  /**
+   * Fetch a pull request as a unified diff
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {number} number - Pull request number
+   * @returns {Promise<string>} - Diff text
+   */
+  async fetchPullRequestDiff(repoUrl, number) {
+    const { owner, repo } = this.parseRepoUrl(repoUrl);
+    const response = await this.request(`${this.baseUrl}/repos/${owner}/${repo}/pulls/${number}`, {
+      headers: { 'Accept': 'application/vnd.github.v3.diff' }
+    });
+
+    if (!response.ok) {
+      throw await this.responseError(response);
+    }
+
+    return response.text();
+  }
+
+  /**
+   * Create a pending (unsubmitted) review on a pull request. It stays visible
+   * only to the token's user until they submit it on GitHub.
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {number} number - Pull request number
+   * @param {Object} review - { commitId, body, comments: [{ path, line, body }] }; lines are
+   *                          in the new version of the file
+   * @returns {Promise<Object>} - { reviewId, url, state }
+   */
+  async createPendingReview(repoUrl, number, { commitId, body, comments = [] }) {
+    const { owner, repo } = this.parseRepoUrl(repoUrl);
+    const review = await this.sendJson(`${this.baseUrl}/repos/${owner}/${repo}/pulls/${number}/reviews`, 'POST', {
+      commit_id: commitId,
+      body,
+      // Without `event` the review is created as PENDING
+      comments: comments.map(comment => ({ path: comment.path, line: comment.line, side: 'RIGHT', body: comment.body }))
+    });
+    return { reviewId: review.id, url: review.html_url, state: review.state };
+  }
+
+  /**
+   * Fetch a file's content by its git blob SHA (as listed by fetchRepoContents)
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {string} sha - Blob SHA
+   * @param {Object} options - { signal } to abort the request
+   * @returns {Promise<string>} - File content
+   */
+  async fetchBlob(repoUrl, sha, { signal } = {}) {
+    try {
+      const { owner, repo } = this.parseRepoUrl(repoUrl);
+      const response = await this.request(
+        `${this.baseUrl}/repos/${owner}/${repo}/git/blobs/${sha}`,
+        { signal }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(`GitHub API error: ${errorData.message || response.statusText}`);
+      }
+
+      const data = await response.json();
+      return Buffer.from(data.content, data.encoding === 'base64' ? 'base64' : 'utf-8').toString('utf-8');
+    } catch (error) {
+      throw new Error(`Failed to fetch blob: ${error.message}`);
+    }
+  }
 }
 
 export default GitHubService;
\ No newline at end of file
@@ -0,0 +1,431 @@
+import HostService from './hostService.js';
+import { parseRepoUrl } from './repoUrl.js';
+
+export const DEFAULT_GITLAB_API_URL = 'https://gitlab.com/api/v4';
+
+// Project access levels that can push, and administer the project
+const DEVELOPER_ACCESS = 30;
+const MAINTAINER_ACCESS = 40;
+
+/**
+ * Client for the GitLab REST API (v4). Reads issues, their discussion and
+ * repository files in the same shapes GitHubService returns, so routes work
+ * the same on either host. Merge requests count as pull requests and issue
+ * iids as issue numbers.
+ */
+class GitLabService extends HostService {
+  /**
+   * @param {string} token - GitLab personal or OAuth access token (optional for public projects)
+   * @param {Object} options - { baseUrl } of the REST API, e.g. https://gitlab.example.com/api/v4
+   */
+  constructor(token, { baseUrl = DEFAULT_GITLAB_API_URL } = {}) {
+    super('GitLab', token ? { 'Authorization': `Bearer ${token}` } : {}, {
+      baseUrl,
+      rateLimitPrefix: 'ratelimit-'
+    });
+    this.token = token;
+  }
+
+  /**
+   * Extract the project path from a repository URL
+   * @param {string} repoUrl - GitLab project URL, possibly in nested groups
+   * @returns {Object} - { owner, repo, projectId } where projectId is the URL-encoded path
+   */
+  parseRepoUrl(repoUrl) {
+    try {
+      const { owner, repo } = parseRepoUrl(repoUrl, 'gitlab');
+      return { owner, repo, projectId: encodeURIComponent(`${owner}/${repo}`) };
+    } catch (error) {
+      throw new Error(`Failed to parse GitLab URL: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the query string for the issues endpoint from the GitHub-style filter options
+   * @param {Object} options - Filters: state, labels, assignee, milestone, since, sort, direction
+   * @returns {URLSearchParams} - Query parameters for the request
+   */
+  buildIssueQuery(options = {}) {
+    const params = new URLSearchParams();
+    params.set('scope', 'all');
+    params.set('per_page', '100');
+
+    const state = options.state || 'open';
+    if (state !== 'all') params.set('state', state === 'open' ? 'opened' : state);
+
+    if (options.labels) {
+      const labels = Array.isArray(options.labels) ? options.labels.join(',') : options.labels;
+      params.set('labels', labels);
+    }
+    if (options.assignee === 'none') {
+      params.set('assignee_id', 'None');
+    } else if (options.assignee === '*') {
+      params.set('assignee_id', 'Any');
+    } else if (options.assignee) {
+      params.set('assignee_username', options.assignee);
+    }
+    if (options.milestone === 'none') {
+      params.set('milestone', 'None');
+    } else if (options.milestone === '*') {
+      params.set('milestone', 'Any');
+    } else if (options.milestone) {
+      params.set('milestone', String(options.milestone));
+    }
+    if (options.since) params.set('updated_after', new Date(options.since).toISOString());
+    if (options.sort === 'created' || options.sort === 'updated') params.set('order_by', `${options.sort}_at`);
+    if (options.direction) params.set('sort', options.direction);
+
+    return params;
+  }
+
+  /**
+   * Convert a GitLab issue into the shape used by the app
+   * @param {Object} issue - Issue object returned by the GitLab API
+   * @returns {Object} - Formatted issue
+   */
+  formatIssue(issue) {
+    return {
+      issueNumber: issue.iid,
+      title: issue.title,
+      body: issue.description || '',
+      state: issue.state === 'opened' ? 'open' : 'closed',
+      labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+      assignees: (issue.assignees || []).map(assignee => assignee.username),
+      milestone: issue.milestone
+        ? { number: issue.milestone.iid, title: issue.milestone.title }
+        : null,
+      commentsCount: issue.user_notes_count || 0,
+      createdAt: issue.created_at,
+      updatedAt: issue.updated_at,
+      url: issue.web_url
+    };
+  }
+
+  /**
+   * Convert a GitLab note into the shape stored on issues
+   * @param {Object} note - Note object returned by the GitLab API
+   * @returns {Object} - { commentId, author, body, createdAt, updatedAt }
+   */
+  formatComment(note) {
+    return {
+      commentId: note.id,
+      author: note.author ? note.author.username : 'ghost',
+      body: note.body || '',
+      createdAt: note.created_at,
+      updatedAt: note.updated_at
+    };
+  }
+
+  /**
+   * Fetch issues from a GitLab project, following pagination across all pages
+   * @param {string} repoUrl - GitLab project URL
+   * @param {Object} options - Same filters as GitHubService.fetchIssues
+   * @returns {Promise<Array>} - List of issues
+   */
+  async fetchIssues(repoUrl, options = {}) {
+    const { issues } = await this.fetchIssueUpdates(repoUrl, options);
+    return issues;
+  }
+
+  /**
+   * Fetch issues, conditionally when an ETag from a previous call is supplied
+   * @param {string} repoUrl - GitLab project URL
+   * @param {Object} options - Same filters as fetchIssues, plus etag and maxPages
+   * @returns {Promise<Object>} - { notModified, etag, issues }
+   */
+  async fetchIssueUpdates(repoUrl, options = {}) {
+    try {
+      const { projectId } = this.parseRepoUrl(repoUrl);
+      const maxPages = options.maxPages || Infinity;
+
+      let url = `${this.baseUrl}/projects/${projectId}/issues?${this.buildIssueQuery(options)}`;
+      let pagesFetched = 0;
+      let etag = null;
+      const issues = [];
+
+      while (url && pagesFetched < maxPages) {
+        const headers = pagesFetched === 0 && options.etag ? { 'If-None-Match': options.etag } : {};
+        const response = await this.request(url, { headers });
+
+        if (response.status === 304) {
+          return { notModified: true, etag: options.etag, issues: [] };
+        }
+        if (!response.ok) {
+          throw await this.responseError(response);
+        }
+
+        if (pagesFetched === 0) {
+          etag = response.headers.get('etag');
+        }
+
+        const page = await response.json();
+        pagesFetched++;
+        issues.push(...page.map(issue => this.formatIssue(issue)));
+
+        url = this.parseLinkHeader(response.headers.get('link')).next;
+      }
+
+      return { notModified: false, etag, issues };
+    } catch (error) {
+      const wrapped = new Error(`Failed to fetch issues: ${error.message}`);
+      wrapped.rateLimited = !!error.rateLimited;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Fetch a specific issue
+   * @param {string} repoUrl - GitLab project URL
+   * @param {number} issueNumber - Issue iid
+   * @returns {Promise<Object>} - Issue details
+   */
+  async fetchIssue(repoUrl, issueNumber) {
+    try {
+      const { projectId } = this.parseRepoUrl(repoUrl);
+      const response = await this.request(`${this.baseUrl}/projects/${projectId}/issues/${issueNumber}`);
+
+      if (!response.ok) {
+        throw await this.responseError(response);
+      }
+
+      return this.formatIssue(await response.json());
+    } catch (error) {
+      throw new Error(`Failed to fetch issue: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch the comments on an issue, leaving out system notes (label changes etc.)
+   * @param {string} repoUrl - GitLab project URL
+   * @param {number} issueNumber - Issue iid
+   * @returns {Promise<Array>} - List of comments
+   */
+  async fetchIssueComments(repoUrl, issueNumber) {
+    try {
+      const { projectId } = this.parseRepoUrl(repoUrl);
+      const notes = await this.fetchAllPages(
+        `${this.baseUrl}/projects/${projectId}/issues/${issueNumber}/notes?per_page=100&sort=asc&order_by=created_at`
+      );
+
+      return notes.filter(note => !note.system).map(note => this.formatComment(note));
+    } catch (error) {
+      throw new Error(`Failed to fetch issue comments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch merge requests and issues linked to an issue
+   * @param {string} repoUrl - GitLab project URL
+   * @param {number} issueNumber - Issue iid
+   * @returns {Promise<Array>} - List of { type, number, title, state, url }
+   */
+  async fetchIssueReferences(repoUrl, issueNumber) {
+    try {
+      const { projectId } = this.parseRepoUrl(repoUrl);
+      const [mergeRequests, links] = await Promise.all([
+        this.fetchAllPages(`${this.baseUrl}/projects/${projectId}/issues/${issueNumber}/related_merge_requests?per_page=100`),
+        this.fetchAllPages(`${this.baseUrl}/projects/${projectId}/issues/${issueNumber}/links`)
+      ]);
+
+      return [
+        ...mergeRequests.map(mergeRequest => ({
+          type: 'pull_request',
+          number: mergeRequest.iid,
+          title: mergeRequest.title,
+          state: mergeRequest.state === 'opened' ? 'open' : mergeRequest.state,
+          url: mergeRequest.web_url
+        })),
+        ...links.map(issue => ({
+          type: 'issue',
+          number: issue.iid,
+          title: issue.title,
+          state: issue.state === 'opened' ? 'open' : issue.state,
+          url: issue.web_url
+        }))
+      ];
+    } catch (error) {
+      throw new Error(`Failed to fetch issue links: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch an issue together with its discussion and linked references
+   * @param {string} repoUrl - GitLab project URL
+   * @param {number} issueNumber - Issue iid
+   * @returns {Promise<Object>} - Issue details with comments and linkedReferences
+   */
+  async fetchIssueDetails(repoUrl, issueNumber) {
+    const [issue, comments, linkedReferences] = await Promise.all([
+      this.fetchIssue(repoUrl, issueNumber),
+      this.fetchIssueComments(repoUrl, issueNumber),
+      this.fetchIssueReferences(repoUrl, issueNumber)
+    ]);
+
+    return { ...issue, comments, linkedReferences };
+  }
+
+  /**
+   * Fetch project metadata
+   * @param {string} repoUrl - GitLab project URL
+   * @returns {Promise<Object>} - { fullName, defaultBranch, private, visibility, permissions: { push, admin } }:
+   *                               permissions are those of the token's account
+   */
+  async fetchRepository(repoUrl) {
+    const { projectId } = this.parseRepoUrl(repoUrl);
+    const response = await this.request(`${this.baseUrl}/projects/${projectId}`);
+
+    if (!response.ok) {
+      throw await this.responseError(response);
+    }
+
+    const data = await response.json();
+    // Access through the project or its group, whichever is higher
+    const accessLevel = Math.max(
+      data.permissions?.project_access?.access_level || 0,
+      data.permissions?.group_access?.access_level || 0
+    );
+    return {
+      fullName: data.path_with_namespace,
+      defaultBranch: data.default_branch || 'main',
+      private: data.visibility !== 'public',
+      visibility: data.visibility,
+      permissions: {
+        push: accessLevel >= DEVELOPER_ACCESS,
+        admin: accessLevel >= MAINTAINER_ACCESS
+      }
+    };
+  }
+
+  /**
+   * Fetch the account the token belongs to
+   * @returns {Promise<Object>} - { login, id, name, scopes }; GitLab doesn't report token scopes here
+   * @throws {Error} - With status 401 when the token is invalid
+   */
+  async fetchAuthenticatedUser() {
+    const response = await this.request(`${this.baseUrl}/user`);
+
+    if (!response.ok) {
+      throw await this.responseError(response);
+    }
+
+    const data = await response.json();
+    return { login: data.username, id: data.id, name: data.name || null, scopes: [] };
+  }
+
+  /**
+   * Fetch the files of the default branch
+   * @param {string} repoUrl - GitLab project URL
+   * @returns {Promise<Array>} - Files as { path, sha, type: 'blob', mode }; sizes are not listed
+   */
+  async fetchRepoContents(repoUrl) {
+    try {
+      const { projectId } = this.parseRepoUrl(repoUrl);
+      const entries = await this.fetchAllPages(
+        `${this.baseUrl}/projects/${projectId}/repository/tree?recursive=true&per_page=100&pagination=keyset`
+      );
+
+      return entries
+        .filter(entry => entry.type === 'blob')
+        .map(entry => ({ path: entry.path, sha: entry.id, type: 'blob', mode: entry.mode }));
+    } catch (error) {
+      console.error(`Error fetching repository contents: ${error.message}`);
+      // Same as GitHubService: let analysis continue with partial data
+      return [];
+    }
+  }
+
+  /**
+   * Fetch a file and its blob SHA
+   * @param {string} repoUrl - GitLab project URL
+   * @param {string} filePath - Path to the file
+   * @param {Object} options - { ref } branch or commit to read (default branch if omitted),
+   *                           { signal } to abort the request
+   * @returns {Promise<Object>} - { content, sha }
+   */
+  async fetchFile(repoUrl, filePath, { ref, signal } = {}) {
+    try {
+      const { projectId } = this.parseRepoUrl(repoUrl);
+      const response = await this.request(
+        `${this.baseUrl}/projects/${projectId}/repository/files/${encodeURIComponent(filePath)}?ref=${encodeURIComponent(ref || 'HEAD')}`,
+        { signal }
+      );
+
+      if (!response.ok) {
+        throw await this.responseError(response);
+      }
+
+      const data = await response.json();
+      return {
+        content: Buffer.from(data.content, data.encoding === 'base64' ? 'base64' : 'utf-8').toString('utf-8'),
+        sha: data.blob_id
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch file content: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch file content
+   * @param {string} repoUrl - GitLab project URL
+   * @param {string} filePath - Path to the file
+   * @param {Object} options - { ref, signal }
+   * @returns {Promise<string>} - File content
+   */
+  async fetchFileContent(repoUrl, filePath, options = {}) {
+    const { content } = await this.fetchFile(repoUrl, filePath, options);
+    return content;
+  }
+
+  /**
+   * Fetch a file's content by its git blob SHA (as listed by fetchRepoContents)
+   * @param {string} repoUrl - GitLab project URL
+   * @param {string} sha - Blob SHA
+   * @param {Object} options - { signal } to abort the request
+   * @returns {Promise<string>} - File content
+   */
+  async fetchBlob(repoUrl, sha, { signal } = {}) {
+    try {
+      const { projectId } = this.parseRepoUrl(repoUrl);
+      const response = await this.request(
+        `${this.baseUrl}/projects/${projectId}/repository/blobs/${sha}/raw`,
+        { signal }
+      );
+
+      if (!response.ok) {
+        throw await this.responseError(response);
+      }
+
+      return response.text();
+    } catch (error) {
+      throw new Error(`Failed to fetch blob: ${error.message}`);
+    }
+  }
+
+  /**
+   * Writing to GitLab (comments, issues, merge requests) and reviewing merge
+   * requests are not implemented yet
+   * @param {string} action - What was attempted
+   * @throws {Error} - With status 501
+   */
+  unsupported(action) {
+    const error = new Error(`${action} is not supported for GitLab repositories yet`);
+    error.status = 501;
+    throw error;
+  }
+
+  async createIssueComment() { this.unsupported('Posting comments'); }
+  async updateIssueComment() { this.unsupported('Editing comments'); }
+  async createIssue() { this.unsupported('Creating issues'); }
+  async updateIssue() { this.unsupported('Editing issues'); }
+  async fetchBranchHead() { this.unsupported('Opening merge requests'); }
+  async createCommit() { this.unsupported('Opening merge requests'); }
+  async createBranch() { this.unsupported('Opening merge requests'); }
+  async findPullRequest() { this.unsupported('Opening merge requests'); }
+  async createPullRequest() { this.unsupported('Opening merge requests'); }
+  async fetchPullRequest() { this.unsupported('Reviewing merge requests'); }
+  async fetchPullRequestFiles() { this.unsupported('Reviewing merge requests'); }
+  async fetchPullRequestDiff() { this.unsupported('Reviewing merge requests'); }
+  async createPendingReview() { this.unsupported('Reviewing merge requests'); }
+}
+
+export default GitLabService;
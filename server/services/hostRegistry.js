@@ -0,0 +1,91 @@
+import GitHubService from './githubService.js';
+import GitLabService from './gitlabService.js';
+import { parseRepoUrl, repoHost } from './repoUrl.js';
+
+// Client class for each supported host type
+const HOST_TYPES = {
+  github: GitHubService,
+  gitlab: GitLabService
+};
+
+/**
+ * Maps a repository URL's host to the configured API client, so routes and
+ * services can work with github.com, GitHub Enterprise and GitLab repositories
+ * alike. One client is kept per host. A registry built for a user carries
+ * their tokens, which take the place of the configured ones.
+ */
+class HostRegistry {
+  /**
+   * @param {Object} hosts - Settings by host name: { type: 'github'|'gitlab', apiUrl, token }
+   * @param {Object} tokens - The user's own tokens by host name
+   */
+  constructor(hosts = {}, tokens = {}) {
+    this.hosts = hosts;
+    this.tokens = tokens;
+    this.services = new Map();
+  }
+
+  /**
+   * Whether the registry has the user's own token for a host
+   * @param {string} host - Host name
+   * @returns {boolean}
+   */
+  hasUserToken(host) {
+    return Boolean(this.tokens[host]);
+  }
+
+  /**
+   * Create a client for a host with an explicit token, e.g. to check a token
+   * before storing it
+   * @param {string} host - Host name
+   * @param {string} token - Token to use
+   * @returns {GitHubService|GitLabService} - New client
+   * @throws {Error} - With status 400 when the host is not configured
+   */
+  clientFor(host, token) {
+    const settings = this.hosts[String(host).toLowerCase()];
+    if (!settings || !HOST_TYPES[settings.type]) {
+      const error = new Error(`Unsupported host: ${host}`);
+      error.status = 400;
+      throw error;
+    }
+    return new HOST_TYPES[settings.type](token, { baseUrl: settings.apiUrl });
+  }
+
+  /**
+   * Work out which host a repository lives on
+   * @param {string} repoUrl - Repository URL
+   * @returns {Object} - { host, type, apiUrl, owner, repo }
+   * @throws {Error} - With status 400 when the URL is invalid or the host is not configured
+   */
+  resolve(repoUrl) {
+    try {
+      const host = repoHost(repoUrl);
+      const settings = this.hosts[host];
+      if (!settings || !HOST_TYPES[settings.type]) {
+        throw new Error(`Unsupported repository host: ${host}`);
+      }
+      return { host, type: settings.type, apiUrl: settings.apiUrl, ...parseRepoUrl(repoUrl, settings.type) };
+    } catch (err) {
+      err.status = 400;
+      throw err;
+    }
+  }
+
+  /**
+   * Get the API client for a repository
+   * @param {string} repoUrl - Repository URL
+   * @returns {GitHubService|GitLabService} - Client for the repository's host
+   * @throws {Error} - With status 400 when the host is not configured
+   */
+  forRepo(repoUrl) {
+    const { host, type } = this.resolve(repoUrl);
+    if (!this.services.has(host)) {
+      const { token, apiUrl } = this.hosts[host];
+      this.services.set(host, new HOST_TYPES[type](this.tokens[host] || token, { baseUrl: apiUrl }));
+    }
+    return this.services.get(host);
+  }
+}
+
+export default HostRegistry;
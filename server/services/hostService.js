@@ -0,0 +1,209 @@
+import fetch from 'node-fetch';
+
+const RETRYABLE_STATUSES = [403, 429, 500, 502, 503, 504];
+
+// Shortest wait before a retry, so a Retry-After of 0 or a past reset time cannot cause a tight loop
+const MIN_RETRY_DELAY_MS = 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a Retry-After header, given either in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Delay in milliseconds, or null when missing or unparseable
+ */
+function parseRetryAfter(value) {
+  if (value === null || value.trim() === '') return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : date - Date.now();
+}
+
+/**
+ * HTTP plumbing shared by the code host clients (GitHubService,
+ * GitLabService): default headers, rate-limit tracking, retries with backoff
+ * and Link header pagination.
+ */
+class HostService {
+  /**
+   * @param {string} name - Host name used in messages, e.g. 'GitHub'
+   * @param {Object} headers - Headers sent with every request
+   * @param {Object} options - { baseUrl } of the REST API, { rateLimitPrefix } of the
+   *                           rate-limit response headers
+   */
+  constructor(name, headers, { baseUrl, rateLimitPrefix = 'x-ratelimit-' }) {
+    this.name = name;
+    this.headers = headers;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.rateLimitPrefix = rateLimitPrefix;
+
+    // Retry/backoff settings for rate limits and transient server errors
+    this.maxRetries = 3;
+    this.maxRetryWaitMs = 60 * 1000;
+
+    // Last rate-limit state reported by the host
+    this.rateLimit = {
+      limit: null,
+      remaining: null,
+      reset: null
+    };
+  }
+
+  /**
+   * Record the rate-limit headers of a response
+   * @param {Response} response - Fetch response
+   */
+  updateRateLimit(response) {
+    const limit = response.headers.get(`${this.rateLimitPrefix}limit`);
+    const remaining = response.headers.get(`${this.rateLimitPrefix}remaining`);
+    const reset = response.headers.get(`${this.rateLimitPrefix}reset`);
+
+    if (limit !== null) this.rateLimit.limit = parseInt(limit, 10);
+    if (remaining !== null) this.rateLimit.remaining = parseInt(remaining, 10);
+    if (reset !== null) this.rateLimit.reset = new Date(parseInt(reset, 10) * 1000);
+  }
+
+  /**
+   * Work out how long to wait before retrying a failed response. Waits come
+   * from Retry-After or the rate-limit reset time when the host sends a usable
+   * one, exponential backoff otherwise, and are never shorter than a second;
+   * request() gives up on waits longer than maxRetryWaitMs.
+   * @param {Response} response - Fetch response
+   * @param {number} attempt - Zero-based retry attempt
+   * @returns {number|null} - Delay in milliseconds, or null if the response should not be retried
+   */
+  getRetryDelay(response, attempt) {
+    if (!RETRYABLE_STATUSES.includes(response.status)) return null;
+
+    const backoff = MIN_RETRY_DELAY_MS * 2 ** attempt;
+    let delay = parseRetryAfter(response.headers.get('retry-after'));
+
+    if (delay === null && (response.status === 403 || response.status === 429)) {
+      // A 403 without exhausted rate limit is a permission problem, not worth retrying
+      if (response.headers.get(`${this.rateLimitPrefix}remaining`) !== '0') {
+        if (response.status === 403) return null;
+      } else {
+        const reset = parseInt(response.headers.get(`${this.rateLimitPrefix}reset`), 10);
+        if (!isNaN(reset)) delay = reset * 1000 - Date.now() + 1000;
+      }
+    }
+
+    return Math.max(delay ?? backoff, MIN_RETRY_DELAY_MS);
+  }
+
+  /**
+   * Perform an API request, backing off and retrying on rate limits and 5xx errors
+   * @param {string} url - Request URL
+   * @param {Object} options - Fetch options; headers are merged with the default headers.
+   *                           { idempotent: false } disables retries on 5xx, where a
+   *                           write may already have been applied
+   * @returns {Promise<Response>} - Fetch response (may be non-OK, e.g. 304 or 404)
+   */
+  async request(url, { idempotent = true, ...options } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const response = await fetch(url, {
+        ...options,
+        headers: { ...this.headers, ...options.headers }
+      });
+      this.updateRateLimit(response);
+
+      const delay = this.getRetryDelay(response, attempt);
+      if (delay === null) return response;
+      if (!idempotent && response.status >= 500) return response;
+
+      const rateLimited = response.status === 403 || response.status === 429;
+      if (attempt >= this.maxRetries || delay > this.maxRetryWaitMs) {
+        if (!rateLimited) return response;
+
+        const error = new Error(
+          `${this.name} rate limit exceeded${this.rateLimit.reset ? `, resets at ${this.rateLimit.reset.toISOString()}` : ''}`
+        );
+        error.rateLimited = true;
+        throw error;
+      }
+
+      console.warn(`${this.name} API responded ${response.status}, retrying in ${delay}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Build the error for a failed response
+   * @param {Response} response - Non-OK fetch response
+   * @returns {Promise<Error>} - Error with the response status as `status`
+   */
+  async responseError(response) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(`${this.name} API error: ${errorData.message || errorData.error || response.statusText}`);
+    error.status = response.status;
+    return error;
+  }
+
+  /**
+   * Parse a Link header into a map of rel -> URL
+   * @param {string|null} linkHeader - Value of the Link response header
+   * @returns {Object} - e.g. { next: 'https://...', last: 'https://...' }
+   */
+  parseLinkHeader(linkHeader) {
+    const links = {};
+    if (!linkHeader) return links;
+
+    for (const part of linkHeader.split(',')) {
+      const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+      if (match) {
+        links[match[2]] = match[1];
+      }
+    }
+    return links;
+  }
+
+  /**
+   * Fetch every page of a list endpoint by following Link headers
+   * @param {string} url - First page URL
+   * @param {Object} headers - Extra request headers
+   * @returns {Promise<Array>} - Concatenated items of all pages
+   */
+  async fetchAllPages(url, headers = {}) {
+    const items = [];
+    let nextUrl = url;
+
+    while (nextUrl) {
+      const response = await this.request(nextUrl, { headers });
+
+      if (!response.ok) {
+        throw await this.responseError(response);
+      }
+
+      items.push(...await response.json());
+      nextUrl = this.parseLinkHeader(response.headers.get('link')).next;
+    }
+
+    return items;
+  }
+
+  /**
+   * Send a JSON request to the API
+   * @param {string} url - Request URL
+   * @param {string} method - HTTP method
+   * @param {Object} body - Request body, omitted for GET
+   * @returns {Promise<Object>} - Parsed response body
+   * @throws {Error} - With the response status as `status` when the host rejects the request
+   */
+  async sendJson(url, method, body) {
+    const response = await this.request(url, {
+      method,
+      headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      idempotent: method !== 'POST'
+    });
+
+    if (!response.ok) {
+      throw await this.responseError(response);
+    }
+
+    return response.json();
+  }
+}
+
+export default HostService;
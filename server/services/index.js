@@ -1,5 +1,53 @@
 import GitHubService from './githubService.js';
+import GitLabService from './gitlabService.js';
+import HostRegistry from './hostRegistry.js';
 import IssueAnalyzerService from './issueAnalyzerService.js';
+import AIService from './aiService.js';
 import GeminiService from './geminiService.js';
+import FileRetrievalService from './fileRetrievalService.js';
+import ContextBudgetService from './contextBudgetService.js';
+import PatchService from './patchService.js';
+import RuleEngine from './ruleEngine.js';
+import SecretScanner from './secretScanner.js';
+import SimilarityService from './similarityService.js';
+import ScanJobQueue from './scanJobQueue.js';
+import RepoScanService from './repoScanService.js';
+import SolutionDiffService from './solutionDiffService.js';
+import MarkdownService from './markdownService.js';
+import PullRequestService from './pullRequestService.js';
+import WebhookService from './webhookService.js';
+import RepositoryService from './repositoryService.js';
+import PullReviewService from './pullReviewService.js';
+import TokenCipher from './tokenCipher.js';
+import AuthService from './authService.js';
+import AccessService from './accessService.js';
+import GitHubDeviceFlow from './githubDeviceFlow.js';
+import UsageService from './usageService.js';
 
-export { GitHubService, IssueAnalyzerService, GeminiService };
\ No newline at end of file
+export {
+  GitHubService,
+  GitLabService,
+  HostRegistry,
+  IssueAnalyzerService,
+  AIService,
+  GeminiService,
+  FileRetrievalService,
+  ContextBudgetService,
+  PatchService,
+  RuleEngine,
+  SecretScanner,
+  SimilarityService,
+  ScanJobQueue,
+  RepoScanService,
+  SolutionDiffService,
+  MarkdownService,
+  PullRequestService,
+  WebhookService,
+  RepositoryService,
+  PullReviewService,
+  TokenCipher,
+  AuthService,
+  AccessService,
+  GitHubDeviceFlow,
+  UsageService
+};
@@ -1,11 +1,30 @@
+import crypto from 'crypto';
+import RuleEngine from './ruleEngine.js';
+import SecretScanner from './secretScanner.js';
+import DEFAULT_RULES from './analysisRules.js';
+
+// Longest line range kept from a `file.js:10-20` reference; longer ones are cut to this many lines
+const MAX_REFERENCE_SPAN = 500;
+
 /**
  * Service to analyze GitHub issues and identify code problems
  */
 class IssueAnalyzerService {
   /**
-   * Analyze issue content to extract file references and code locations
+   * @param {Object} options - { rules, secretScanner }; rules default to DEFAULT_RULES,
+   *                           and the secret scanner's detectors are added as rules
+   */
+  constructor({ rules = DEFAULT_RULES, secretScanner = new SecretScanner() } = {}) {
+    this.secretScanner = secretScanner;
+    this.ruleEngine = new RuleEngine([...rules, ...secretScanner.toRules()]);
+  }
+
+  /**
+   * Analyze issue content to extract file references and code locations.
+   * Single lines (file.js:10) are listed in lineNumbers; spans (file.js:10-20)
+   * are kept as ranges, at most MAX_REFERENCE_SPAN lines long.
    * @param {string} issueBody - The body content of the GitHub issue
-   * @returns {Array} - List of file references with line numbers
+   * @returns {Array} - List of file references: { path, lineNumbers, ranges: [{ start, end }] }
    */
   extractFileReferences(issueBody) {
     if (!issueBody) return [];
@@ -22,16 +41,16 @@ class IssueAnalyzerService {
           const filePath = match[1];
           const startLine = parseInt(match[2], 10);
           const endLine = match[3] ? parseInt(match[3], 10) : startLine;
-          
-          const lineNumbers = [];
-          for (let i = startLine; i <= endLine; i++) {
-            lineNumbers.push(i);
+
+          if (endLine > startLine) {
+            fileReferences.push({
+              path: filePath,
+              lineNumbers: [],
+              ranges: [{ start: startLine, end: Math.min(endLine, startLine + MAX_REFERENCE_SPAN - 1) }]
+            });
+          } else {
+            fileReferences.push({ path: filePath, lineNumbers: [startLine], ranges: [] });
           }
-          
-          fileReferences.push({
-            path: filePath,
-            lineNumbers
-          });
         }
       } catch (regexError) {
         console.error('Error in file line pattern matching:', regexError.message);
@@ -48,7 +67,8 @@ class IssueAnalyzerService {
             if (!fileReferences.some(ref => ref.path === filePath)) {
               fileReferences.push({
                 path: filePath,
-                lineNumbers: []
+                lineNumbers: [],
+                ranges: []
               });
             }
           }
@@ -64,69 +84,69 @@ class IssueAnalyzerService {
     }
   }
 
+  /**
+   * Extract file references from an issue body and all of its comments,
+   * merging references to the same file
+   * @param {Object} issue - Issue with body and optional comments
+   * @returns {Array} - List of file references: { path, lineNumbers, ranges: [{ start, end }] }
+   */
+  extractIssueFileReferences(issue) {
+    const texts = [issue.body, ...(issue.comments || []).map(comment => comment.body)];
+    const merged = new Map();
+
+    for (const text of texts) {
+      for (const ref of this.extractFileReferences(text)) {
+        if (!merged.has(ref.path)) {
+          merged.set(ref.path, { lines: new Set(), ranges: new Map() });
+        }
+        const file = merged.get(ref.path);
+        ref.lineNumbers.forEach(line => file.lines.add(line));
+        ref.ranges.forEach(range => file.ranges.set(`${range.start}-${range.end}`, range));
+      }
+    }
+
+    return Array.from(merged, ([path, { lines, ranges }]) => ({
+      path,
+      lineNumbers: Array.from(lines).sort((a, b) => a - b),
+      ranges: Array.from(ranges.values()).sort((a, b) => a.start - b.start || a.end - b.end)
+    }));
+  }
+
+  /**
+   * Fingerprint of everything that affects analyzeCode's findings for a file,
+   * so cached findings can be reused only while the rules are unchanged
+   * @param {Object} options - Same as analyzeCode
+   * @returns {string} - Hex digest
+   */
+  rulesFingerprint({ filePath, disabledRules, enabledRules, severityOverrides = {} } = {}) {
+    const rules = this.ruleEngine.getActiveRules({ filePath, disabledRules, enabledRules })
+      .map(rule => `${rule.id}:${severityOverrides[rule.id] || rule.severity}:${rule.pattern ? rule.pattern.source : ''}`);
+    const { values, patterns, paths } = this.secretScanner.allowlist;
+
+    return crypto
+      .createHash('sha1')
+      .update(JSON.stringify({
+        rules,
+        allowlist: [[...values].sort(), patterns.map(pattern => pattern.source), paths.map(pattern => pattern.source)]
+      }))
+      .digest('hex');
+  }
+
   /**
    * Analyze code to identify potential issues
    * @param {string} code - The code content to analyze
-   * @returns {Array} - List of potential issues
+   * @param {Object} options - { filePath, disabledRules, enabledRules, severityOverrides }
+   * @returns {Array} - List of findings with ruleId, type, description, severity, line and column
    */
-  analyzeCode(code) {
+  analyzeCode(code, options = {}) {
     if (!code || typeof code !== 'string') {
       console.warn('Invalid code provided for analysis');
       return [];
     }
     
     try {
-    
-    console.log(`Analyzing code with length: ${code.length} characters`);
-    const issues = [];
-    
-    // Check for common code smells and issues
-    if (code.includes('console.log') || code.includes('console.debug') || code.includes('console.error')) {
-      issues.push({
-        type: 'debugging',
-        description: 'Debug statements found in code',
-        severity: 'low'
-      });
-    }
-    
-    if (code.includes('TODO') || code.includes('FIXME') || code.includes('HACK') || code.includes('XXX')) {
-      issues.push({
-        type: 'incomplete',
-        description: 'TODO, FIXME, HACK or XXX comments found',
-        severity: 'medium'
-      });
-    }
-    
-    // Check for potential security issues
-    if (code.includes('eval(') || code.includes('new Function(')) {
-      issues.push({
-        type: 'security',
-        description: 'Potentially unsafe code execution',
-        severity: 'high'
-      });
-    }
-    
-    // Check for hardcoded credentials
-    const credentialPatterns = [
-      /password\s*[:=]\s*['"]+[^'"]+['"]/, 
-      /api[_-]?key\s*[:=]\s*['"]+[^'"]+['"]/, 
-      /secret\s*[:=]\s*['"]+[^'"]+['"]/, 
-      /token\s*[:=]\s*['"]+[^'"]+['"]/, 
-      /auth\s*[:=]\s*['"]+[^'"]+['"]/ 
-    ];
-    
-    for (const pattern of credentialPatterns) {
-      if (pattern.test(code)) {
-        issues.push({
-          type: 'security',
-          description: 'Potential hardcoded credentials found',
-          severity: 'critical'
-        });
-        break;
-      }
-    }
-    
-    return issues;
+      console.log(`Analyzing code with length: ${code.length} characters`);
+      return this.ruleEngine.run(code, options);
     } catch (error) {
       console.error('Error analyzing code:', error.message);
       return [];
@@ -151,7 +171,7 @@ class IssueAnalyzerService {
         try {
           const fileData = fileContents.find(f => f.path === fileRef.path);
           if (fileData) {
-            const issues = this.analyzeCode(fileData.content);
+            const issues = this.analyzeCode(fileData.content, { filePath: fileRef.path });
             if (issues.length > 0) {
               codeAnalysis.push({
                 filePath: fileRef.path,
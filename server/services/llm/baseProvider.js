@@ -0,0 +1,37 @@
+/**
+ * Base class for LLM providers. A provider only knows how to turn a prompt
+ * into text; prompt construction and response parsing live in AIService so
+ * every provider produces the same solution shape.
+ */
+class BaseProvider {
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+  }
+
+  /**
+   * Generate a completion for a prompt
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { json: true } asks for a JSON-only response where supported;
+   *                            { signal } aborts the request
+   * @returns {Promise<Object>} - { text, usage: { promptTokens, completionTokens } }
+   */
+  async generate(prompt, options = {}) {
+    throw new Error(`generate() is not implemented by the ${this.name} provider`);
+  }
+
+  /**
+   * Generate a completion, reporting text as it arrives. Providers without a
+   * streaming API report the whole response as a single chunk.
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { json, signal, onToken(text) }
+   * @returns {Promise<Object>} - { text, usage }
+   */
+  async stream(prompt, options = {}) {
+    const result = await this.generate(prompt, options);
+    if (options.onToken && result.text) options.onToken(result.text);
+    return result;
+  }
+}
+
+export default BaseProvider;
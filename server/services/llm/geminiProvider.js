@@ -0,0 +1,82 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import BaseProvider from './baseProvider.js';
+
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Google Gemini provider using the @google/generative-ai SDK
+ */
+class GeminiProvider extends BaseProvider {
+  constructor({ apiKey, model = DEFAULT_GEMINI_MODEL }) {
+    super('gemini', model);
+    this.genAI = new GoogleGenerativeAI(apiKey);
+    this.client = this.genAI.getGenerativeModel({ model });
+  }
+
+  /**
+   * Generate a completion with Gemini
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { json, signal }
+   * @returns {Promise<Object>} - { text, usage }
+   */
+  async generate(prompt, options = {}) {
+    const result = await this.client.generateContent(this.buildRequest(prompt, options), { signal: options.signal });
+    const response = await result.response;
+
+    return {
+      text: response.text(),
+      usage: this.readUsage(response)
+    };
+  }
+
+  /**
+   * Generate a completion with Gemini's streaming API
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { json, signal, onToken }
+   * @returns {Promise<Object>} - { text, usage }
+   */
+  async stream(prompt, options = {}) {
+    const result = await this.client.generateContentStream(this.buildRequest(prompt, options), { signal: options.signal });
+
+    let text = '';
+    for await (const chunk of result.stream) {
+      const chunkText = chunk.text();
+      if (!chunkText) continue;
+      text += chunkText;
+      if (options.onToken) options.onToken(chunkText);
+    }
+
+    return {
+      text,
+      usage: this.readUsage(await result.response)
+    };
+  }
+
+  /**
+   * Build a generateContent request
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { json }
+   * @returns {Object} - Request
+   */
+  buildRequest(prompt, options) {
+    return {
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: options.json ? { responseMimeType: 'application/json' } : undefined
+    };
+  }
+
+  /**
+   * Read token counts from a Gemini response
+   * @param {Object} response - GenerateContentResponse
+   * @returns {Object} - { promptTokens, completionTokens }
+   */
+  readUsage(response) {
+    const usage = response.usageMetadata || {};
+    return {
+      promptTokens: usage.promptTokenCount || 0,
+      completionTokens: usage.candidatesTokenCount || 0
+    };
+  }
+}
+
+export default GeminiProvider;
@@ -0,0 +1,69 @@
+import GeminiProvider from './geminiProvider.js';
+import OpenAIProvider from './openaiProvider.js';
+import MockProvider from './mockProvider.js';
+import {
+  GEMINI_API_KEY,
+  OPENAI_API_KEY,
+  OPENAI_BASE_URL,
+  LLM_PROVIDER,
+  LLM_MODEL,
+  LLM_REPO_SETTINGS
+} from '../../config.js';
+
+// Factories for each supported provider, fed from config
+const PROVIDERS = {
+  gemini: model => new GeminiProvider({ apiKey: GEMINI_API_KEY, model }),
+  openai: model => new OpenAIProvider({ apiKey: OPENAI_API_KEY, baseUrl: OPENAI_BASE_URL, model }),
+  mock: model => new MockProvider({ model })
+};
+
+const providerCache = new Map();
+
+/**
+ * Check whether a provider name is supported
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+export function isKnownProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+/**
+ * Get (or create) a provider instance
+ * @param {string} name - Provider name: gemini, openai or mock
+ * @param {string} [model] - Model name; each provider has its own default
+ * @returns {BaseProvider} - Provider instance
+ */
+export function getProvider(name, model) {
+  if (!isKnownProvider(name)) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  const key = `${name}:${model || ''}`;
+  if (!providerCache.has(key)) {
+    providerCache.set(key, PROVIDERS[name](model || undefined));
+  }
+  return providerCache.get(key);
+}
+
+/**
+ * Resolve which provider/model to use. Precedence: explicit request
+ * selection, then per-repo config, then the global default.
+ * @param {string} repoUrl - Repository URL
+ * @param {Object} selection - { provider, model } from the request
+ * @param {Object} settings - Per-repo settings keyed the way repoUrl is spelled (default LLM_REPO_SETTINGS)
+ * @returns {Object} - { provider, model }
+ */
+export function resolveProviderSelection(repoUrl, selection = {}, settings = LLM_REPO_SETTINGS) {
+  const repoSettings = settings[repoUrl] || {};
+
+  const provider = selection.provider || repoSettings.provider || LLM_PROVIDER;
+  // A model only carries over when it belongs to the provider that was picked
+  let model = selection.model;
+  if (!model && !selection.provider && repoSettings.model) model = repoSettings.model;
+  if (!model && provider === LLM_PROVIDER) model = LLM_MODEL;
+
+  return { provider, model };
+}
+
+export { GeminiProvider, OpenAIProvider, MockProvider };
@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import BaseProvider from './baseProvider.js';
+
+export const DEFAULT_MOCK_MODEL = 'mock-1';
+
+// Characters per chunk when replaying a response as a stream
+const STREAM_CHUNK_SIZE = 16;
+
+/**
+ * Deterministic offline provider for tests and local development.
+ * The same prompt always yields the same response, and no network is used.
+ */
+class MockProvider extends BaseProvider {
+  constructor({ model = DEFAULT_MOCK_MODEL } = {}) {
+    super('mock', model);
+  }
+
+  /**
+   * Build a canned response from the prompt
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { json }
+   * @returns {Promise<Object>} - { text, usage }
+   */
+  async generate(prompt, options = {}) {
+    const digest = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12);
+    const titleMatch = prompt.match(/Issue Title: (.*)/);
+    const title = titleMatch ? titleMatch[1].trim() : 'the reported issue';
+
+    let response;
+    if (prompt.startsWith('Triage this GitHub issue')) {
+      response = this.triage(prompt, title);
+    } else if (prompt.startsWith('Review this pull request')) {
+      response = this.review(prompt, digest);
+    } else {
+      response = this.analysis(title, digest);
+    }
+
+    const text = options.json
+      ? JSON.stringify(response)
+      : Object.entries(response).map(([key, value]) => `${key}: ${JSON.stringify(value)}`).join('\n');
+
+    return {
+      text,
+      usage: {
+        promptTokens: Math.ceil(prompt.length / 4),
+        completionTokens: Math.ceil(text.length / 4)
+      }
+    };
+  }
+
+  /**
+   * Replay the canned response in small chunks, as a streaming API would
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { json, signal, onToken }
+   * @returns {Promise<Object>} - { text, usage }
+   */
+  async stream(prompt, options = {}) {
+    const result = await this.generate(prompt, options);
+
+    for (let start = 0; start < result.text.length; start += STREAM_CHUNK_SIZE) {
+      options.signal?.throwIfAborted();
+      if (options.onToken) options.onToken(result.text.slice(start, start + STREAM_CHUNK_SIZE));
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return result;
+  }
+
+  /**
+   * Canned triage: keyword-based type, first suggested or listed component
+   * @param {string} prompt - Triage prompt
+   * @param {string} title - Issue title
+   * @returns {Object} - Triage response
+   */
+  triage(prompt, title) {
+    const text = title.toLowerCase();
+    let type = 'bug';
+    if (/secur|vulnerab|xss|injection|cve/.test(text)) type = 'security';
+    else if (/\bdocs?\b|documentation|readme|typo/.test(text)) type = 'docs';
+    else if (/^(add|support|allow|feature)|request/.test(text)) type = 'feature';
+    else if (/\?$|^(how|why|what|is|can)\b/.test(text)) type = 'question';
+
+    const suggested = prompt.match(/The referenced files belong to "([^"]+)"/);
+    const listed = prompt.match(/pick one for "component"\):\n- (.*)/);
+
+    return {
+      type,
+      priority: type === 'security' ? 'high' : 'medium',
+      component: suggested ? suggested[1] : (listed ? listed[1] : '(root)'),
+      confidence: 0.5
+    };
+  }
+
+  /**
+   * Canned review: one comment on the first added line of the diff
+   * @param {string} prompt - Review prompt
+   * @param {string} digest - Prompt digest
+   * @returns {Object} - Review response
+   */
+  review(prompt, digest) {
+    const added = prompt.match(/^File: (.+) \(\w+\)\n\n```diff\n(?:.*\n)*?\s*(\d+)\| \+/m);
+
+    return {
+      summary: `Mock review (prompt ${digest}).`,
+      comments: added
+        ? [{ filePath: added[1], line: parseInt(added[2], 10), severity: 'low', body: 'Mock review comment.' }]
+        : [],
+      confidence: 0.5
+    };
+  }
+
+  /**
+   * Canned analysis matching the solution schema
+   * @param {string} title - Issue title
+   * @param {string} digest - Prompt digest, so different prompts give different text
+   * @returns {Object} - Analysis response
+   */
+  analysis(title, digest) {
+    return {
+      analysis: `Mock analysis of "${title}" (prompt ${digest}).`,
+      rootCause: 'Mock root cause.',
+      steps: [
+        'Reproduce the problem',
+        'Locate the failing code path',
+        'Add a regression test'
+      ],
+      codeChanges: [],
+      bestPractices: [
+        'Add tests covering the reported scenario',
+        'Validate inputs at module boundaries'
+      ],
+      confidence: 0.5
+    };
+  }
+}
+
+export default MockProvider;
@@ -0,0 +1,124 @@
+import fetch from 'node-fetch';
+import BaseProvider from './baseProvider.js';
+
+export const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+export const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+
+/**
+ * Provider for any server speaking the OpenAI chat completions API.
+ * Works with OpenAI itself and self-hosted servers such as Ollama
+ * (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1).
+ */
+class OpenAIProvider extends BaseProvider {
+  constructor({ apiKey, baseUrl = DEFAULT_OPENAI_BASE_URL, model = DEFAULT_OPENAI_MODEL }) {
+    super('openai', model);
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * POST a chat completion request
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { json, signal }
+   * @param {Object} extraBody - Additional request body fields
+   * @returns {Promise<Response>} - Successful response
+   */
+  async request(prompt, options, extraBody = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    // Local servers usually run without a key
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      signal: options.signal,
+      body: JSON.stringify({
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        ...(options.json ? { response_format: { type: 'json_object' } } : {}),
+        ...extraBody
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`OpenAI-compatible API error (${response.status}): ${errorText || response.statusText}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Generate a completion through the chat completions endpoint
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { json, signal }
+   * @returns {Promise<Object>} - { text, usage }
+   */
+  async generate(prompt, options = {}) {
+    const response = await this.request(prompt, options);
+    const data = await response.json();
+    const choice = data.choices && data.choices[0];
+    if (!choice || !choice.message) {
+      throw new Error('OpenAI-compatible API returned no choices');
+    }
+
+    return {
+      text: choice.message.content || '',
+      usage: {
+        promptTokens: data.usage?.prompt_tokens || 0,
+        completionTokens: data.usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Generate a completion with `stream: true`, reading the server-sent events
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { json, signal, onToken }
+   * @returns {Promise<Object>} - { text, usage }
+   */
+  async stream(prompt, options = {}) {
+    const response = await this.request(prompt, options, {
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    let text = '';
+    let usage = {};
+    let buffer = '';
+
+    const handleLine = line => {
+      if (!line.startsWith('data:')) return;
+      const payload = line.slice(5).trim();
+      if (!payload || payload === '[DONE]') return;
+
+      const data = JSON.parse(payload);
+      if (data.usage) usage = data.usage;
+      const delta = data.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        if (options.onToken) options.onToken(delta);
+      }
+    };
+
+    for await (const chunk of response.body) {
+      buffer += chunk.toString('utf-8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => handleLine(line.trim()));
+    }
+    handleLine(buffer.trim());
+
+    return {
+      text,
+      usage: {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0
+      }
+    };
+  }
+}
+
+export default OpenAIProvider;
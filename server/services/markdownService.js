@@ -0,0 +1,158 @@
+import { getExtension } from './codeFiles.js';
+import { SEVERITIES } from './ruleEngine.js';
+
+// Hidden marker prefix used to recognise content this app posted to GitHub
+const MARKER_PREFIX = 'github-issue-analyzer';
+
+/**
+ * Renders solutions, detected code issues and pull request reviews as
+ * GitHub-flavoured markdown for posting to GitHub. Everything posted carries a
+ * hidden marker so it can be found and edited later instead of being posted twice.
+ */
+class MarkdownService {
+  /**
+   * Hidden HTML comment identifying posted content
+   * @param {string} kind - 'solution', 'ai-issue' or 'review'
+   * @param {string|number} id - Local identifier (issue number, review ID)
+   * @returns {string} - Marker comment
+   */
+  marker(kind, id) {
+    return `<!-- ${MARKER_PREFIX}:${kind}:${id} -->`;
+  }
+
+  /**
+   * Wrap code in a fence that is longer than any backtick run inside it
+   * @param {string} code - Code to fence
+   * @param {string} language - Info string
+   * @returns {string} - Fenced block
+   */
+  fence(code, language = '') {
+    const longestRun = Math.max(2, ...((code || '').match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    return `${fence}${language}\n${(code || '').replace(/\n$/, '')}\n${fence}`;
+  }
+
+  /**
+   * Render an AI solution as an issue comment
+   * @param {Object} solution - AISolution (plain object or document)
+   * @param {Object} issue - Issue the solution belongs to
+   * @returns {string} - Markdown
+   */
+  renderSolution(solution, issue) {
+    const sections = [`## AI analysis`, solution.analysis];
+
+    if (solution.rootCause) {
+      sections.push(`### Root cause`, solution.rootCause);
+    }
+    if (solution.steps && solution.steps.length > 0) {
+      sections.push(`### Suggested steps`, solution.steps.map((step, index) => `${index + 1}. ${step}`).join('\n'));
+    }
+
+    if (solution.codeSnippets && solution.codeSnippets.length > 0) {
+      sections.push(`### Code changes`);
+      for (const snippet of solution.codeSnippets) {
+        const lines = snippet.startLine
+          ? ` (lines ${snippet.startLine}${snippet.endLine && snippet.endLine !== snippet.startLine ? `-${snippet.endLine}` : ''})`
+          : '';
+        let text = `**\`${snippet.filePath || 'unknown file'}\`**${lines}`;
+        if (snippet.explanation) text += `\n\n${snippet.explanation}`;
+        text += snippet.diff
+          ? `\n\n${this.fence(snippet.diff, 'diff')}`
+          : `\n\n${this.fence(snippet.suggestedCode, getExtension(snippet.filePath || '').slice(1))}`;
+        sections.push(text);
+      }
+    }
+
+    if (solution.bestPractices && solution.bestPractices.length > 0) {
+      sections.push(`### Best practices`, solution.bestPractices.map(practice => `- ${practice}`).join('\n'));
+    }
+
+    const details = [
+      solution.provider && `${solution.provider}${solution.model ? ` / ${solution.model}` : ''}`,
+      solution.version && `version ${solution.version}`,
+      typeof solution.confidence === 'number' && `confidence ${Math.round(solution.confidence * 100)}%`
+    ].filter(Boolean);
+    sections.push(`<sub>Generated by GitHub Issue Analyzer${details.length > 0 ? ` (${details.join(', ')})` : ''}. Please review before applying.</sub>`);
+
+    sections.push(this.marker('solution', issue.issueNumber));
+    return sections.join('\n\n');
+  }
+
+  /**
+   * Render a locally detected code issue (AI-N) as a GitHub issue
+   * @param {Object} issue - Local issue
+   * @returns {Object} - { title, body }
+   */
+  renderAIIssue(issue) {
+    const sections = [issue.body || 'Potential code issue detected by automated analysis.'];
+
+    const references = (issue.fileReferences || []).map(ref => {
+      const lines = [
+        ...(ref.lineNumbers || []).map(String),
+        ...(ref.ranges || []).map(range => `${range.start}-${range.end}`)
+      ];
+      return `- \`${ref.path}\`${lines.length > 0 ? ` (lines ${lines.join(', ')})` : ''}`;
+    });
+    if (references.length > 0) {
+      sections.push(`### Affected files`, references.join('\n'));
+    }
+
+    sections.push(`<sub>Detected by GitHub Issue Analyzer (${issue.issueNumber}).</sub>`);
+    sections.push(this.marker('ai-issue', issue.issueNumber));
+
+    return { title: issue.title, body: sections.join('\n\n') };
+  }
+
+  /**
+   * Render a pull request review: rule findings (merged per line) and the
+   * LLM's anchored comments become inline comments; the summary, finding
+   * counts and comments on lines outside the diff go in the review body
+   * @param {Object} review - PullRequestReview (plain object)
+   * @returns {Object} - { body, comments: [{ path, line, body }] }
+   */
+  renderReview(review) {
+    const byLine = new Map();
+    for (const finding of review.findings || []) {
+      const key = `${finding.filePath}:${finding.line}`;
+      if (!byLine.has(key)) byLine.set(key, { path: finding.filePath, line: finding.line, notes: [] });
+      byLine.get(key).notes.push(`- **${finding.severity}** \`${finding.ruleId}\`: ${finding.description}`);
+    }
+
+    const comments = [...byLine.values()].map(({ path, line, notes }) => ({ path, line, body: notes.join('\n') }));
+    for (const comment of review.comments || []) {
+      if (comment.anchored) {
+        comments.push({ path: comment.filePath, line: comment.line, body: `**${comment.severity}**: ${comment.body}` });
+      }
+    }
+    comments.sort((a, b) => a.path.localeCompare(b.path) || a.line - b.line);
+
+    const sections = [`## AI review`];
+    if (review.summary) sections.push(review.summary);
+
+    const counts = SEVERITIES
+      .map(severity => [severity, (review.findings || []).filter(finding => finding.severity === severity).length])
+      .filter(([, count]) => count > 0)
+      .map(([severity, count]) => `${count} ${severity}`);
+    sections.push(counts.length > 0
+      ? `Automated checks on the added lines: ${counts.join(', ')}.`
+      : 'Automated checks found nothing on the added lines.');
+
+    const unanchored = (review.comments || []).filter(comment => !comment.anchored);
+    if (unanchored.length > 0) {
+      sections.push(`### Other comments`, unanchored.map(comment =>
+        `- \`${comment.filePath}:${comment.line}\` **${comment.severity}**: ${comment.body}`
+      ).join('\n'));
+    }
+
+    const details = [
+      review.provider && `${review.provider}${review.model ? ` / ${review.model}` : ''}`,
+      typeof review.confidence === 'number' && `confidence ${Math.round(review.confidence * 100)}%`
+    ].filter(Boolean);
+    sections.push(`<sub>Generated by GitHub Issue Analyzer${details.length > 0 ? ` (${details.join(', ')})` : ''}. Please verify before submitting.</sub>`);
+
+    sections.push(this.marker('review', review._id));
+    return { body: sections.join('\n\n'), comments };
+  }
+}
+
+export default MarkdownService;
@@ -0,0 +1,328 @@
+// Marks a secret redacted from a file before it was sent to the model (see SecretScanner.redact)
+const REDACTION_MARKER = '[REDACTED:';
+
+/**
+ * Turns AI code snippets into unified diffs that `git apply` accepts.
+ * Each snippet is located in the original file (by its quoted excerpt, or
+ * by its line range when no excerpt was given); snippets that cannot be
+ * located are reported instead of being guessed.
+ */
+class PatchService {
+  /**
+   * @param {Object} options - { contextLines }
+   */
+  constructor({ contextLines = 3 } = {}) {
+    this.contextLines = contextLines;
+  }
+
+  /**
+   * Split file content into lines, remembering whether it ended with a newline
+   * @param {string} content - File content
+   * @returns {Object} - { lines, trailingNewline }
+   */
+  splitLines(content) {
+    const trailingNewline = content.endsWith('\n');
+    const lines = content.split('\n');
+    if (trailingNewline) lines.pop();
+    return { lines, trailingNewline };
+  }
+
+  /**
+   * Split a code fragment into lines, dropping one trailing newline
+   * @param {string} code - Code fragment
+   * @returns {Array<string>} - Lines
+   */
+  fragmentLines(code) {
+    if (!code) return [];
+    return code.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+  }
+
+  /**
+   * Find where a snippet applies in the original file
+   * @param {Array<string>} fileLines - Original file lines
+   * @param {Object} snippet - { originalExcerpt, startLine, endLine }
+   * @returns {Object} - { status: 'placed', startLine, endLine, method } or { status: 'unplaced', reason }
+   */
+  locateSnippet(fileLines, snippet) {
+    const excerpt = this.fragmentLines(snippet.originalExcerpt);
+
+    if (excerpt.length === 0) {
+      if (snippet.startLine >= 1 && snippet.endLine >= snippet.startLine && snippet.endLine <= fileLines.length) {
+        return { status: 'placed', startLine: snippet.startLine, endLine: snippet.endLine, method: 'line-range' };
+      }
+      return { status: 'unplaced', reason: 'No original excerpt and the line range is outside the file' };
+    }
+
+    const matchers = [
+      { method: 'exact', normalize: line => line },
+      { method: 'whitespace-insensitive', normalize: line => line.trim().replace(/\s+/g, ' ') }
+    ];
+
+    for (const { method, normalize } of matchers) {
+      const target = excerpt.map(normalize);
+      const candidates = [];
+
+      for (let start = 0; start + target.length <= fileLines.length; start++) {
+        let matches = true;
+        for (let offset = 0; offset < target.length; offset++) {
+          if (normalize(fileLines[start + offset]) !== target[offset]) {
+            matches = false;
+            break;
+          }
+        }
+        if (matches) candidates.push(start + 1);
+      }
+
+      if (candidates.length > 0) {
+        // Prefer the occurrence nearest to where the model said it was
+        const hint = snippet.startLine || 1;
+        const startLine = candidates.reduce((best, line) =>
+          Math.abs(line - hint) < Math.abs(best - hint) ? line : best
+        );
+        return { status: 'placed', startLine, endLine: startLine + excerpt.length - 1, method };
+      }
+    }
+
+    return { status: 'unplaced', reason: 'Original excerpt not found in the file' };
+  }
+
+  /**
+   * Format a hunk range for a hunk header
+   * @param {number} start - First line (1-based)
+   * @param {number} count - Number of lines
+   * @returns {string} - e.g. "12,4"
+   */
+  formatRange(start, count) {
+    // An empty range points at the line before it
+    return `${count === 0 ? start - 1 : start},${count}`;
+  }
+
+  /**
+   * Build a unified diff for one file from a set of line replacements
+   * @param {string} filePath - Repository-relative path
+   * @param {string} content - Original file content
+   * @param {Array<Object>} changes - [{ startLine, endLine, newLines }] non-overlapping
+   * @returns {string} - Diff text, or '' when there are no changes
+   */
+  buildFileDiff(filePath, content, changes) {
+    if (changes.length === 0) return '';
+
+    const { lines, trailingNewline } = this.splitLines(content);
+    const sorted = [...changes].sort((a, b) => a.startLine - b.startLine);
+    const context = this.contextLines;
+
+    const newLineCount = lines.length + sorted.reduce(
+      (sum, change) => sum + change.newLines.length - (change.endLine - change.startLine + 1),
+      0
+    );
+
+    // Group changes whose context would overlap into one hunk
+    const groups = [];
+    for (const change of sorted) {
+      const last = groups[groups.length - 1];
+      if (last && change.startLine - last[last.length - 1].endLine - 1 <= context * 2) {
+        last.push(change);
+      } else {
+        groups.push([change]);
+      }
+    }
+
+    const output = [
+      `diff --git a/${filePath} b/${filePath}`,
+      `--- a/${filePath}`,
+      `+++ b/${filePath}`
+    ];
+    let delta = 0;
+
+    for (const group of groups) {
+      const hunkStart = Math.max(1, group[0].startLine - context);
+      const hunkEnd = Math.min(lines.length, group[group.length - 1].endLine + context);
+      const body = [];
+      let oldLine = hunkStart;
+      let newLine = hunkStart + delta;
+      let oldCount = 0;
+      let newCount = 0;
+
+      // Emit a line, adding the no-newline marker where the old or new file ends
+      const emit = (prefix, text) => {
+        body.push(`${prefix}${text}`);
+        const endsOld = prefix !== '+' && oldLine === lines.length;
+        const endsNew = prefix !== '-' && newLine === newLineCount;
+        if (!trailingNewline && (endsOld || endsNew)) {
+          body.push('\\ No newline at end of file');
+        }
+        if (prefix !== '+') { oldLine++; oldCount++; }
+        if (prefix !== '-') { newLine++; newCount++; }
+      };
+
+      for (const change of group) {
+        while (oldLine < change.startLine) emit(' ', lines[oldLine - 1]);
+        for (let line = change.startLine; line <= change.endLine; line++) emit('-', lines[line - 1]);
+        for (const text of change.newLines) emit('+', text);
+      }
+      while (oldLine <= hunkEnd) emit(' ', lines[oldLine - 1]);
+
+      output.push(`@@ -${this.formatRange(hunkStart, oldCount)} +${this.formatRange(hunkStart + delta, newCount)} @@`);
+      output.push(...body);
+      delta += newCount - oldCount;
+    }
+
+    return `${output.join('\n')}\n`;
+  }
+
+  /**
+   * Locate every snippet and attach its placement and per-snippet diff
+   * @param {Array<Object>} codeSnippets - Snippets as produced by AIService
+   * @returns {Array<Object>} - Snippets with placement, diff and corrected lineNumbers
+   */
+  annotateSnippets(codeSnippets) {
+    return codeSnippets.map(snippet => {
+      if (!snippet.originalCode) {
+        return {
+          ...snippet,
+          placement: { status: 'unplaced', reason: 'Original file content is not available' },
+          diff: ''
+        };
+      }
+
+      const { lines } = this.splitLines(snippet.originalCode);
+      const placement = this.locateSnippet(lines, snippet);
+      if (placement.status !== 'placed') {
+        return { ...snippet, placement, diff: '' };
+      }
+
+      const lineNumbers = [];
+      for (let line = placement.startLine; line <= placement.endLine; line++) {
+        lineNumbers.push(line);
+      }
+
+      return {
+        ...snippet,
+        lineNumbers,
+        placement,
+        diff: this.buildFileDiff(snippet.filePath, snippet.originalCode, [{
+          startLine: placement.startLine,
+          endLine: placement.endLine,
+          newLines: this.fragmentLines(snippet.suggestedCode)
+        }])
+      };
+    });
+  }
+
+  /**
+   * Locate snippets and group their changes by file
+   * @param {Array<Object>} codeSnippets - Snippets (plain objects)
+   * @returns {Object} - { byFile: Map<filePath, { content, changes }>, unplaced: [{ index, filePath, reason }] }
+   */
+  groupChanges(codeSnippets) {
+    const byFile = new Map();
+    const unplaced = [];
+
+    codeSnippets.forEach((snippet, index) => {
+      const reject = reason => unplaced.push({ index, filePath: snippet.filePath, reason });
+
+      if (!snippet.originalCode) {
+        reject('Original file content is not available');
+        return;
+      }
+
+      const { lines } = this.splitLines(snippet.originalCode);
+      const placement = this.locateSnippet(lines, snippet);
+      if (placement.status !== 'placed') {
+        reject(placement.reason);
+        return;
+      }
+
+      if (!byFile.has(snippet.filePath)) {
+        byFile.set(snippet.filePath, { content: snippet.originalCode, changes: [] });
+      }
+      const file = byFile.get(snippet.filePath);
+
+      const overlaps = file.changes.some(change =>
+        placement.startLine <= change.endLine && placement.endLine >= change.startLine
+      );
+      if (overlaps) {
+        reject('Overlaps another snippet for the same file');
+        return;
+      }
+
+      file.changes.push({
+        index,
+        startLine: placement.startLine,
+        endLine: placement.endLine,
+        newLines: this.fragmentLines(snippet.suggestedCode)
+      });
+    });
+
+    return { byFile, unplaced };
+  }
+
+  /**
+   * Apply line replacements to file content
+   * @param {string} content - Original file content
+   * @param {Array<Object>} changes - [{ startLine, endLine, newLines }] non-overlapping
+   * @returns {string} - Modified content
+   */
+  applyChanges(content, changes) {
+    const { lines, trailingNewline } = this.splitLines(content);
+    // Apply from the bottom up so earlier line numbers stay valid
+    const sorted = [...changes].sort((a, b) => b.startLine - a.startLine);
+    for (const change of sorted) {
+      lines.splice(change.startLine - 1, change.endLine - change.startLine + 1, ...change.newLines);
+    }
+    return `${lines.join('\n')}${trailingNewline ? '\n' : ''}`;
+  }
+
+  /**
+   * Whether a change would put a redaction marker in a patch: in its new
+   * lines, or, when diffing against the redacted copy, in the lines its hunk
+   * removes or shows as context
+   * @param {Array<string>} lines - Lines of the copy the change was located in
+   * @param {Object} change - { startLine, endLine, newLines }
+   * @param {boolean} againstCopy - Whether the diff is built against that copy
+   * @returns {boolean}
+   */
+  touchesRedacted(lines, change, againstCopy) {
+    if (change.newLines.some(line => line.includes(REDACTION_MARKER))) return true;
+    if (!againstCopy) return false;
+
+    const first = Math.max(1, change.startLine - this.contextLines);
+    const last = Math.min(lines.length, change.endLine + this.contextLines);
+    return lines.slice(first - 1, last).some(line => line.includes(REDACTION_MARKER));
+  }
+
+  /**
+   * Combine snippets into a single patch, one diff per file. Snippets store
+   * the file with its secrets redacted, and a patch built against that copy
+   * does not apply to the real file, so diffs are built against the real
+   * content where it is given. Elsewhere, changes whose hunk touches a
+   * redacted line are reported as unplaced.
+   * @param {Array<Object>} codeSnippets - Snippets (plain objects)
+   * @param {Object} options - { contents: Map<filePath, real file content> }
+   * @returns {Object} - { patch, files, unplaced }
+   */
+  buildPatch(codeSnippets, { contents = new Map() } = {}) {
+    const { byFile, unplaced } = this.groupChanges(codeSnippets);
+
+    const files = [];
+    const diffs = [];
+    for (const [filePath, file] of byFile) {
+      const content = contents.get(filePath);
+      const { lines } = this.splitLines(file.content);
+      const changes = file.changes.filter(change => {
+        if (!this.touchesRedacted(lines, change, content === undefined)) return true;
+        unplaced.push({ index: change.index, filePath, reason: 'Touches redacted secrets' });
+        return false;
+      });
+      if (changes.length === 0) continue;
+
+      diffs.push(this.buildFileDiff(filePath, content ?? file.content, changes));
+      files.push({ filePath, snippets: changes.map(change => change.index) });
+    }
+
+    unplaced.sort((a, b) => a.index - b.index);
+    return { patch: diffs.join(''), files, unplaced };
+  }
+}
+
+export default PatchService;
@@ -0,0 +1,132 @@
+/**
+ * Turns an AI solution's code changes into a draft pull request: a branch
+ * off the default branch with one commit made through the Git Data API.
+ * Files are only changed when they still have the blob SHA the analysis saw,
+ * so a PR is never built on code the model didn't look at.
+ */
+class PullRequestService {
+  /**
+   * @param {HostRegistry} hosts - Clients used to write to repositories
+   * @param {PatchService} patchService - Locates snippets in their files
+   */
+  constructor(hosts, patchService) {
+    this.hosts = hosts;
+    this.patchService = patchService;
+  }
+
+  /**
+   * Work out which changes of a solution can be applied
+   * @param {Object} solution - AISolution (plain object)
+   * @returns {Object} - { byFile: Map<filePath, { changes }>, skipped: [{ index, filePath, reason }] }
+   */
+  planChanges(solution) {
+    const snippets = solution.codeSnippets || [];
+    const { byFile, unplaced } = this.patchService.groupChanges(
+      // Rejected snippets are left out; positions still refer to the full list
+      snippets.map(snippet => (snippet.feedback?.status === 'rejected' ? { ...snippet, originalCode: null } : snippet))
+    );
+
+    const skipped = unplaced.map(item => (
+      snippets[item.index].feedback?.status === 'rejected' ? { ...item, reason: 'Rejected by the user' } : item
+    ));
+
+    // Code sent to the model had its secrets redacted; never commit the markers
+    for (const [filePath, file] of byFile) {
+      const redacted = file.changes.filter(change => change.newLines.some(line => line.includes('[REDACTED:')));
+      if (redacted.length > 0) {
+        redacted.forEach(change => skipped.push({ index: change.index, filePath, reason: 'Touches redacted secrets' }));
+        file.changes = file.changes.filter(change => !redacted.includes(change));
+      }
+      if (file.changes.length === 0) byFile.delete(filePath);
+    }
+
+    return { byFile, skipped };
+  }
+
+  /**
+   * Create a branch, commit the solution's changes and open a draft PR
+   * @param {string} repoUrl - Repository URL
+   * @param {Object} solution - AISolution (plain object) with codeSnippets and inputFiles
+   * @param {Object} options - { issueNumber (GitHub issue to reference), title, branch }
+   * @returns {Promise<Object>} - { number, url, branch, commitSha, files, skipped, existing }
+   * @throws {Error} - With status 409 and staleFiles when files changed since the analysis,
+   *                   or status 422 when there is nothing to commit
+   */
+  async openDraftPullRequest(repoUrl, solution, { issueNumber, title, branch }) {
+    const { byFile, skipped } = this.planChanges(solution);
+    if (byFile.size === 0) {
+      const error = new Error('The solution has no code changes that can be applied');
+      error.status = 422;
+      error.skipped = skipped;
+      throw error;
+    }
+
+    const host = this.hosts.forRepo(repoUrl);
+    const { defaultBranch } = await host.fetchRepository(repoUrl);
+    const baseSha = await host.fetchBranchHead(repoUrl, defaultBranch);
+    if (!baseSha) {
+      throw new Error(`Default branch ${defaultBranch} not found`);
+    }
+
+    // Refuse when a file moved on since the analysis
+    const inputShas = new Map((solution.inputFiles || []).map(file => [file.path, file.sha]));
+    const staleFiles = [];
+    const files = [];
+    for (const [filePath, file] of byFile) {
+      const current = await host.fetchFile(repoUrl, filePath, { ref: baseSha });
+      const analyzedSha = inputShas.get(filePath);
+
+      if (!analyzedSha) {
+        staleFiles.push({ path: filePath, reason: 'The analysis did not record which version of the file it used' });
+      } else if (analyzedSha !== current.sha) {
+        staleFiles.push({ path: filePath, analyzedSha, currentSha: current.sha, reason: 'The file changed since the analysis' });
+      } else {
+        // The stored copy may be redacted, so apply the changes to the real content
+        files.push({ path: filePath, content: this.patchService.applyChanges(current.content, file.changes) });
+      }
+    }
+    if (staleFiles.length > 0) {
+      const error = new Error('Files changed since the analysis; analyze the issue again before opening a pull request');
+      error.status = 409;
+      error.staleFiles = staleFiles;
+      throw error;
+    }
+
+    // Re-running for the same version finds the branch and its PR
+    if (await host.fetchBranchHead(repoUrl, branch)) {
+      const existing = await host.findPullRequest(repoUrl, branch);
+      if (existing) {
+        return { ...existing, branch, files: files.map(file => file.path), skipped, existing: true };
+      }
+      const error = new Error(`Branch ${branch} already exists`);
+      error.status = 409;
+      throw error;
+    }
+
+    const reference = issueNumber ? `#${issueNumber}` : null;
+    const message = `${title}\n\n${solution.rootCause || solution.analysis}${reference ? `\n\nRefs ${reference}` : ''}`;
+    const commitSha = await host.createCommit(repoUrl, baseSha, files, message);
+    await host.createBranch(repoUrl, branch, commitSha);
+
+    let body = `Draft fix generated from AI solution version ${solution.version || 1}`;
+    body += solution.provider ? ` (${solution.provider}${solution.model ? ` / ${solution.model}` : ''}).` : '.';
+    body += ` Please review carefully before merging.\n\n`;
+    body += `${solution.analysis}\n\n`;
+    if (skipped.length > 0) {
+      body += `Not included:\n${skipped.map(item => `- \`${item.filePath || 'unknown file'}\`: ${item.reason}`).join('\n')}\n\n`;
+    }
+    if (reference) body += `Fixes ${reference}\n`;
+
+    const pull = await host.createPullRequest(repoUrl, {
+      title,
+      body,
+      head: branch,
+      base: defaultBranch,
+      draft: true
+    });
+
+    return { ...pull, branch, commitSha, files: files.map(file => file.path), skipped, existing: false };
+  }
+}
+
+export default PullRequestService;
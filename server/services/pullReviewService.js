@@ -0,0 +1,195 @@
+// Statuses of changed files whose new version can be reviewed
+const REVIEWABLE_STATUSES = ['added', 'modified', 'renamed', 'changed', 'copied'];
+
+/**
+ * Reviews pull requests: reads the changed files and their diffs, runs the
+ * analysis rules on the added lines only, asks the LLM for line-anchored
+ * comments and can post the result as a pending GitHub review.
+ */
+class PullReviewService {
+  /**
+   * @param {HostRegistry} hosts - Clients used to read and review pull requests
+   * @param {IssueAnalyzerService} issueAnalyzer - Runs the rules
+   * @param {MarkdownService} markdownService - Renders reviews for posting
+   */
+  constructor(hosts, issueAnalyzer, markdownService) {
+    this.hosts = hosts;
+    this.issueAnalyzer = issueAnalyzer;
+    this.markdownService = markdownService;
+  }
+
+  /**
+   * Parse the hunks of a file's unified diff
+   * @param {string} patch - Hunks as returned for a pull request file (from the first @@ line)
+   * @returns {Array<Object>} - [{ type: 'hunk'|'add'|'context'|'remove', oldLine, newLine, text }]
+   */
+  parsePatch(patch) {
+    const lines = [];
+    let oldLine = 0;
+    let newLine = 0;
+
+    for (const raw of (patch || '').split('\n')) {
+      const hunk = raw.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+      if (hunk) {
+        oldLine = parseInt(hunk[1], 10);
+        newLine = parseInt(hunk[2], 10);
+        lines.push({ type: 'hunk', text: raw });
+      } else if (raw.startsWith('+')) {
+        lines.push({ type: 'add', newLine: newLine++, text: raw.slice(1) });
+      } else if (raw.startsWith('-')) {
+        lines.push({ type: 'remove', oldLine: oldLine++, text: raw.slice(1) });
+      } else if (raw.startsWith(' ')) {
+        lines.push({ type: 'context', oldLine: oldLine++, newLine: newLine++, text: raw.slice(1) });
+      }
+      // '\ No newline at end of file' and the trailing empty line carry no content
+    }
+
+    return lines;
+  }
+
+  /**
+   * Split a unified diff into the hunks of each file
+   * @param {string} diff - Diff of the whole pull request
+   * @returns {Map<string, string>} - New file path -> hunks
+   */
+  splitDiff(diff) {
+    const patches = new Map();
+    let path = null;
+    let hunks = null;
+
+    for (const line of diff.split('\n')) {
+      if (line.startsWith('diff --git ')) {
+        if (path && hunks) patches.set(path, hunks.join('\n'));
+        path = null;
+        hunks = null;
+      } else if (line.startsWith('+++ ') && hunks === null) {
+        path = line === '+++ /dev/null' ? null : line.slice(4).replace(/^b\//, '');
+      } else if (line.startsWith('@@') && path) {
+        hunks = hunks || [];
+        hunks.push(line);
+      } else if (hunks) {
+        hunks.push(line);
+      }
+    }
+    if (path && hunks) patches.set(path, hunks.join('\n'));
+
+    return patches;
+  }
+
+  /**
+   * Read a pull request and its changed files with parsed diffs. Files whose
+   * patch GitHub left out are filled in from the full diff where possible.
+   * @param {string} repoUrl - Repository URL
+   * @param {number} number - Pull request number
+   * @returns {Promise<Object>} - { pull, files: [{ path, previousPath, status, additions, deletions, lines }], skipped }
+   */
+  async loadChanges(repoUrl, number) {
+    const host = this.hosts.forRepo(repoUrl);
+    const [pull, changedFiles] = await Promise.all([
+      host.fetchPullRequest(repoUrl, number),
+      host.fetchPullRequestFiles(repoUrl, number)
+    ]);
+
+    let fullDiff = null;
+    if (changedFiles.some(file => file.patch === null && REVIEWABLE_STATUSES.includes(file.status))) {
+      try {
+        fullDiff = this.splitDiff(await host.fetchPullRequestDiff(repoUrl, number));
+      } catch (err) {
+        console.warn(`Could not fetch the diff of ${repoUrl}#${number}:`, err.message);
+        fullDiff = new Map();
+      }
+    }
+
+    const files = [];
+    const skipped = [];
+    for (const file of changedFiles) {
+      if (!REVIEWABLE_STATUSES.includes(file.status)) {
+        skipped.push({ path: file.path, reason: `File ${file.status}` });
+        continue;
+      }
+
+      const patch = file.patch ?? fullDiff?.get(file.path);
+      if (!patch) {
+        skipped.push({ path: file.path, reason: 'No diff available (binary or too large)' });
+        continue;
+      }
+
+      files.push({
+        path: file.path,
+        previousPath: file.previousPath,
+        status: file.status,
+        additions: file.additions,
+        deletions: file.deletions,
+        lines: this.parsePatch(patch)
+      });
+    }
+
+    return { pull, files, skipped };
+  }
+
+  /**
+   * Run the rules on the lines a pull request adds. The rest of the new file
+   * is only known where the diff shows context, so rules see the diff's lines
+   * at their real line numbers and blank lines in between; findings outside
+   * the added lines are dropped.
+   * @param {Array} files - Changed files from loadChanges
+   * @param {Object} ruleOptions - { disabledRules, enabledRules, severityOverrides }
+   * @returns {Array<Object>} - [{ filePath, line, column, ruleId, type, description, severity }]
+   */
+  checkAddedLines(files, ruleOptions = {}) {
+    const findings = [];
+
+    for (const file of files) {
+      const added = new Set(file.lines.filter(line => line.type === 'add').map(line => line.newLine));
+      if (added.size === 0) continue;
+
+      const known = file.lines.filter(line => line.type === 'add' || line.type === 'context');
+      const content = new Array(Math.max(...known.map(line => line.newLine))).fill('');
+      known.forEach(line => { content[line.newLine - 1] = line.text; });
+
+      for (const finding of this.issueAnalyzer.analyzeCode(content.join('\n'), { ...ruleOptions, filePath: file.path })) {
+        if (added.has(finding.line)) {
+          findings.push({ filePath: file.path, ...finding });
+        }
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Review a pull request
+   * @param {string} repoUrl - Repository URL
+   * @param {number} number - Pull request number
+   * @param {AIService|null} aiService - Service for the LLM review; null runs the rules only
+   * @param {Object} ruleOptions - { disabledRules, enabledRules, severityOverrides }
+   * @returns {Promise<Object>} - { pull, files, skipped, findings, llm }
+   */
+  async review(repoUrl, number, aiService, ruleOptions = {}) {
+    const { pull, files, skipped } = await this.loadChanges(repoUrl, number);
+    const findings = this.checkAddedLines(files, ruleOptions);
+    const llm = aiService && files.length > 0
+      ? await aiService.reviewPullRequest(pull, files, findings)
+      : null;
+
+    return { pull, files, skipped, findings, llm };
+  }
+
+  /**
+   * Post a review as a pending GitHub review on the commit it was made for
+   * @param {string} repoUrl - Repository URL
+   * @param {Object} review - PullRequestReview (plain object)
+   * @returns {Promise<Object>} - { reviewId, url, state, comments }
+   */
+  async postPendingReview(repoUrl, review) {
+    const { body, comments } = this.markdownService.renderReview(review);
+    const posted = await this.hosts.forRepo(repoUrl).createPendingReview(repoUrl, review.number, {
+      commitId: review.headSha,
+      body,
+      comments
+    });
+    return { ...posted, comments: comments.length };
+  }
+}
+
+export default PullReviewService;
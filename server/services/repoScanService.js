@@ -0,0 +1,191 @@
+import FileBlob from '../models/FileBlob.js';
+import { isCodeFile, matchesGlobs } from './codeFiles.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+// Cached blobs are looked up in batches of this many SHAs
+const CACHE_LOOKUP_BATCH = 500;
+
+// Scans kept per blob (different paths or rule configurations)
+const MAX_SCANS_PER_BLOB = 10;
+
+/**
+ * Runs the rule engine over a whole repository. Files are selected with
+ * include/exclude globs, fetched by blob SHA with bounded concurrency, and
+ * both their content and findings are cached by SHA so files that haven't
+ * changed since the last scan are not fetched or analyzed again. Cached
+ * blobs are only reused within the repository they were read from, whose
+ * access the caller has already been checked for.
+ */
+class RepoScanService {
+  /**
+   * @param {HostRegistry} hosts - Clients used to read repositories
+   * @param {IssueAnalyzerService} issueAnalyzer - Runs the rules
+   * @param {Object} options - { concurrency, maxFileSize }
+   */
+  constructor(hosts, issueAnalyzer, { concurrency = 5, maxFileSize = 1024 * 1024 } = {}) {
+    this.hosts = hosts;
+    this.issueAnalyzer = issueAnalyzer;
+    this.concurrency = concurrency;
+    this.maxFileSize = maxFileSize;
+  }
+
+  /**
+   * Pick the files a scan covers
+   * @param {Array<Object>} tree - Files from fetchRepoContents
+   * @param {Object} options - { include, exclude, maxFiles }
+   * @returns {Object} - { codeFiles, selected, skipped: [{ path, reason }] }
+   */
+  selectFiles(tree, { include = [], exclude = [], maxFiles = 0 } = {}) {
+    const codeFiles = tree.filter(file => isCodeFile(file.path));
+    const skipped = [];
+    let selected = [];
+
+    for (const file of codeFiles) {
+      if (!matchesGlobs(file.path, { include, exclude })) continue;
+      if (file.size > this.maxFileSize) {
+        skipped.push({ path: file.path, reason: `larger than ${this.maxFileSize} bytes` });
+        continue;
+      }
+      selected.push(file);
+    }
+
+    if (maxFiles > 0 && selected.length > maxFiles) {
+      selected.slice(maxFiles).forEach(file => skipped.push({ path: file.path, reason: 'over the maxFiles limit' }));
+      selected = selected.slice(0, maxFiles);
+    }
+
+    return { codeFiles, selected, skipped };
+  }
+
+  /**
+   * Load a repository's cached blobs (without content) for a set of SHAs
+   * @param {Array<string>} shas - Blob SHAs
+   * @param {string} repoUrl - Canonical repository URL
+   * @returns {Promise<Map<string, Document>>} - Cached blobs by SHA
+   */
+  async loadCache(shas, repoUrl) {
+    const cache = new Map();
+    for (let start = 0; start < shas.length; start += CACHE_LOOKUP_BATCH) {
+      const blobs = await FileBlob.find({ sha: { $in: shas.slice(start, start + CACHE_LOOKUP_BATCH) }, repositories: repoUrl })
+        .select('sha scans');
+      blobs.forEach(blob => cache.set(blob.sha, blob));
+    }
+    return cache;
+  }
+
+  /**
+   * Update a cached blob, creating it when missing. When concurrent scans
+   * create the same blob, the one that loses the race updates the other's.
+   * @param {string} sha - Blob SHA
+   * @param {Object} update - Update operators
+   * @returns {Promise<void>}
+   */
+  async updateBlob(sha, update) {
+    try {
+      await FileBlob.updateOne({ sha }, update, { upsert: true });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      await FileBlob.updateOne({ sha }, update);
+    }
+  }
+
+  /**
+   * Get a file's content from the cache or from GitHub, caching what was fetched
+   * @param {string} repoUrl - Repository URL
+   * @param {Object} file - { path, sha, size }
+   * @param {boolean} cached - Whether the blob is known to be cached
+   * @param {AbortSignal} signal - Aborts the fetch
+   * @returns {Promise<Object>} - { content, fromCache }
+   */
+  async getContent(repoUrl, file, cached, signal) {
+    if (cached) {
+      const blob = await FileBlob.findOne({ sha: file.sha, repositories: repoUrl }).select('content');
+      if (blob && typeof blob.content === 'string') return { content: blob.content, fromCache: true };
+    }
+
+    const content = file.sha
+      ? await this.hosts.forRepo(repoUrl).fetchBlob(repoUrl, file.sha, { signal })
+      : await this.hosts.forRepo(repoUrl).fetchFileContent(repoUrl, file.path, { signal });
+
+    if (file.sha) {
+      await this.updateBlob(file.sha, {
+        $set: { content, size: file.size ?? content.length, lastUsedAt: new Date() },
+        $addToSet: { repositories: repoUrl }
+      });
+    }
+    return { content, fromCache: false };
+  }
+
+  /**
+   * Scan a repository
+   * @param {string} repoUrl - Repository URL
+   * @param {Object} options - { include, exclude, maxFiles, useCache, disabledRules, enabledRules, severityOverrides }
+   * @param {Object} control - { signal, onProgress({ totalFiles, processedFiles, cachedFiles, findings }) }
+   * @returns {Promise<Object>} - { totalFiles, files: [{ path, sha, findings, cached }], cachedFiles, failed, skipped }
+   */
+  async scan(repoUrl, options = {}, { signal, onProgress = () => {} } = {}) {
+    const { include, exclude, maxFiles, useCache = true, ...ruleOptions } = options;
+
+    const tree = await this.hosts.forRepo(repoUrl).fetchRepoContents(repoUrl);
+    const { codeFiles, selected, skipped } = this.selectFiles(tree, { include, exclude, maxFiles });
+    const cache = useCache ? await this.loadCache(selected.map(file => file.sha).filter(Boolean), repoUrl) : new Map();
+
+    const failed = [];
+    // Cached blobs reused as they were, whose expiry is pushed back after the scan
+    const usedShas = [];
+    let processedFiles = 0;
+    let cachedFiles = 0;
+    let findingCount = 0;
+
+    const results = await mapWithConcurrency(selected, this.concurrency, async file => {
+      const rulesHash = this.issueAnalyzer.rulesFingerprint({ ...ruleOptions, filePath: file.path });
+      const blob = file.sha ? cache.get(file.sha) : null;
+      const previous = blob && blob.scans.find(scan => scan.filePath === file.path && scan.rulesHash === rulesHash);
+
+      let result;
+      if (previous) {
+        cachedFiles++;
+        usedShas.push(file.sha);
+        result = { path: file.path, sha: file.sha, findings: previous.findings.map(finding => finding.toObject()), cached: true };
+      } else {
+        try {
+          const { content } = await this.getContent(repoUrl, file, Boolean(blob), signal);
+          const findings = this.issueAnalyzer.analyzeCode(content, { ...ruleOptions, filePath: file.path });
+
+          if (file.sha) {
+            await this.updateBlob(file.sha, {
+              $push: { scans: { $each: [{ filePath: file.path, rulesHash, findings }], $slice: -MAX_SCANS_PER_BLOB } },
+              $set: { lastUsedAt: new Date() },
+              $addToSet: { repositories: repoUrl }
+            });
+          }
+          result = { path: file.path, sha: file.sha, findings, cached: false };
+        } catch (err) {
+          signal?.throwIfAborted();
+          console.warn(`Could not analyze ${file.path}:`, err.message);
+          failed.push({ path: file.path, error: err.message });
+          result = null;
+        }
+      }
+
+      processedFiles++;
+      if (result) findingCount += result.findings.length;
+      await onProgress({ totalFiles: selected.length, processedFiles, cachedFiles, findings: findingCount });
+      return result;
+    }, { signal });
+
+    for (let start = 0; start < usedShas.length; start += CACHE_LOOKUP_BATCH) {
+      await FileBlob.updateMany({ sha: { $in: usedShas.slice(start, start + CACHE_LOOKUP_BATCH) } }, { lastUsedAt: new Date() });
+    }
+
+    return {
+      totalFiles: codeFiles.length,
+      files: results.filter(Boolean),
+      cachedFiles,
+      failed,
+      skipped
+    };
+  }
+}
+
+export default RepoScanService;
@@ -0,0 +1,66 @@
+/**
+ * Parsing of repository URLs on any host. GitHub repositories are always
+ * owner/name; GitLab projects can sit in nested groups, so everything before
+ * the project name is the owner and `/-/` marks the end of the project path.
+ */
+
+/**
+ * Normalise the ways a repository is commonly written into a URL object
+ * @param {string} repoUrl - https URL, SSH remote (git@host:owner/repo.git) or host/owner/repo
+ * @returns {URL} - Parsed URL
+ * @throws {Error} - When the value can't be read as a URL
+ */
+function toUrl(repoUrl) {
+  const value = String(repoUrl || '').trim();
+  const ssh = value.match(/^(?:ssh:\/\/)?git@([^:/]+)[:/](.+)$/);
+  if (ssh) return new URL(`https://${ssh[1]}/${ssh[2]}`);
+  return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+}
+
+/**
+ * Host of a repository URL
+ * @param {string} repoUrl - Repository URL
+ * @returns {string} - Lower-cased host, including a non-default port
+ */
+export function repoHost(repoUrl) {
+  try {
+    return toUrl(repoUrl).host.toLowerCase();
+  } catch (err) {
+    throw new Error(`Invalid repository URL: ${repoUrl}`);
+  }
+}
+
+/**
+ * Split a repository URL into host, owner and name
+ * @param {string} repoUrl - Repository URL, possibly pointing inside the repo
+ *                           (e.g. .../issues/3 or .../-/tree/main)
+ * @param {string} type - Host type, 'github' or 'gitlab'
+ * @returns {Object} - { host, owner, repo }
+ * @throws {Error} - When the URL has no owner/name path
+ */
+export function parseRepoUrl(repoUrl, type = 'github') {
+  let url;
+  try {
+    url = toUrl(repoUrl);
+  } catch (err) {
+    throw new Error(`Invalid repository URL: ${repoUrl}`);
+  }
+
+  let segments = url.pathname.split('/').filter(Boolean);
+  if (type === 'gitlab') {
+    const end = segments.indexOf('-');
+    if (end !== -1) segments = segments.slice(0, end);
+  } else {
+    segments = segments.slice(0, 2);
+  }
+
+  if (segments.length < 2) {
+    throw new Error(`Invalid repository URL: ${repoUrl} (expected ${url.host}/owner/name)`);
+  }
+
+  return {
+    host: url.host.toLowerCase(),
+    owner: segments.slice(0, -1).join('/'),
+    repo: segments[segments.length - 1].replace(/\.git$/, '')
+  };
+}
@@ -0,0 +1,219 @@
+import Repository from '../models/Repository.js';
+import Issue from '../models/Issue.js';
+import AISolution from '../models/AISolution.js';
+import ScanJob from '../models/ScanJob.js';
+import ScanResult from '../models/ScanResult.js';
+import FileBlob from '../models/FileBlob.js';
+import SyncState from '../models/SyncState.js';
+
+/**
+ * Registry of repositories. Turns any spelling of a repository URL into its
+ * canonical identity, keeps host metadata (default branch, visibility) and
+ * owns the link between a repository and its stored data.
+ */
+class RepositoryService {
+  /**
+   * @param {HostRegistry} hosts - Clients used to read repository metadata
+   */
+  constructor(hosts) {
+    this.hosts = hosts;
+  }
+
+  /**
+   * Canonical identity of a repository URL
+   * @param {string} repoUrl - Repository URL in any common form
+   * @returns {Object} - { key, host, owner, name, url, type }
+   * @throws {Error} - With status 400 when the URL is invalid or its host is not configured
+   */
+  identify(repoUrl) {
+    const { host, type, owner, repo } = this.hosts.resolve(repoUrl);
+    const name = repo.toLowerCase();
+    const lowerOwner = owner.toLowerCase();
+    return {
+      key: `${host}/${lowerOwner}/${name}`,
+      host,
+      owner: lowerOwner,
+      name,
+      url: `https://${host}/${lowerOwner}/${name}`,
+      type
+    };
+  }
+
+  /**
+   * Find a registered repository
+   * @param {string} idOrUrl - Repository ID or URL in any common form
+   * @returns {Promise<Document|null>} - Repository
+   */
+  async find(idOrUrl) {
+    if (/^[0-9a-f]{24}$/i.test(idOrUrl)) {
+      return Repository.findById(idOrUrl);
+    }
+    return Repository.findOne({ key: this.identify(idOrUrl).key });
+  }
+
+  /**
+   * Read a repository's metadata from its host
+   * @param {string} url - Canonical repository URL
+   * @returns {Promise<Object>} - { fullName, defaultBranch, visibility, metadataSyncedAt }
+   */
+  async fetchMetadata(url) {
+    const { fullName, defaultBranch, visibility } = await this.hosts.forRepo(url).fetchRepository(url);
+    return { fullName, defaultBranch, visibility, metadataSyncedAt: new Date() };
+  }
+
+  /**
+   * Register a repository, or refresh the metadata of a registered one
+   * @param {string} repoUrl - Repository URL in any common form
+   * @param {Object} options - { strict }: when false, a repository whose metadata
+   *                           can't be read is still registered
+   * @returns {Promise<Object>} - { repository, created }
+   * @throws {Error} - With the host's status (e.g. 404) when strict and the host rejects the request
+   */
+  async register(repoUrl, { strict = true } = {}) {
+    const identity = this.identify(repoUrl);
+
+    let metadata = {};
+    try {
+      metadata = await this.fetchMetadata(identity.url);
+    } catch (err) {
+      if (strict) throw err;
+      console.warn(`Could not read metadata of ${identity.url}:`, err.message);
+    }
+
+    const existing = await Repository.exists({ key: identity.key });
+    const repository = await Repository.findOneAndUpdate(
+      { key: identity.key },
+      metadata.metadataSyncedAt ? { $set: metadata, $setOnInsert: identity } : { $setOnInsert: identity },
+      { upsert: true, new: true }
+    );
+    return { repository, created: !existing };
+  }
+
+  /**
+   * Find a repository, registering it on first use
+   * @param {string} repoUrl - Repository URL in any common form
+   * @returns {Promise<Document>} - Repository
+   */
+  async resolve(repoUrl) {
+    return (await this.find(repoUrl)) || (await this.register(repoUrl, { strict: false })).repository;
+  }
+
+  /**
+   * Record when a repository was last synced or scanned
+   * @param {Document} repository - Repository
+   * @param {Object} fields - e.g. { lastSyncedAt } or { lastScannedAt, lastScanJob }
+   * @returns {Promise<void>}
+   */
+  async touch(repository, fields) {
+    await Repository.updateOne({ _id: repository._id }, { ...fields, updatedAt: new Date() });
+  }
+
+  /**
+   * Delete a repository and everything stored for it
+   * @param {Document} repository - Repository
+   * @returns {Promise<Object>} - Number of deleted issues, solutions and scan jobs
+   */
+  async remove(repository) {
+    const issueIds = await Issue.find({ repository: repository._id }).distinct('_id');
+    const [solutions, issues, scanJobs] = await Promise.all([
+      AISolution.deleteMany({ issue: { $in: issueIds } }),
+      Issue.deleteMany({ repository: repository._id }),
+      ScanJob.deleteMany({ repositoryUrl: repository.url, status: { $nin: ['queued', 'running'] } }),
+      ScanResult.deleteMany({ repositoryUrl: repository.url }),
+      SyncState.deleteOne({ repositoryUrl: repository.url })
+    ]);
+    // Cached file contents are dropped once no remaining repository uses them
+    await FileBlob.updateMany({ repositories: repository.url }, { $pull: { repositories: repository.url } });
+    await FileBlob.deleteMany({ repositories: { $size: 0 } });
+    await Repository.deleteOne({ _id: repository._id });
+
+    return {
+      issues: issues.deletedCount,
+      solutions: solutions.deletedCount,
+      scanJobs: scanJobs.deletedCount
+    };
+  }
+
+  /**
+   * Attach issues stored before repositories were registered to their
+   * repository, rewriting their URL to the canonical one, then merge issues
+   * stored more than once. Issues whose URL can't be parsed are left alone.
+   * @returns {Promise<Object>} - { repositories, issues, duplicates (copies removed) }
+   */
+  async migrateIssues() {
+    const urls = await Issue.find({ repository: { $exists: false } }).distinct('repositoryUrl');
+    const summary = { repositories: 0, issues: 0, duplicates: 0 };
+
+    for (const url of urls) {
+      let identity;
+      try {
+        identity = this.identify(url);
+      } catch (err) {
+        console.warn(`Not migrating issues of ${url}:`, err.message);
+        continue;
+      }
+
+      const repository = await Repository.findOneAndUpdate(
+        { key: identity.key },
+        { $setOnInsert: identity },
+        { upsert: true, new: true }
+      );
+      const result = await Issue.updateMany(
+        { repositoryUrl: url, repository: { $exists: false } },
+        { $set: { repository: repository._id, repositoryUrl: repository.url } }
+      );
+      summary.repositories++;
+      summary.issues += result.modifiedCount;
+    }
+
+    summary.duplicates = await this.mergeDuplicateIssues();
+    return summary;
+  }
+
+  /**
+   * Merge issues stored more than once under the same repository and number,
+   * left by different spellings of a repository's URL or by syncs racing
+   * before the index was unique. The most recently updated copy is kept; the
+   * other copies' solutions move to it as later versions, and their triage,
+   * posted comment and promotion fill in what the kept copy lacks.
+   * @returns {Promise<number>} - Copies removed
+   */
+  async mergeDuplicateIssues() {
+    const groups = await Issue.aggregate([
+      { $match: { repository: { $exists: true } } },
+      { $group: { _id: { repository: '$repository', issueNumber: '$issueNumber' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+
+    let removed = 0;
+    for (const group of groups) {
+      const [kept, ...copies] = await Issue.find({ _id: { $in: group.ids } }).sort({ updatedAt: -1, _id: -1 });
+      const copyIds = copies.map(copy => copy._id);
+
+      const latest = await AISolution.findOne({ issue: kept._id }).sort({ version: -1 }).select('version');
+      let version = Math.max(kept.lastSolutionVersion || 0, latest?.version || 0);
+      const moved = await AISolution.find({ issue: { $in: copyIds } }).sort({ createdAt: 1 }).select('_id');
+      for (const solution of moved) {
+        await AISolution.updateOne({ _id: solution._id }, { issue: kept._id, version: ++version });
+      }
+
+      const update = { lastSolutionVersion: version };
+      for (const copy of copies) {
+        if (!kept.triage?.type && !update.triage && copy.triage?.type) update.triage = copy.triage;
+        if (!kept.postedComment?.commentId && !update.postedComment && copy.postedComment?.commentId) update.postedComment = copy.postedComment;
+        if (!kept.promotedTo?.number && !update.promotedTo && copy.promotedTo?.number) update.promotedTo = copy.promotedTo;
+      }
+      await Issue.updateOne({ _id: kept._id }, update);
+
+      const result = await Issue.deleteMany({ _id: { $in: copyIds } });
+      removed += result.deletedCount;
+    }
+
+    if (removed > 0) {
+      console.log(`Merged ${removed} duplicate issue(s) into the copies kept`);
+    }
+    return removed;
+  }
+}
+
+export default RepositoryService;
@@ -0,0 +1,108 @@
+import { getExtension } from './codeFiles.js';
+
+export const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Runs line-based rules over source code and reports every match with its
+ * line and column. Rules can be disabled, enabled or have their severity
+ * overridden per run, and may be limited to certain file extensions.
+ */
+class RuleEngine {
+  /**
+   * @param {Array<Object>} rules - Rule definitions (see analysisRules.js)
+   */
+  constructor(rules) {
+    this.rules = rules;
+  }
+
+  /**
+   * Register an additional rule, replacing any rule with the same ID
+   * @param {Object} rule - Rule definition
+   */
+  addRule(rule) {
+    this.rules = [...this.rules.filter(existing => existing.id !== rule.id), rule];
+  }
+
+  /**
+   * List the rules that apply to a run
+   * @param {Object} options - { filePath, disabledRules, enabledRules }
+   * @returns {Array<Object>} - Active rules
+   */
+  getActiveRules({ filePath, disabledRules = [], enabledRules = [] } = {}) {
+    const extension = filePath ? getExtension(filePath) : null;
+
+    return this.rules.filter(rule => {
+      if (disabledRules.includes(rule.id)) return false;
+      if (rule.enabled === false && !enabledRules.includes(rule.id)) return false;
+      // Language-specific rules only run on matching files; without a path every rule runs
+      if (rule.extensions && extension !== null && !rule.extensions.includes(extension)) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Find all matches of one rule on one line
+   * @param {Object} rule - Rule definition
+   * @param {string} line - Line text
+   * @param {Object} context - { lineNumber, lines, filePath }
+   * @returns {Array<Object>} - [{ column }] (1-based columns)
+   */
+  matchLine(rule, line, context) {
+    if (rule.match) {
+      return rule.match(line, context) || [];
+    }
+
+    const pattern = new RegExp(rule.pattern.source, rule.pattern.flags.includes('g') ? rule.pattern.flags : `${rule.pattern.flags}g`);
+    const matches = [];
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+      matches.push({ column: match.index + 1, text: match[0] });
+      if (match[0].length === 0) pattern.lastIndex++;
+    }
+    return matches;
+  }
+
+  /**
+   * Run the active rules over a piece of code
+   * @param {string} code - Source code
+   * @param {Object} options - { filePath, disabledRules, enabledRules, severityOverrides }
+   * @returns {Array<Object>} - Findings: { ruleId, type, description, severity, line, column }
+   */
+  run(code, options = {}) {
+    const { severityOverrides = {} } = options;
+    const rules = this.getActiveRules(options);
+    const lines = code.split('\n');
+    const findings = [];
+
+    const report = (rule, match, line) => findings.push({
+      ruleId: rule.id,
+      type: rule.type,
+      description: match.message || rule.message,
+      severity: SEVERITIES.includes(severityOverrides[rule.id]) ? severityOverrides[rule.id] : rule.severity,
+      line,
+      column: match.column
+    });
+
+    // File-level rules see the whole file and report their own positions
+    for (const rule of rules.filter(rule => rule.scanFile)) {
+      for (const match of rule.scanFile(code, { lines, filePath: options.filePath })) {
+        report(rule, match, match.line);
+      }
+    }
+
+    const lineRules = rules.filter(rule => !rule.scanFile);
+    lines.forEach((line, index) => {
+      const context = { lineNumber: index + 1, lines, filePath: options.filePath };
+
+      for (const rule of lineRules) {
+        for (const match of this.matchLine(rule, line, context)) {
+          report(rule, match, index + 1);
+        }
+      }
+    });
+
+    return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+}
+
+export default RuleEngine;
@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import os from 'os';
+import ScanJob from '../models/ScanJob.js';
+
+// A job interrupted this many times (e.g. by crashes mid-scan) is failed instead of resumed
+const MAX_ATTEMPTS = 3;
+
+// Minimum time between progress writes for one job
+const PROGRESS_INTERVAL_MS = 1000;
+
+// How long a worker's claim on a job holds without being renewed; running jobs renew it three times per period
+const LEASE_MS = 60 * 1000;
+
+/**
+ * Runs repository scans in the background. Jobs are stored in MongoDB and
+ * claimed atomically, at most `concurrency` at a time. A claim is a lease the
+ * worker renews while the job runs, so several server processes can share the
+ * queue: jobs whose lease expired (their worker stopped) are put back in the
+ * queue, while live jobs of other workers are left alone.
+ */
+class ScanJobQueue {
+  /**
+   * @param {Function} handler - async (job, { signal, onProgress }) => result
+   * @param {Object} options - { concurrency, leaseMs }
+   */
+  constructor(handler, { concurrency = 2, leaseMs = LEASE_MS } = {}) {
+    this.handler = handler;
+    this.concurrency = concurrency;
+    this.leaseMs = leaseMs;
+    this.active = 0;
+    // Identifies this process's claims
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    // AbortControllers of the jobs running in this process, by job ID
+    this.controllers = new Map();
+  }
+
+  /**
+   * Recover jobs whose worker stopped and start processing the queue. Expired
+   * leases are checked again every lease period.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await this.recoverExpired();
+
+    this.recoveryTimer = setInterval(() => {
+      this.recoverExpired()
+        .then(() => this.drain())
+        .catch(error => console.error('Error recovering scan jobs:', error));
+    }, this.leaseMs);
+    this.recoveryTimer.unref();
+
+    this.drain();
+  }
+
+  /**
+   * Requeue running jobs whose lease expired, or cancel or fail them when they
+   * were cancelled or interrupted too often
+   * @returns {Promise<number>} - Number of recovered jobs
+   */
+  async recoverExpired() {
+    // Jobs claimed before leases existed have none and count as expired
+    const expired = { status: 'running', leaseExpiresAt: { $not: { $gte: new Date() } } };
+    const interrupted = await ScanJob.find(expired);
+
+    let recovered = 0;
+    for (const job of interrupted) {
+      let update;
+      if (job.cancelRequested) {
+        update = { status: 'cancelled', finishedAt: new Date() };
+      } else if (job.attempts >= MAX_ATTEMPTS) {
+        update = { status: 'failed', error: `Interrupted ${job.attempts} times`, finishedAt: new Date() };
+      } else {
+        update = { status: 'queued' };
+      }
+      // Skips jobs whose worker renewed the lease in the meantime
+      const updated = await ScanJob.findOneAndUpdate(
+        { ...expired, _id: job._id, owner: job.owner },
+        { ...update, owner: null, leaseExpiresAt: null }
+      );
+      if (updated) recovered++;
+    }
+
+    if (recovered > 0) {
+      console.log(`Recovered ${recovered} interrupted scan job(s)`);
+    }
+    return recovered;
+  }
+
+  /**
+   * Submit a scan
+   * @param {string} repoUrl - Repository URL
+   * @param {Object} options - Rule options for the scan
+   * @param {Object} submitter - { user }: the scan reads the repository with this user's tokens
+   * @returns {Promise<Document>} - The queued job
+   */
+  async enqueue(repoUrl, options = {}, { user = null } = {}) {
+    const job = await ScanJob.create({ repositoryUrl: repoUrl, options, user: user?._id });
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Claim queued jobs until the concurrency limit is reached
+   */
+  drain() {
+    while (this.active < this.concurrency) {
+      this.active++;
+      this.claimNext()
+        .then(job => {
+          if (!job) {
+            this.active--;
+            return;
+          }
+          this.run(job).finally(() => {
+            this.active--;
+            this.drain();
+          });
+        })
+        .catch(error => {
+          this.active--;
+          console.error('Error claiming scan job:', error);
+        });
+    }
+  }
+
+  /**
+   * Atomically move the oldest queued job to running, leased to this worker
+   * @returns {Promise<Document|null>} - Claimed job, or null when the queue is empty
+   */
+  async claimNext() {
+    return ScanJob.findOneAndUpdate(
+      { status: 'queued' },
+      {
+        status: 'running',
+        owner: this.workerId,
+        leaseExpiresAt: new Date(Date.now() + this.leaseMs),
+        startedAt: new Date(),
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Run one claimed job and record its outcome. The lease is renewed while the
+   * job runs; if another worker took the job over, it is stopped without
+   * recording anything.
+   * @param {Document} job - Running job
+   * @returns {Promise<void>}
+   */
+  async run(job) {
+    const controller = new AbortController();
+    this.controllers.set(String(job._id), controller);
+    // Updates only apply while this worker still holds the job
+    const owned = { _id: job._id, owner: this.workerId };
+    let leaseLost = false;
+    let lastWrite = 0;
+
+    const renew = async () => {
+      const updated = await ScanJob.findOneAndUpdate(
+        { ...owned, status: 'running' },
+        { leaseExpiresAt: new Date(Date.now() + this.leaseMs) },
+        { new: true }
+      );
+      if (!updated) {
+        leaseLost = true;
+        controller.abort();
+      } else if (updated.cancelRequested) {
+        // Picks up cancel requests made through another server process
+        controller.abort();
+      }
+    };
+    const heartbeat = setInterval(() => {
+      renew().catch(error => console.error(`Error renewing the lease of scan job ${job._id}:`, error));
+    }, this.leaseMs / 3);
+
+    const onProgress = async progress => {
+      const now = Date.now();
+      if (now - lastWrite < PROGRESS_INTERVAL_MS && progress.processedFiles < progress.totalFiles) return;
+      lastWrite = now;
+
+      const updated = await ScanJob.findOneAndUpdate(owned, { progress }, { new: true });
+      if (updated && updated.cancelRequested) controller.abort();
+    };
+
+    try {
+      const result = await this.handler(job, { signal: controller.signal, onProgress });
+      controller.signal.throwIfAborted();
+      await ScanJob.findOneAndUpdate(owned, { status: 'completed', result, leaseExpiresAt: null, finishedAt: new Date() });
+    } catch (error) {
+      if (leaseLost) {
+        console.warn(`Scan job ${job._id} was taken over by another worker`);
+      } else if (controller.signal.aborted) {
+        await ScanJob.findOneAndUpdate(owned, { status: 'cancelled', leaseExpiresAt: null, finishedAt: new Date() });
+      } else {
+        console.error(`Scan job ${job._id} failed:`, error);
+        await ScanJob.findOneAndUpdate(owned, { status: 'failed', error: error.message, leaseExpiresAt: null, finishedAt: new Date() });
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.controllers.delete(String(job._id));
+    }
+  }
+
+  /**
+   * Cancel a job. Queued jobs are cancelled immediately; running jobs stop at
+   * the next file.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Document|null>} - Updated job, or null when it doesn't exist
+   */
+  async cancel(jobId) {
+    const queued = await ScanJob.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { status: 'cancelled', finishedAt: new Date() },
+      { new: true }
+    );
+    if (queued) return queued;
+
+    const running = await ScanJob.findOneAndUpdate(
+      { _id: jobId, status: 'running' },
+      { cancelRequested: true },
+      { new: true }
+    );
+    if (running) {
+      const controller = this.controllers.get(String(jobId));
+      if (controller) controller.abort();
+      return running;
+    }
+
+    return ScanJob.findById(jobId);
+  }
+}
+
+export default ScanJobQueue;
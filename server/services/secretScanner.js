@@ -0,0 +1,253 @@
+/**
+ * Detects credentials in text using provider-specific patterns, entropy
+ * scoring and an allowlist, and redacts them. Used both to report findings
+ * during code analysis and to strip secrets before anything is sent to an
+ * LLM or stored with a solution.
+ */
+
+const DETECTORS = [
+  {
+    id: 'github-token',
+    severity: 'critical',
+    description: 'GitHub token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{82})\b/g
+  },
+  {
+    id: 'aws-access-key-id',
+    severity: 'critical',
+    description: 'AWS access key ID',
+    pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[0-9A-Z]{16}\b/g
+  },
+  {
+    id: 'aws-secret-access-key',
+    severity: 'critical',
+    description: 'AWS secret access key',
+    pattern: /aws_?secret_?(?:access_?)?key['"]?\s*[:=]\s*['"]?([A-Za-z0-9/+=]{40})\b/gi,
+    group: 1,
+    minEntropy: 3.5
+  },
+  {
+    id: 'google-api-key',
+    severity: 'critical',
+    description: 'Google API key',
+    pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g
+  },
+  {
+    id: 'slack-token',
+    severity: 'critical',
+    description: 'Slack token',
+    pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g
+  },
+  {
+    id: 'private-key',
+    severity: 'critical',
+    description: 'Private key block',
+    pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?-----END (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----/g
+  },
+  {
+    id: 'jwt',
+    severity: 'high',
+    description: 'JSON Web Token',
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\b/g
+  },
+  {
+    id: 'generic-credential',
+    severity: 'high',
+    description: 'Hardcoded credential assignment',
+    pattern: /\b[\w-]*(?:password|passwd|pwd|secret|token|api[_-]?key|auth|credential)[\w-]*['"]?\s*[:=]\s*['"]([^'"\s]{8,})['"]/gi,
+    group: 1,
+    minEntropy: 3
+  },
+  {
+    id: 'high-entropy-string',
+    severity: 'medium',
+    description: 'High-entropy string literal',
+    pattern: /['"]([A-Za-z0-9+/_=-]{24,})['"]/g,
+    group: 1,
+    minEntropy: 4.5,
+    // Noisy on hashes and fixtures, so only used when asked for
+    enabled: false
+  }
+];
+
+// Values that are obviously not real secrets
+const PLACEHOLDER_PATTERN = /^(?:x+|\*+|\.+|<[^>]*>|\$\{[^}]*\}|\{\{[^}]*\}\})$|changeme|change_me|example|placeholder|your[_-]|dummy|redacted|process\.env/i;
+
+/**
+ * Shannon entropy of a string in bits per character
+ * @param {string} value - String to measure
+ * @returns {number} - Entropy
+ */
+export function shannonEntropy(value) {
+  if (!value) return 0;
+
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const probability = count / value.length;
+    entropy -= probability * Math.log2(probability);
+  }
+  return entropy;
+}
+
+class SecretScanner {
+  /**
+   * @param {Object} allowlist - { values: [String], patterns: [String|RegExp], paths: [String|RegExp] }
+   */
+  constructor(allowlist = {}) {
+    this.detectors = DETECTORS;
+    this.allowlist = {
+      values: new Set(allowlist.values || []),
+      patterns: (allowlist.patterns || []).map(pattern => new RegExp(pattern)),
+      paths: (allowlist.paths || []).map(pattern => new RegExp(pattern))
+    };
+  }
+
+  /**
+   * Check whether a detected value or file is allowlisted
+   * @param {string} value - Detected secret value
+   * @param {string} filePath - File the value was found in
+   * @returns {boolean}
+   */
+  isAllowed(value, filePath) {
+    if (filePath && this.allowlist.paths.some(pattern => pattern.test(filePath))) return true;
+    if (this.allowlist.values.has(value)) return true;
+    if (this.allowlist.patterns.some(pattern => pattern.test(value))) return true;
+    return PLACEHOLDER_PATTERN.test(value);
+  }
+
+  /**
+   * Mask a secret for display, keeping a short prefix
+   * @param {string} value - Secret value
+   * @returns {string} - Masked value
+   */
+  mask(value) {
+    if (value.length <= 8) return '*'.repeat(value.length);
+    return `${value.slice(0, 4)}${'*'.repeat(Math.min(value.length - 4, 16))}`;
+  }
+
+  /**
+   * Find secrets in text
+   * @param {string} text - Text to scan
+   * @param {Object} options - { filePath, detectors: [ids] to limit the scan, includeDisabled }
+   * @returns {Array<Object>} - Findings: { detectorId, severity, description, line, column, start, end, masked, entropy }
+   */
+  scan(text, { filePath, detectors, includeDisabled = false } = {}) {
+    if (!text) return [];
+
+    // Offsets of each line start, to turn match offsets into line/column
+    const lineStarts = [0];
+    for (let index = 0; index < text.length; index++) {
+      if (text[index] === '\n') lineStarts.push(index + 1);
+    }
+    const position = offset => {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (lineStarts[mid] <= offset) low = mid; else high = mid - 1;
+      }
+      return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
+
+    const findings = [];
+    const active = this.detectors.filter(detector =>
+      detectors ? detectors.includes(detector.id) : (includeDisabled || detector.enabled !== false)
+    );
+
+    for (const detector of active) {
+      const pattern = new RegExp(detector.pattern.source, detector.pattern.flags);
+      let match;
+
+      while ((match = pattern.exec(text)) !== null) {
+        const value = detector.group ? match[detector.group] : match[0];
+        const start = match.index + match[0].indexOf(value);
+        const end = start + value.length;
+        const entropy = shannonEntropy(value);
+
+        if (detector.minEntropy && entropy < detector.minEntropy) continue;
+        if (this.isAllowed(value, filePath)) continue;
+        // Skip spans already claimed by a more specific detector
+        if (findings.some(finding => start < finding.end && end > finding.start)) continue;
+
+        const { line, column } = position(start);
+        findings.push({
+          detectorId: detector.id,
+          severity: detector.severity,
+          description: `${detector.description} detected`,
+          line,
+          column,
+          endLine: position(end - 1).line,
+          start,
+          end,
+          masked: this.mask(value),
+          entropy: Math.round(entropy * 100) / 100
+        });
+      }
+    }
+
+    return findings.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Replace detected secrets with a marker. Newlines inside a secret are
+   * kept so line numbers in the redacted text still match the original.
+   * @param {string} text - Text to redact
+   * @param {Object} options - Same as scan
+   * @returns {Object} - { text, findings }
+   */
+  redact(text, options = {}) {
+    const findings = this.scan(text, options);
+    if (findings.length === 0) return { text, findings };
+
+    let redacted = '';
+    let cursor = 0;
+    for (const finding of findings) {
+      const secret = text.slice(finding.start, finding.end);
+      const newlines = '\n'.repeat((secret.match(/\n/g) || []).length);
+      redacted += `${text.slice(cursor, finding.start)}[REDACTED:${finding.detectorId}]${newlines}`;
+      cursor = finding.end;
+    }
+    redacted += text.slice(cursor);
+
+    return { text: redacted, findings };
+  }
+
+  /**
+   * Expose the detectors as RuleEngine rules so secret findings share the
+   * same enable/disable and severity-override handling as other rules
+   * @returns {Array<Object>} - Rule definitions
+   */
+  toRules() {
+    // Scan each file once for all detectors so overlapping matches are only reported once
+    let lastScan = { code: null, filePath: null, findings: [] };
+    const scanOnce = (code, filePath) => {
+      if (lastScan.code !== code || lastScan.filePath !== filePath) {
+        lastScan = { code, filePath, findings: this.scan(code, { filePath, includeDisabled: true }) };
+      }
+      return lastScan.findings;
+    };
+
+    return this.detectors.map(detector => ({
+      id: `secret-${detector.id}`,
+      type: 'security',
+      severity: detector.severity,
+      message: `${detector.description} detected`,
+      enabled: detector.enabled,
+      scanFile: (code, context) =>
+        scanOnce(code, context.filePath)
+          .filter(finding => finding.detectorId === detector.id)
+          .map(finding => ({
+            line: finding.line,
+            column: finding.column,
+            message: `${finding.description} (${finding.masked})`
+          }))
+    }));
+  }
+}
+
+export default SecretScanner;
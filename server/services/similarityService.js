@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import { tokenize } from './textRanking.js';
+
+// Only the most frequent terms of each issue are kept in the cached vector
+const MAX_TERMS = 200;
+
+// Weight of text similarity vs. shared referenced files in the final score
+const TEXT_WEIGHT = 0.8;
+const FILE_WEIGHT = 0.2;
+
+/**
+ * Finds duplicate and related issues with TF-IDF cosine similarity over
+ * title, body and file references. Term frequencies are cached on each Issue
+ * document (keyed by a hash of the source text); IDF is computed over the
+ * repository's issues at query time so it always reflects the current corpus.
+ */
+class SimilarityService {
+  /**
+   * Hash of the text the vector is built from, used to detect stale vectors
+   * @param {Object} issue - Issue with title, body and fileReferences
+   * @returns {string} - Hex digest
+   */
+  sourceHash(issue) {
+    const paths = (issue.fileReferences || []).map(ref => ref.path).sort().join('\n');
+    return crypto
+      .createHash('sha1')
+      .update(`${issue.title}\n${issue.body || ''}\n${paths}`)
+      .digest('hex');
+  }
+
+  /**
+   * Build the term-frequency vector of an issue. The title counts twice.
+   * @param {Object} issue - Issue with title, body and fileReferences
+   * @returns {Object} - { term: frequency }
+   */
+  buildTermVector(issue) {
+    const paths = (issue.fileReferences || []).map(ref => ref.path).join(' ');
+    const terms = [
+      ...tokenize(issue.title),
+      ...tokenize(issue.title),
+      ...tokenize(issue.body),
+      ...tokenize(paths)
+    ];
+
+    const counts = new Map();
+    for (const term of terms) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+
+    return Object.fromEntries(
+      [...counts].sort((a, b) => b[1] - a[1]).slice(0, MAX_TERMS)
+    );
+  }
+
+  /**
+   * Make sure each issue has an up-to-date cached vector
+   * @param {Array<Document>} issues - Issue documents loaded with +similarity
+   * @returns {Array<Object>} - Bulk write operations for the vectors that changed
+   */
+  refreshVectors(issues) {
+    const operations = [];
+
+    for (const issue of issues) {
+      const hash = this.sourceHash(issue);
+      if (issue.similarity && issue.similarity.hash === hash) continue;
+
+      const terms = this.buildTermVector(issue);
+      issue.similarity = { hash, terms, computedAt: new Date() };
+      operations.push({
+        updateOne: {
+          filter: { _id: issue._id },
+          update: { $set: { similarity: issue.similarity } }
+        }
+      });
+    }
+
+    return operations;
+  }
+
+  /**
+   * Read a cached vector as a Map regardless of how it was loaded
+   * @param {Object} issue - Issue with similarity.terms
+   * @returns {Map<string, number>}
+   */
+  getTerms(issue) {
+    const terms = issue.similarity && issue.similarity.terms;
+    if (!terms) return new Map();
+    return terms instanceof Map ? terms : new Map(Object.entries(terms));
+  }
+
+  /**
+   * Rank candidate issues by similarity to a target issue
+   * @param {Object} target - Issue to compare against (with cached vector)
+   * @param {Array<Object>} candidates - Other issues (with cached vectors)
+   * @param {Object} options - { limit, minScore }
+   * @returns {Array<Object>} - [{ issue, score, textScore, sharedFiles }] best first
+   */
+  rankSimilar(target, candidates, { limit = 5, minScore = 0 } = {}) {
+    const corpus = [target, ...candidates].map(issue => this.getTerms(issue));
+
+    // Inverse document frequency over the whole repository
+    const documentFrequency = new Map();
+    for (const terms of corpus) {
+      for (const term of terms.keys()) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+    }
+    const idf = term => Math.log((1 + corpus.length) / (1 + (documentFrequency.get(term) || 0))) + 1;
+
+    const weigh = terms => {
+      const weights = new Map();
+      let norm = 0;
+      for (const [term, frequency] of terms) {
+        const weight = (1 + Math.log(frequency)) * idf(term);
+        weights.set(term, weight);
+        norm += weight * weight;
+      }
+      return { weights, norm: Math.sqrt(norm) };
+    };
+
+    const targetVector = weigh(corpus[0]);
+    const targetFiles = new Set((target.fileReferences || []).map(ref => ref.path));
+
+    return candidates
+      .map((candidate, index) => {
+        const candidateVector = weigh(corpus[index + 1]);
+
+        let dot = 0;
+        for (const [term, weight] of targetVector.weights) {
+          const other = candidateVector.weights.get(term);
+          if (other) dot += weight * other;
+        }
+        const textScore = targetVector.norm && candidateVector.norm
+          ? dot / (targetVector.norm * candidateVector.norm)
+          : 0;
+
+        const candidateFiles = new Set((candidate.fileReferences || []).map(ref => ref.path));
+        const sharedFiles = [...targetFiles].filter(path => candidateFiles.has(path));
+        const fileUnion = new Set([...targetFiles, ...candidateFiles]).size;
+        const fileScore = fileUnion > 0 ? sharedFiles.length / fileUnion : 0;
+
+        const score = fileUnion > 0
+          ? TEXT_WEIGHT * textScore + FILE_WEIGHT * fileScore
+          : textScore;
+
+        return {
+          issue: candidate,
+          score: Math.round(score * 1000) / 1000,
+          textScore: Math.round(textScore * 1000) / 1000,
+          sharedFiles
+        };
+      })
+      .filter(result => result.score > minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+export default SimilarityService;
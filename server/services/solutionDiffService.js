@@ -0,0 +1,177 @@
+// Fields compared as plain values
+const SCALAR_FIELDS = ['provider', 'model', 'promptHash', 'confidence', 'attempts'];
+
+// Fields compared line by line
+const TEXT_FIELDS = ['analysis', 'rootCause', 'solution'];
+
+// Fields compared as sets of strings
+const LIST_FIELDS = ['steps', 'bestPractices'];
+
+/**
+ * Compares two versions of an AI solution field by field, with line diffs
+ * for text and suggested code
+ */
+class SolutionDiffService {
+  /**
+   * Line diff based on the longest common subsequence
+   * @param {string} oldText - Old text
+   * @param {string} newText - New text
+   * @returns {Array<Object>} - [{ op: ' '|'-'|'+', text }]
+   */
+  diffLines(oldText, newText) {
+    const a = (oldText || '').split('\n');
+    const b = (newText || '').split('\n');
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        lines.push({ op: ' ', text: a[i] });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        lines.push({ op: '-', text: a[i++] });
+      } else {
+        lines.push({ op: '+', text: b[j++] });
+      }
+    }
+    while (i < a.length) lines.push({ op: '-', text: a[i++] });
+    while (j < b.length) lines.push({ op: '+', text: b[j++] });
+
+    return lines;
+  }
+
+  /**
+   * Render a line diff as text, or null when nothing changed
+   * @param {string} oldText - Old text
+   * @param {string} newText - New text
+   * @returns {string|null} - Lines prefixed with ' ', '-' or '+'
+   */
+  diffText(oldText, newText) {
+    if ((oldText || '') === (newText || '')) return null;
+    return this.diffLines(oldText, newText).map(line => `${line.op}${line.text}`).join('\n');
+  }
+
+  /**
+   * Compare two lists of strings
+   * @param {Array<string>} oldList - Old items
+   * @param {Array<string>} newList - New items
+   * @returns {Object|null} - { added, removed }, or null when both hold the same items
+   */
+  diffList(oldList = [], newList = []) {
+    const added = newList.filter(item => !oldList.includes(item));
+    const removed = oldList.filter(item => !newList.includes(item));
+    return added.length > 0 || removed.length > 0 ? { added, removed } : null;
+  }
+
+  /**
+   * Compare input files by path and blob SHA
+   * @param {Array<Object>} oldFiles - [{ path, sha }]
+   * @param {Array<Object>} newFiles - [{ path, sha }]
+   * @returns {Object|null} - { added, removed, changed }
+   */
+  diffInputFiles(oldFiles = [], newFiles = []) {
+    const oldByPath = new Map(oldFiles.map(file => [file.path, file.sha]));
+    const newByPath = new Map(newFiles.map(file => [file.path, file.sha]));
+
+    const added = newFiles.filter(file => !oldByPath.has(file.path));
+    const removed = oldFiles.filter(file => !newByPath.has(file.path));
+    const changed = newFiles
+      .filter(file => oldByPath.has(file.path) && oldByPath.get(file.path) !== file.sha)
+      .map(file => ({ path: file.path, fromSha: oldByPath.get(file.path), toSha: file.sha }));
+
+    return added.length + removed.length + changed.length > 0 ? { added, removed, changed } : null;
+  }
+
+  /**
+   * Compare code snippets, pairing them by file and order within the file
+   * @param {Array<Object>} oldSnippets - Snippets of the old version
+   * @param {Array<Object>} newSnippets - Snippets of the new version
+   * @returns {Object|null} - { added, removed, changed: [{ filePath, startLine, diff }] }
+   */
+  diffSnippets(oldSnippets = [], newSnippets = []) {
+    const keyed = snippets => {
+      const seen = new Map();
+      return snippets.map(snippet => {
+        const index = seen.get(snippet.filePath) || 0;
+        seen.set(snippet.filePath, index + 1);
+        return { key: `${snippet.filePath}#${index}`, snippet };
+      });
+    };
+    const summary = snippet => ({ filePath: snippet.filePath, startLine: snippet.startLine, endLine: snippet.endLine });
+
+    const oldKeyed = keyed(oldSnippets);
+    const newKeyed = keyed(newSnippets);
+    const oldByKey = new Map(oldKeyed.map(entry => [entry.key, entry.snippet]));
+    const newKeys = new Set(newKeyed.map(entry => entry.key));
+
+    const added = newKeyed.filter(entry => !oldByKey.has(entry.key)).map(entry => summary(entry.snippet));
+    const removed = oldKeyed.filter(entry => !newKeys.has(entry.key)).map(entry => summary(entry.snippet));
+    const changed = [];
+    for (const { key, snippet } of newKeyed) {
+      const previous = oldByKey.get(key);
+      if (!previous) continue;
+
+      const diff = this.diffText(previous.suggestedCode, snippet.suggestedCode);
+      const moved = previous.startLine !== snippet.startLine || previous.endLine !== snippet.endLine;
+      if (diff || moved) {
+        changed.push({ ...summary(snippet), previousStartLine: previous.startLine, diff });
+      }
+    }
+
+    return added.length + removed.length + changed.length > 0 ? { added, removed, changed } : null;
+  }
+
+  /**
+   * Compare two solution versions
+   * @param {Object} from - Older solution (plain object)
+   * @param {Object} to - Newer solution (plain object)
+   * @returns {Object} - { from, to, changes } where changes only lists fields that differ
+   */
+  diff(from, to) {
+    const changes = {};
+
+    for (const field of SCALAR_FIELDS) {
+      if (from[field] !== to[field]) {
+        changes[field] = { from: from[field] ?? null, to: to[field] ?? null };
+      }
+    }
+    for (const field of TEXT_FIELDS) {
+      const diff = this.diffText(from[field], to[field]);
+      if (diff) changes[field] = diff;
+    }
+    for (const field of LIST_FIELDS) {
+      const diff = this.diffList(from[field], to[field]);
+      if (diff) changes[field] = diff;
+    }
+
+    const inputFiles = this.diffInputFiles(from.inputFiles, to.inputFiles);
+    if (inputFiles) changes.inputFiles = inputFiles;
+
+    const codeSnippets = this.diffSnippets(from.codeSnippets, to.codeSnippets);
+    if (codeSnippets) changes.codeSnippets = codeSnippets;
+
+    const header = solution => ({
+      version: solution.version,
+      provider: solution.provider,
+      model: solution.model,
+      promptHash: solution.promptHash,
+      createdAt: solution.createdAt
+    });
+
+    return { from: header(from), to: header(to), changes };
+  }
+}
+
+export default SolutionDiffService;
@@ -0,0 +1,172 @@
+/**
+ * JSON schemas the LLM is asked to follow for issue analyses, triage and
+ * pull request reviews, plus a small validator for the subset of JSON Schema
+ * they use.
+ */
+// Longest line range a single code change may replace
+export const MAX_CHANGE_LINES = 500;
+
+export const SOLUTION_SCHEMA = {
+  type: 'object',
+  required: ['analysis', 'rootCause', 'steps', 'codeChanges', 'bestPractices', 'confidence'],
+  properties: {
+    analysis: { type: 'string', minLength: 1, description: 'Detailed analysis of the issue' },
+    rootCause: { type: 'string', minLength: 1, description: 'Most likely root cause' },
+    steps: {
+      type: 'array',
+      description: 'Ordered steps to fix the issue',
+      items: { type: 'string', minLength: 1 }
+    },
+    codeChanges: {
+      type: 'array',
+      description: 'Concrete code changes; line numbers refer to the numbered file listings',
+      items: {
+        type: 'object',
+        required: ['filePath', 'startLine', 'endLine', 'originalCode', 'suggestedCode'],
+        properties: {
+          filePath: { type: 'string', minLength: 1 },
+          startLine: { type: 'integer', minimum: 1 },
+          endLine: { type: 'integer', minimum: 1, description: `At most ${MAX_CHANGE_LINES - 1} lines after startLine` },
+          originalCode: { type: 'string', description: 'Exact lines being replaced' },
+          suggestedCode: { type: 'string', description: 'Replacement lines' },
+          explanation: { type: 'string' }
+        }
+      }
+    },
+    bestPractices: {
+      type: 'array',
+      description: 'Practices that prevent similar issues',
+      items: { type: 'string', minLength: 1 }
+    },
+    confidence: { type: 'number', minimum: 0, maximum: 1, description: 'Confidence between 0 and 1' }
+  }
+};
+
+export const ISSUE_TYPES = ['bug', 'feature', 'question', 'docs', 'security'];
+export const ISSUE_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+export const TRIAGE_SCHEMA = {
+  type: 'object',
+  required: ['type', 'priority', 'component', 'confidence'],
+  properties: {
+    type: { type: 'string', enum: ISSUE_TYPES },
+    priority: { type: 'string', enum: ISSUE_PRIORITIES },
+    component: { type: 'string', minLength: 1, description: 'Most likely component, from the listed components when possible' },
+    confidence: { type: 'number', minimum: 0, maximum: 1, description: 'Confidence between 0 and 1' }
+  }
+};
+
+export const REVIEW_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+export const REVIEW_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'comments', 'confidence'],
+  properties: {
+    summary: { type: 'string', minLength: 1, description: 'Overall assessment of the pull request' },
+    comments: {
+      type: 'array',
+      description: 'Review comments; line numbers refer to the numbered lines of the diff listings',
+      items: {
+        type: 'object',
+        required: ['filePath', 'line', 'severity', 'body'],
+        properties: {
+          filePath: { type: 'string', minLength: 1 },
+          line: { type: 'integer', minimum: 1, description: 'Line in the new version of the file' },
+          severity: { type: 'string', enum: REVIEW_SEVERITIES },
+          body: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    confidence: { type: 'number', minimum: 0, maximum: 1, description: 'Confidence between 0 and 1' }
+  }
+};
+
+/**
+ * Check whether a value matches a schema type
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema (type, required, properties, items, enum, minimum, maximum, minLength)
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<string>} - Validation errors; empty when valid
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  if (!matchesType(value, schema.type)) {
+    return [`${path} must be of type ${schema.type}`];
+  }
+
+  const errors = [];
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an analysis against SOLUTION_SCHEMA, including cross-field checks
+ * @param {Object} data - Parsed LLM output
+ * @param {Object} options - { lineCount(filePath) }: number of lines of a file the
+ *                           LLM was shown, or null when it wasn't
+ * @returns {Array<string>} - Validation errors; empty when valid
+ */
+export function validateSolution(data, { lineCount = () => null } = {}) {
+  const errors = validateAgainstSchema(data, SOLUTION_SCHEMA);
+  if (errors.length > 0) return errors;
+
+  data.codeChanges.forEach((change, index) => {
+    const lines = lineCount(change.filePath);
+    if (change.endLine < change.startLine) {
+      errors.push(`$.codeChanges[${index}].endLine must be >= startLine`);
+    } else if (change.endLine - change.startLine + 1 > MAX_CHANGE_LINES) {
+      errors.push(`$.codeChanges[${index}] must not span more than ${MAX_CHANGE_LINES} lines`);
+    } else if (lines !== null && change.endLine > lines) {
+      errors.push(`$.codeChanges[${index}].endLine must be <= ${lines}, the last line of ${change.filePath}`);
+    }
+  });
+
+  return errors;
+}
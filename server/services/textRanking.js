@@ -0,0 +1,87 @@
+/**
+ * Tokenization and BM25 ranking helpers shared by the retrieval features
+ */
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'this', 'that', 'from', 'when', 'then', 'have', 'has',
+  'was', 'were', 'are', 'not', 'but', 'can', 'cannot', 'should', 'would', 'could',
+  'into', 'there', 'their', 'what', 'which', 'will', 'after', 'before', 'also', 'just',
+  'does', 'did', 'doesn', 'don', 'get', 'got', 'any', 'all', 'some', 'our', 'your',
+  'you', 'its', 'been', 'being', 'than', 'them', 'they', 'how', 'why', 'use', 'using',
+  'issue', 'error', 'bug', 'please', 'thanks', 'http', 'https', 'www', 'com', 'github'
+]);
+
+/**
+ * Split text into lower-cased terms. Identifiers are split on camelCase and
+ * snake_case boundaries, and the whole identifier is kept as well, so
+ * "fetchRepoContents" yields fetchrepocontents, fetch, repo, contents.
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Terms (with repetitions)
+ */
+export function tokenize(text) {
+  if (!text) return [];
+
+  const terms = [];
+  for (const word of text.match(/[A-Za-z][A-Za-z0-9]*/g) || []) {
+    const lower = word.toLowerCase();
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .toLowerCase()
+      .split(' ');
+
+    if (parts.length > 1 && lower.length >= 3 && !STOPWORDS.has(lower)) {
+      terms.push(lower);
+    }
+    for (const part of parts) {
+      if (part.length >= 3 && !STOPWORDS.has(part)) {
+        terms.push(part);
+      }
+    }
+  }
+  return terms;
+}
+
+/**
+ * Score documents against a query with Okapi BM25
+ * @param {Array<string>} queryTerms - Query terms
+ * @param {Array<Array<string>>} documents - Tokenized documents
+ * @param {Object} options - { k1, b }
+ * @returns {Array<Object>} - Per document: { score, matchedTerms }
+ */
+export function bm25Scores(queryTerms, documents, { k1 = 1.2, b = 0.75 } = {}) {
+  const uniqueQueryTerms = [...new Set(queryTerms)];
+  const documentCount = documents.length;
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documentCount || 1) || 1;
+
+  const termFrequencies = documents.map(doc => {
+    const frequencies = new Map();
+    for (const term of doc) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    return frequencies;
+  });
+
+  const documentFrequency = new Map();
+  for (const term of uniqueQueryTerms) {
+    documentFrequency.set(term, termFrequencies.filter(frequencies => frequencies.has(term)).length);
+  }
+
+  return termFrequencies.map((frequencies, index) => {
+    let score = 0;
+    const matchedTerms = [];
+
+    for (const term of uniqueQueryTerms) {
+      const tf = frequencies.get(term);
+      if (!tf) continue;
+
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (documentCount - df + 0.5) / (df + 0.5));
+      const lengthNorm = 1 - b + b * (documents[index].length / averageLength);
+      score += idf * (tf * (k1 + 1)) / (tf + k1 * lengthNorm);
+      matchedTerms.push(term);
+    }
+
+    return { score, matchedTerms };
+  });
+}
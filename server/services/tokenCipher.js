@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * Encrypts host tokens for storage with AES-256-GCM. The key is derived from
+ * a server secret; without one, tokens can't be stored at all.
+ */
+class TokenCipher {
+  /**
+   * @param {string} secret - Long random server secret (TOKEN_ENCRYPTION_KEY)
+   */
+  constructor(secret) {
+    this.key = secret ? crypto.createHash('sha256').update(secret).digest() : null;
+  }
+
+  /**
+   * Whether a secret is configured
+   * @returns {boolean}
+   */
+  get configured() {
+    return this.key !== null;
+  }
+
+  /**
+   * Throw unless a secret is configured
+   * @throws {Error} - With status 503
+   */
+  assertConfigured() {
+    if (!this.configured) {
+      const error = new Error('Token storage is not configured (set TOKEN_ENCRYPTION_KEY)');
+      error.status = 503;
+      throw error;
+    }
+  }
+
+  /**
+   * Encrypt a token
+   * @param {string} token - Plain token
+   * @returns {string} - v1:<iv>:<tag>:<ciphertext>, base64 parts
+   */
+  encrypt(token) {
+    this.assertConfigured();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const data = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+    return [VERSION, iv, cipher.getAuthTag(), data].map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part)).join(':');
+  }
+
+  /**
+   * Decrypt a token
+   * @param {string} value - Output of encrypt
+   * @returns {string} - Plain token
+   * @throws {Error} - When the value was encrypted with another secret or was tampered with
+   */
+  decrypt(value) {
+    this.assertConfigured();
+    const [version, iv, tag, data] = String(value).split(':');
+    if (version !== VERSION) {
+      throw new Error(`Unknown token encryption version: ${version}`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  }
+}
+
+export default TokenCipher;
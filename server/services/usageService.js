@@ -0,0 +1,231 @@
+import UsageRecord from '../models/UsageRecord.js';
+import User from '../models/User.js';
+
+// Estimated USD per million prompt/completion tokens; extended or overridden with LLM_PRICING
+export const DEFAULT_PRICING = {
+  'gemini-2.5-flash': { prompt: 0.3, completion: 2.5 },
+  'gemini-2.5-pro': { prompt: 1.25, completion: 10 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'mock-1': { prompt: 0, completion: 0 }
+};
+
+// Dimensions a usage report can be grouped by
+export const USAGE_GROUPS = ['repo', 'user', 'model', 'day', 'operation'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Meters LLM usage: records every operation in the usage ledger with its
+ * estimated cost, enforces daily per-user and per-repository quotas and
+ * aggregates the ledger into reports. Days are UTC days.
+ */
+class UsageService {
+  /**
+   * @param {Object} options - { pricing, quotas }: prices by model (see DEFAULT_PRICING) and
+   *                           limits as in LLM_DAILY_QUOTAS, with canonical repository URLs
+   */
+  constructor({ pricing = {}, quotas = {} } = {}) {
+    this.pricing = { ...DEFAULT_PRICING, ...pricing };
+    this.quotas = quotas;
+  }
+
+  /**
+   * Estimate the cost of a model's token usage
+   * @param {string} model - Model name
+   * @param {Object} usage - { promptTokens, completionTokens }
+   * @returns {number|null} - USD, or null when the model has no known price
+   */
+  estimateCost(model, { promptTokens = 0, completionTokens = 0 } = {}) {
+    const price = this.pricing[model];
+    if (!price) return null;
+
+    const cost = (promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  /**
+   * Add an operation to the ledger. Failures are logged rather than thrown so
+   * metering never breaks the operation itself.
+   * @param {Object} entry - { repository, user, operation, provider, model, usage, calls, succeeded, promptHash }
+   * @returns {Promise<Document|null>} - UsageRecord
+   */
+  async record({ repository, user = null, operation, provider, model, usage = {}, calls, succeeded, promptHash }) {
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+
+    try {
+      return await UsageRecord.create({
+        repository: repository._id,
+        repositoryUrl: repository.url,
+        user: user?._id,
+        operation,
+        provider,
+        model,
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+        calls,
+        succeeded,
+        estimatedCost: this.estimateCost(model, { promptTokens, completionTokens }),
+        promptHash
+      });
+    } catch (err) {
+      console.error('Error recording LLM usage:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Start of the current UTC day
+   * @param {Date} now - Current time
+   * @returns {Date}
+   */
+  startOfDay(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+
+  /**
+   * Quota scopes an operation counts against, with their limits. A limit of
+   * null (or none) is unlimited; 0 blocks all usage.
+   * @param {Object} subject - { repository, user }
+   * @returns {Array<Object>} - [{ scope: 'repository'|'user', key, limits: { tokens, cost }, match }]
+   */
+  scopesFor({ repository, user = null }) {
+    const limits = (defaults, override) => {
+      const merged = { ...defaults, ...override };
+      return { tokens: merged.tokens ?? null, cost: merged.cost ?? null };
+    };
+
+    const scopes = [{
+      scope: 'repository',
+      key: repository.url,
+      limits: limits(this.quotas.repository, this.quotas.repositories?.[repository.url]),
+      match: { repository: repository._id }
+    }];
+    if (user) {
+      const key = `${user.host}/${user.login}`;
+      scopes.push({
+        scope: 'user',
+        key,
+        limits: limits(this.quotas.user, this.quotas.users?.[key]),
+        match: { user: user._id }
+      });
+    }
+    return scopes;
+  }
+
+  /**
+   * Tokens and estimated cost used today
+   * @param {Object} match - Ledger filter, e.g. { user }
+   * @returns {Promise<Object>} - { tokens, cost }
+   */
+  async usedToday(match) {
+    const [total] = await UsageRecord.aggregate([
+      { $match: { ...match, createdAt: { $gte: this.startOfDay() } } },
+      { $group: { _id: null, tokens: { $sum: '$totalTokens' }, cost: { $sum: '$estimatedCost' } } }
+    ]);
+    return { tokens: total?.tokens || 0, cost: Math.round((total?.cost || 0) * 1e6) / 1e6 };
+  }
+
+  /**
+   * Today's usage against the quotas of an operation's repository and user
+   * @param {Object} subject - { repository, user }
+   * @returns {Promise<Object>} - { resetAt, quotas: [{ scope, key, limits, used, exceeded }] }
+   */
+  async quotaStatus(subject) {
+    const quotas = await Promise.all(this.scopesFor(subject).map(async ({ scope, key, limits, match }) => {
+      const used = await this.usedToday(match);
+      const exceeded = (limits.tokens !== null && used.tokens >= limits.tokens) ||
+        (limits.cost !== null && used.cost >= limits.cost);
+      return { scope, key, limits, used, exceeded };
+    }));
+
+    return { resetAt: new Date(this.startOfDay().getTime() + DAY_MS), quotas };
+  }
+
+  /**
+   * Check an operation may run
+   * @param {Object} subject - { repository, user }
+   * @throws {Error} - With status 429 and the exceeded quota when the repository or user is over its daily limit
+   */
+  async assertWithinQuota(subject) {
+    // Skip the ledger entirely when nothing is limited
+    if (!this.scopesFor(subject).some(({ limits }) => limits.tokens !== null || limits.cost !== null)) return;
+
+    const { resetAt, quotas } = await this.quotaStatus(subject);
+    const exceeded = quotas.find(quota => quota.exceeded);
+    if (!exceeded) return;
+
+    const { limits, used } = exceeded;
+    const amounts = [];
+    if (limits.tokens !== null) amounts.push(`${used.tokens} of ${limits.tokens} tokens`);
+    if (limits.cost !== null) amounts.push(`$${used.cost.toFixed(2)} of $${limits.cost.toFixed(2)}`);
+
+    const error = new Error(
+      `Daily LLM quota of ${exceeded.scope} ${exceeded.key} exceeded (${amounts.join(', ')} used); resets at ${resetAt.toISOString()}`
+    );
+    error.status = 429;
+    error.quota = exceeded;
+    error.resetAt = resetAt;
+    throw error;
+  }
+
+  /**
+   * Aggregate the ledger
+   * @param {Object} options - { from, to, groupBy: subset of USAGE_GROUPS, match: extra ledger filter }
+   * @returns {Promise<Object>} - { from, to, groupBy, totals, rows: [{ repositoryUrl?, user?, provider?, model?, day?, operation?, ...totals }] }
+   */
+  async report({ from, to, groupBy = ['day'], match = {} }) {
+    const id = {};
+    if (groupBy.includes('repo')) id.repositoryUrl = '$repositoryUrl';
+    if (groupBy.includes('user')) id.user = '$user';
+    if (groupBy.includes('model')) {
+      id.provider = '$provider';
+      id.model = '$model';
+    }
+    if (groupBy.includes('day')) id.day = { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } };
+    if (groupBy.includes('operation')) id.operation = '$operation';
+
+    const groups = await UsageRecord.aggregate([
+      { $match: { ...match, createdAt: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: id,
+          requests: { $sum: 1 },
+          failed: { $sum: { $cond: ['$succeeded', 0, 1] } },
+          calls: { $sum: '$calls' },
+          promptTokens: { $sum: '$promptTokens' },
+          completionTokens: { $sum: '$completionTokens' },
+          totalTokens: { $sum: '$totalTokens' },
+          estimatedCost: { $sum: '$estimatedCost' },
+          // Requests whose model has no price, so the cost is understated
+          unpriced: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$estimatedCost', null] }, null] }, 1, 0] } }
+        }
+      },
+      { $sort: { '_id.day': 1, totalTokens: -1 } }
+    ]);
+
+    // Users are reported as host/login; anonymous requests and webhooks have none
+    const userIds = groups.map(group => group._id.user).filter(Boolean);
+    const users = userIds.length > 0 ? await User.find({ _id: { $in: userIds } }).select('host login') : [];
+    const logins = new Map(users.map(user => [String(user._id), `${user.host}/${user.login}`]));
+
+    const fields = ['requests', 'failed', 'calls', 'promptTokens', 'completionTokens', 'totalTokens', 'estimatedCost', 'unpriced'];
+    const totals = Object.fromEntries(fields.map(field => [field, 0]));
+    const rows = groups.map(({ _id, ...sums }) => {
+      fields.forEach(field => { totals[field] += sums[field]; });
+      return {
+        ..._id,
+        ...(groupBy.includes('user') && { user: _id.user ? logins.get(String(_id.user)) || String(_id.user) : null }),
+        ...sums,
+        estimatedCost: Math.round(sums.estimatedCost * 1e6) / 1e6
+      };
+    });
+    totals.estimatedCost = Math.round(totals.estimatedCost * 1e6) / 1e6;
+
+    return { from, to, groupBy, totals, rows };
+  }
+}
+
+export default UsageService;
@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import Issue from '../models/Issue.js';
+
+/**
+ * Applies GitHub webhook events to the stored issues: checks the payload
+ * signature, upserts issues and their comments, and decides which new issues
+ * are analyzed automatically according to the per-repo rules.
+ */
+class WebhookService {
+  /**
+   * @param {GitHubService} githubService - Formats GitHub payloads
+   * @param {IssueAnalyzerService} issueAnalyzer - Extracts file references
+   * @param {Object} options - { secret, autoAnalyze: { [canonical repoUrl]: rule } }
+   */
+  constructor(githubService, issueAnalyzer, { secret, autoAnalyze = {} } = {}) {
+    this.githubService = githubService;
+    this.issueAnalyzer = issueAnalyzer;
+    this.secret = secret;
+    this.autoAnalyze = autoAnalyze;
+  }
+
+  /**
+   * Check the X-Hub-Signature-256 header against the raw request body
+   * @param {Buffer} rawBody - Body exactly as received
+   * @param {string} signature - Header value, 'sha256=<hex>'
+   * @returns {boolean} - Whether the payload was signed with the configured secret
+   */
+  verifySignature(rawBody, signature) {
+    if (!this.secret || typeof signature !== 'string' || !signature.startsWith('sha256=')) return false;
+
+    const expected = Buffer.from(
+      `sha256=${crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex')}`
+    );
+    const received = Buffer.from(signature);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  /**
+   * Parse a webhook body sent as JSON or as a form-encoded `payload` field
+   * @param {Buffer} rawBody - Body exactly as received
+   * @param {string} contentType - Content-Type header
+   * @returns {Object} - Payload
+   * @throws {Error} - With status 400 when the body is not valid JSON
+   */
+  parsePayload(rawBody, contentType = '') {
+    try {
+      const text = rawBody.toString('utf8');
+      return JSON.parse(contentType.includes('application/x-www-form-urlencoded')
+        ? new URLSearchParams(text).get('payload')
+        : text);
+    } catch (err) {
+      const error = new Error(`Invalid webhook payload: ${err.message}`);
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Repository URL a payload belongs to, in the form issues are stored under
+   * @param {Object} payload - Webhook payload
+   * @returns {string|null} - Repository URL
+   */
+  repositoryUrl(payload) {
+    return payload.repository?.html_url || null;
+  }
+
+  /**
+   * Upsert an issue from a webhook payload. Deliveries can arrive out of
+   * order, so an issue stored with a newer updated_at is left alone.
+   * @param {Document} repository - Repository the payload belongs to
+   * @param {Object} githubIssue - `issue` object of the payload
+   * @returns {Promise<Object>} - { issue, created, stale }
+   */
+  async upsertIssue(repository, githubIssue) {
+    const formatted = this.githubService.formatIssue(githubIssue);
+    const updatedAt = new Date(formatted.updatedAt);
+
+    const stored = await Issue.findOne({ repository: repository._id, issueNumber: formatted.issueNumber });
+    if (stored && stored.updatedAt > updatedAt) {
+      return { issue: stored, created: false, stale: true };
+    }
+
+    const issue = await Issue.findOneAndUpdate(
+      { repository: repository._id, issueNumber: formatted.issueNumber },
+      {
+        repository: repository._id,
+        repositoryUrl: repository.url,
+        issueNumber: formatted.issueNumber,
+        title: formatted.title,
+        body: formatted.body,
+        state: formatted.state,
+        labels: formatted.labels,
+        assignees: formatted.assignees,
+        milestone: formatted.milestone,
+        commentsCount: formatted.commentsCount,
+        // Merged with the stored comments' references, as a full sync stores them
+        fileReferences: this.issueAnalyzer.extractIssueFileReferences({ body: formatted.body, comments: stored?.comments }),
+        createdAt: new Date(formatted.createdAt),
+        updatedAt
+      },
+      { upsert: true, new: true }
+    );
+    return { issue, created: !stored, stale: false };
+  }
+
+  /**
+   * Apply an issue_comment event to a stored issue's comments
+   * @param {Document} issue - Stored issue
+   * @param {string} action - created, edited or deleted
+   * @param {Object} githubComment - `comment` object of the payload
+   * @returns {Promise<boolean>} - Whether the stored comments changed
+   */
+  async applyComment(issue, action, githubComment) {
+    const comment = this.githubService.formatComment(githubComment);
+    comment.createdAt = new Date(comment.createdAt);
+    comment.updatedAt = new Date(comment.updatedAt);
+
+    let result;
+    if (action === 'created') {
+      result = await Issue.updateOne(
+        { _id: issue._id, 'comments.commentId': { $ne: comment.commentId } },
+        { $push: { comments: comment } }
+      );
+    } else if (action === 'edited') {
+      // Only replace the stored copy with a newer edit
+      result = await Issue.updateOne(
+        { _id: issue._id, comments: { $elemMatch: { commentId: comment.commentId, updatedAt: { $lte: comment.updatedAt } } } },
+        { $set: { 'comments.$': comment } }
+      );
+    } else if (action === 'deleted') {
+      result = await Issue.updateOne({ _id: issue._id }, { $pull: { comments: { commentId: comment.commentId } } });
+    } else {
+      return false;
+    }
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Find the auto-analysis rule an issues event triggers. A rule is `true`
+   * (every new issue) or { labels, excludeLabels, provider, model }: the issue
+   * needs one of `labels` (any issue when empty) and none of `excludeLabels`.
+   * Besides newly opened issues, adding one of the rule's labels later also
+   * triggers it.
+   * @param {string} repoUrl - Canonical repository URL
+   * @param {Object} event - { action, label (name of the label added), issue: { state, labels } }
+   * @returns {Object|null} - Matching rule as { labels, excludeLabels, provider, model }, or null
+   */
+  matchAutoAnalyzeRule(repoUrl, { action, label, issue }) {
+    const configured = this.autoAnalyze[repoUrl];
+    if (!configured || issue.state !== 'open') return null;
+
+    const rule = configured === true ? {} : configured;
+    const labels = rule.labels || [];
+    const excludeLabels = rule.excludeLabels || [];
+
+    if (issue.labels.some(name => excludeLabels.includes(name))) return null;
+
+    if (action === 'opened') {
+      if (labels.length > 0 && !issue.labels.some(name => labels.includes(name))) return null;
+    } else if (action === 'labeled') {
+      if (!labels.includes(label)) return null;
+    } else {
+      return null;
+    }
+
+    return { labels, excludeLabels, provider: rule.provider, model: rule.model };
+  }
+}
+
+export default WebhookService;
@@ -0,0 +1,91 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { User } from '../models/index.js';
+import AuthService from '../services/authService.js';
+import TokenCipher from '../services/tokenCipher.js';
+
+const cipher = new TokenCipher('test-secret');
+const auth = new AuthService(cipher);
+
+afterEach(() => mock.restoreAll());
+
+test('stores only the hash of a new API key and finds its user by that hash', async () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const findOneAndUpdate = mock.method(User, 'findOneAndUpdate', async (filter, update) =>
+    new User({ host: 'github.com', login: 'dev', apiKeys: update.$push ? [update.$push.apiKeys] : [] })
+  );
+
+  const { key, apiKey } = await auth.createApiKey(user, 'laptop');
+
+  const stored = findOneAndUpdate.mock.calls[0].arguments[1].$push.apiKeys;
+  const hash = crypto.createHash('sha256').update(key).digest('hex');
+  assert.match(key, /^gia_[\w-]{43}$/);
+  assert.deepEqual(stored, { name: 'laptop', prefix: key.slice(0, 10), hash });
+  assert.equal(apiKey.name, 'laptop');
+  assert.equal(apiKey.hash, undefined, 'the hash is not returned');
+
+  await auth.authenticate(key);
+  assert.deepEqual(findOneAndUpdate.mock.calls[1].arguments[0], {
+    apiKeys: { $elemMatch: { hash, revokedAt: null } }
+  });
+});
+
+test('rejects keys without the API key prefix without a lookup', async () => {
+  const findOneAndUpdate = mock.method(User, 'findOneAndUpdate', async () => null);
+
+  assert.equal(await auth.authenticate(undefined), null);
+  assert.equal(await auth.authenticate('ghp_abcdef'), null);
+  assert.equal(findOneAndUpdate.mock.callCount(), 0);
+});
+
+test('encrypts tokens with a fresh IV and decrypts them with the same secret only', () => {
+  const first = cipher.encrypt('ghp_secret');
+  const second = cipher.encrypt('ghp_secret');
+
+  assert.match(first, /^v1:[\w+/=]+:[\w+/=]+:[\w+/=]+$/);
+  assert.notEqual(first, second);
+  assert.doesNotMatch(first, /ghp_secret/);
+  assert.equal(cipher.decrypt(first), 'ghp_secret');
+  assert.throws(() => new TokenCipher('other-secret').decrypt(first));
+
+  const [version, iv, tag, data] = first.split(':');
+  const tampered = Buffer.from(data, 'base64');
+  tampered[0] ^= 1;
+  assert.throws(() => cipher.decrypt([version, iv, tag, tampered.toString('base64')].join(':')));
+  assert.throws(() => cipher.decrypt(`v0:${iv}:${tag}:${data}`), /Unknown token encryption version: v0/);
+});
+
+test('refuses to store tokens without an encryption secret', () => {
+  const unconfigured = new TokenCipher(undefined);
+
+  assert.equal(unconfigured.configured, false);
+  assert.throws(() => unconfigured.encrypt('ghp_secret'), { status: 503 });
+});
+
+test('stores host tokens encrypted and leaves out ones that no longer decrypt', async () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  mock.method(User, 'updateOne', async () => ({}));
+  const findOneAndUpdate = mock.method(User, 'findOneAndUpdate', async (filter, update) =>
+    new User({ host: 'github.com', login: 'dev', hostTokens: [update.$push.hostTokens] })
+  );
+
+  const updated = await auth.setHostToken(user, 'GitHub.com', 'ghp_secret1234', { source: 'pat', login: 'dev' });
+
+  const entry = findOneAndUpdate.mock.calls[0].arguments[1].$push.hostTokens;
+  assert.equal(entry.host, 'github.com');
+  assert.equal(entry.hint, '1234');
+  assert.equal(cipher.decrypt(entry.encryptedToken), 'ghp_secret1234');
+  assert.equal(updated.toJSON().hostTokens[0].encryptedToken, undefined);
+
+  mock.method(console, 'warn', () => {});
+  const tokens = auth.hostTokens({
+    login: 'dev',
+    hostTokens: [
+      { host: 'github.com', encryptedToken: entry.encryptedToken },
+      { host: 'gitlab.com', encryptedToken: new TokenCipher('old-secret').encrypt('glpat_old') }
+    ]
+  });
+  assert.deepEqual(tokens, { 'github.com': 'ghp_secret1234' });
+});
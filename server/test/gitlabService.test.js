@@ -0,0 +1,163 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import GitLabService from '../services/gitlabService.js';
+import { parseRepoUrl, repoHost } from '../services/repoUrl.js';
+
+const PROJECT = '/projects/group%2Fsub%2Fapp';
+
+let server;
+let baseUrl;
+// Paths requested from the fake GitLab API, with their query strings
+let requests;
+
+const gitlabIssue = iid => ({
+  iid,
+  title: `Issue ${iid}`,
+  description: null,
+  state: iid % 2 ? 'opened' : 'closed',
+  labels: ['bug'],
+  assignees: [{ username: 'dev' }],
+  user_notes_count: 1,
+  web_url: `https://gitlab.example.com/group/sub/app/-/issues/${iid}`
+});
+
+/**
+ * Minimal stand-in for the GitLab list endpoints: two pages of issues linked
+ * with a Link header, and two pages of notes
+ * @param {IncomingMessage} req - Request
+ * @param {ServerResponse} res - Response
+ */
+function handle(req, res) {
+  const url = new URL(req.url, baseUrl);
+  const page = parseInt(url.searchParams.get('page') || '1', 10);
+  requests.push(req.url);
+
+  const headers = { 'Content-Type': 'application/json' };
+  const next = () => {
+    const nextUrl = new URL(url);
+    nextUrl.searchParams.set('page', String(page + 1));
+    headers.Link = `<${nextUrl}>; rel="next", <${url}>; rel="first"`;
+  };
+
+  let body;
+  if (url.pathname === `/api/v4${PROJECT}/issues`) {
+    if (req.headers['if-none-match'] === '"v1"') {
+      res.writeHead(304);
+      return res.end();
+    }
+    headers.ETag = `"v${page}"`;
+    if (page === 1) next();
+    body = page === 1 ? [gitlabIssue(1), gitlabIssue(2)] : [gitlabIssue(3)];
+  } else if (url.pathname === `/api/v4${PROJECT}/issues/1/notes`) {
+    if (page === 1) next();
+    body = page === 1
+      ? [{ id: 10, body: 'added ~bug label', system: true }, { id: 11, body: 'Fails in src/app.js', author: { username: 'dev' } }]
+      : [{ id: 12, body: 'Same here', author: null }];
+  } else {
+    res.writeHead(404, headers);
+    return res.end(JSON.stringify({ message: '404 Project Not Found' }));
+  }
+
+  res.writeHead(200, headers);
+  res.end(JSON.stringify(body));
+}
+
+before(async () => {
+  server = http.createServer(handle);
+  server.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+});
+
+const gitlab = () => new GitLabService('token', { baseUrl: `${baseUrl}/api/v4` });
+
+test('parses repository URLs on GitHub and in nested GitLab groups', () => {
+  assert.deepEqual(parseRepoUrl('https://github.com/octo/app/issues/3'), { host: 'github.com', owner: 'octo', repo: 'app' });
+  assert.deepEqual(parseRepoUrl('git@github.com:octo/app.git'), { host: 'github.com', owner: 'octo', repo: 'app' });
+  assert.deepEqual(parseRepoUrl('github.com/octo/app'), { host: 'github.com', owner: 'octo', repo: 'app' });
+  assert.deepEqual(
+    parseRepoUrl('https://gitlab.example.com:8443/group/sub/app/-/tree/main', 'gitlab'),
+    { host: 'gitlab.example.com:8443', owner: 'group/sub', repo: 'app' }
+  );
+  assert.deepEqual(
+    parseRepoUrl('ssh://git@gitlab.example.com/group/sub/app.git', 'gitlab'),
+    { host: 'gitlab.example.com', owner: 'group/sub', repo: 'app' }
+  );
+  assert.equal(repoHost('HTTPS://GitLab.Example.com/group/app'), 'gitlab.example.com');
+
+  assert.throws(() => parseRepoUrl('https://github.com/octo'), /expected github\.com\/owner\/name/);
+  assert.throws(() => parseRepoUrl('https://gitlab.com/-/app', 'gitlab'), /Invalid repository URL/);
+  assert.throws(() => repoHost('http://'), /Invalid repository URL/);
+  assert.equal(gitlab().parseRepoUrl('https://gitlab.com/group/sub/app').projectId, 'group%2Fsub%2Fapp');
+});
+
+test('translates GitHub-style issue filters into GitLab query parameters', () => {
+  const params = gitlab().buildIssueQuery({
+    state: 'open',
+    labels: ['bug', 'ui'],
+    assignee: 'none',
+    milestone: '*',
+    since: '2024-01-01T00:00:00Z',
+    sort: 'updated',
+    direction: 'asc'
+  });
+
+  assert.deepEqual(Object.fromEntries(params), {
+    scope: 'all',
+    per_page: '100',
+    state: 'opened',
+    labels: 'bug,ui',
+    assignee_id: 'None',
+    milestone: 'Any',
+    updated_after: '2024-01-01T00:00:00.000Z',
+    order_by: 'updated_at',
+    sort: 'asc'
+  });
+  assert.equal(gitlab().buildIssueQuery({ state: 'all' }).has('state'), false);
+});
+
+test('follows Link headers across issue pages and keeps the first page ETag', async () => {
+  const { notModified, etag, issues } = await gitlab().fetchIssueUpdates('https://gitlab.example.com/group/sub/app');
+
+  assert.equal(notModified, false);
+  assert.equal(etag, '"v1"');
+  assert.deepEqual(issues.map(issue => [issue.issueNumber, issue.state]), [[1, 'open'], [2, 'closed'], [3, 'open']]);
+  assert.equal(issues[0].body, '');
+  assert.deepEqual(issues[0].assignees, ['dev']);
+  assert.equal(requests.length, 2);
+  assert.match(requests[1], /[?&]page=2(&|$)/);
+
+  const limited = await gitlab().fetchIssueUpdates('https://gitlab.example.com/group/sub/app', { maxPages: 1 });
+  assert.equal(limited.issues.length, 2);
+});
+
+test('reports an unchanged issue list when the ETag still matches', async () => {
+  const result = await gitlab().fetchIssueUpdates('https://gitlab.example.com/group/sub/app', { etag: '"v1"' });
+
+  assert.deepEqual(result, { notModified: true, etag: '"v1"', issues: [] });
+  assert.equal(requests.length, 1);
+});
+
+test('collects comments from every page, leaving out system notes', async () => {
+  const comments = await gitlab().fetchIssueComments('https://gitlab.example.com/group/sub/app', 1);
+
+  assert.deepEqual(comments.map(({ commentId, author, body }) => ({ commentId, author, body })), [
+    { commentId: 11, author: 'dev', body: 'Fails in src/app.js' },
+    { commentId: 12, author: 'ghost', body: 'Same here' }
+  ]);
+  assert.equal(requests.length, 2);
+});
+
+test('wraps API errors with the GitLab message', async () => {
+  await assert.rejects(
+    gitlab().fetchIssue('https://gitlab.example.com/group/other', 1),
+    { message: 'Failed to fetch issue: GitLab API error: 404 Project Not Found' }
+  );
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import IssueAnalyzerService from '../services/issueAnalyzerService.js';
+import ContextBudgetService from '../services/contextBudgetService.js';
+
+const analyzer = new IssueAnalyzerService();
+
+test('keeps line spans as ranges and single lines as line numbers', () => {
+  assert.deepEqual(analyzer.extractFileReferences('Fails in src/app.js:12 and lib/util.js:30-40'), [
+    { path: 'src/app.js', lineNumbers: [12], ranges: [] },
+    { path: 'lib/util.js', lineNumbers: [], ranges: [{ start: 30, end: 40 }] }
+  ]);
+});
+
+test('cuts huge spans instead of expanding them', () => {
+  const [reference] = analyzer.extractFileReferences('see a.js:1-999999999');
+  assert.deepEqual(reference.ranges, [{ start: 1, end: 500 }]);
+});
+
+test('merges references from the body and comments', () => {
+  const references = analyzer.extractIssueFileReferences({
+    body: 'a.js:5 and a.js:10-20',
+    comments: [{ body: 'also a.js:10-20, a.js:5 and b.py:3' }]
+  });
+
+  assert.deepEqual(references, [
+    { path: 'a.js', lineNumbers: [5], ranges: [{ start: 10, end: 20 }] },
+    { path: 'b.py', lineNumbers: [3], ranges: [] }
+  ]);
+});
+
+test('context windows cover referenced ranges', () => {
+  const budget = new ContextBudgetService({ windowRadius: 2 });
+  assert.deepEqual(budget.buildWindows([3], 100, [{ start: 40, end: 50 }, { start: 90, end: 200 }]), [
+    { startLine: 1, endLine: 5 },
+    { startLine: 38, endLine: 52 },
+    { startLine: 88, endLine: 100 }
+  ]);
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Settings keyed the way a user might spell the repository
+process.env.LLM_REPO_SETTINGS = JSON.stringify({ 'https://github.com/Octo/App.git': { provider: 'mock', model: 'repo-model' } });
+const { createAIService } = await import('../routes/issueRoutes.js');
+const { resolveProviderSelection } = await import('../services/llm/index.js');
+
+test('matches per-repo settings keyed by any spelling of the repository URL', () => {
+  const aiService = createAIService('https://github.com/octo/app');
+
+  assert.equal(aiService.provider.name, 'mock');
+  assert.equal(aiService.provider.model, 'repo-model');
+});
+
+test('prefers the request selection and only carries the model over with its provider', () => {
+  const settings = { 'https://github.com/octo/app': { provider: 'mock', model: 'repo-model' } };
+
+  assert.deepEqual(resolveProviderSelection('https://github.com/octo/app', { model: 'asked' }, settings), { provider: 'mock', model: 'asked' });
+  assert.equal(resolveProviderSelection('https://github.com/octo/app', { provider: 'openai' }, settings).model, undefined);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import IssueAnalyzerService from '../services/issueAnalyzerService.js';
+import PullReviewService from '../services/pullReviewService.js';
+
+const DIFF = [
+  'diff --git a/src/app.js b/src/app.js',
+  'index 1111111..2222222 100644',
+  '--- a/src/app.js',
+  '+++ b/src/app.js',
+  '@@ -10,3 +10,4 @@ function start() {',
+  ' const config = load();',
+  '-run(config);',
+  '+eval(config.script);',
+  '+run(config);',
+  ' done();',
+  '@@ -40,2 +41,2 @@',
+  ' cleanup();',
+  '-eval(legacy);',
+  '+console.log(legacy);',
+  '\\ No newline at end of file',
+  'diff --git a/old.js b/old.js',
+  'deleted file mode 100644',
+  '--- a/old.js',
+  '+++ /dev/null',
+  '@@ -1 +0,0 @@',
+  '-eval(x);',
+  'diff --git a/logo.png b/logo.png',
+  'Binary files a/logo.png and b/logo.png differ',
+  'diff --git a/src/new.js b/src/new.js',
+  'new file mode 100644',
+  '--- /dev/null',
+  '+++ b/src/new.js',
+  '@@ -0,0 +1,2 @@',
+  '+// fresh file',
+  '+debugger;',
+  ''
+].join('\n');
+
+const reviewer = new PullReviewService(null, new IssueAnalyzerService(), null);
+
+test('numbers diff lines from their hunk headers', () => {
+  const lines = reviewer.parsePatch(reviewer.splitDiff(DIFF).get('src/app.js'));
+
+  assert.deepEqual(lines.filter(line => line.type !== 'hunk'), [
+    { type: 'context', oldLine: 10, newLine: 10, text: 'const config = load();' },
+    { type: 'remove', oldLine: 11, text: 'run(config);' },
+    { type: 'add', newLine: 11, text: 'eval(config.script);' },
+    { type: 'add', newLine: 12, text: 'run(config);' },
+    { type: 'context', oldLine: 12, newLine: 13, text: 'done();' },
+    { type: 'context', oldLine: 40, newLine: 41, text: 'cleanup();' },
+    { type: 'remove', oldLine: 41, text: 'eval(legacy);' },
+    { type: 'add', newLine: 42, text: 'console.log(legacy);' }
+  ]);
+  assert.deepEqual(lines.filter(line => line.type === 'hunk').map(line => line.text), [
+    '@@ -10,3 +10,4 @@ function start() {',
+    '@@ -40,2 +41,2 @@'
+  ]);
+  assert.deepEqual(reviewer.parsePatch(null), []);
+});
+
+test('splits a pull request diff by new path, leaving out deleted and binary files', () => {
+  const patches = reviewer.splitDiff(DIFF);
+
+  assert.deepEqual([...patches.keys()], ['src/app.js', 'src/new.js']);
+  assert.equal(patches.get('src/new.js'), '@@ -0,0 +1,2 @@\n+// fresh file\n+debugger;\n');
+  assert.ok(patches.get('src/app.js').endsWith('+console.log(legacy);\n\\ No newline at end of file'));
+});
+
+test('reports rule findings on added lines only, at their new line numbers', () => {
+  const patches = reviewer.splitDiff(DIFF);
+  const files = [...patches].map(([path, patch]) => ({ path, lines: reviewer.parsePatch(patch) }));
+
+  const findings = reviewer.checkAddedLines(files);
+
+  assert.deepEqual(findings.map(({ filePath, line, ruleId }) => ({ filePath, line, ruleId })), [
+    { filePath: 'src/app.js', line: 11, ruleId: 'unsafe-eval' },
+    { filePath: 'src/app.js', line: 42, ruleId: 'debug-console' },
+    { filePath: 'src/new.js', line: 2, ruleId: 'debug-debugger' }
+  ]);
+  assert.deepEqual(reviewer.checkAddedLines(files, { disabledRules: ['unsafe-eval', 'debug-console', 'debug-debugger'] }), []);
+});
+
+test('skips files without added lines', () => {
+  const lines = reviewer.parsePatch('@@ -1,2 +1,1 @@\n keep();\n-eval(x);');
+
+  assert.deepEqual(reviewer.checkAddedLines([{ path: 'src/app.js', lines }]), []);
+});
@@ -0,0 +1,103 @@
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { Issue, ScanJob } from '../models/index.js';
+import repoRoutes, { repositories, saveScanIssue } from '../routes/repoRoutes.js';
+
+const repository = { _id: 'repo1', url: 'https://github.com/octo/app' };
+const result = {
+  filePath: 'src/app.js',
+  ruleId: 'eval-usage',
+  issueType: 'security',
+  description: 'Avoid eval',
+  lineNumbers: [3],
+  locations: [{ line: 3, column: 1 }]
+};
+
+afterEach(() => mock.restoreAll());
+
+const found = issue => mock.method(Issue, 'findOne', () => ({ select: async () => issue }));
+
+test('creates a new AI issue for a finding not seen before', async () => {
+  found(null);
+  const create = mock.method(Issue, 'create', async doc => doc);
+
+  const issueNumber = await saveScanIssue(repository, result, () => 'AI-7');
+
+  assert.equal(issueNumber, 'AI-7');
+  assert.match(create.mock.calls[0].arguments[0].scanFingerprint, /^[0-9a-f]{40}$/);
+});
+
+test('updates the issue an earlier scan created for the same rule and file', async () => {
+  const findOne = found({ _id: 'issue1', issueNumber: 'AI-2' });
+  const update = mock.method(Issue, 'findOneAndUpdate', async () => ({}));
+  const allocate = mock.fn(() => 'AI-9');
+
+  const issueNumber = await saveScanIssue(repository, result, allocate);
+  const fingerprint = findOne.mock.calls[0].arguments[0].scanFingerprint;
+
+  assert.equal(issueNumber, 'AI-2');
+  assert.equal(allocate.mock.callCount(), 0);
+  assert.deepEqual(update.mock.calls[0].arguments[0], { _id: 'issue1', 'promotedTo.number': { $exists: false } });
+
+  // Another rule in the same file is a different issue
+  await saveScanIssue(repository, { ...result, ruleId: 'todo-comment' }, allocate);
+  assert.notEqual(findOne.mock.calls[1].arguments[0].scanFingerprint, fingerprint);
+});
+
+test('falls back to the issue a concurrent scan created', async () => {
+  let calls = 0;
+  mock.method(Issue, 'findOne', () => ({ select: async () => (calls++ ? { issueNumber: 'AI-4' } : null) }));
+  mock.method(Issue, 'create', async () => { throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }); });
+
+  assert.equal(await saveScanIssue(repository, result, () => 'AI-5'), 'AI-4');
+});
+
+let server;
+let baseUrl;
+// Caller of the next request: { user, tokens, permissions }
+let caller;
+
+before(async () => {
+  const app = express();
+  app.use((req, res, next) => {
+    const client = { fetchRepository: async () => ({ visibility: 'private', permissions: caller.permissions }) };
+    req.user = caller.user;
+    req.hosts = {
+      resolve: () => ({ host: 'github.com' }),
+      hasUserToken: host => caller.tokens.includes(host),
+      forRepo: () => client
+    };
+    req.repositories = { find: async () => ({ ...repository, host: 'github.com', visibility: 'public' }) };
+    next();
+  });
+  app.use('/api/repos', repoRoutes);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const deleteRepository = () => fetch(`${baseUrl}/api/repos/${encodeURIComponent(repository.url)}`, { method: 'DELETE' });
+
+test('only deletes repositories for users with write access through their own token', async () => {
+  mock.method(ScanJob, 'exists', async () => null);
+  const remove = mock.method(repositories, 'remove', async () => ({ issues: 0 }));
+  const user = { _id: 'user1' };
+
+  caller = { user: null, tokens: [], permissions: { push: true } };
+  assert.equal((await deleteRepository()).status, 401);
+
+  caller = { user, tokens: [], permissions: { push: true } };
+  assert.equal((await deleteRepository()).status, 403);
+
+  caller = { user, tokens: ['github.com'], permissions: { push: false, admin: false } };
+  assert.equal((await deleteRepository()).status, 403);
+  assert.equal(remove.mock.callCount(), 0);
+
+  caller = { user, tokens: ['github.com'], permissions: { push: true, admin: false } };
+  assert.equal((await deleteRepository()).status, 200);
+  assert.equal(remove.mock.callCount(), 1);
+});
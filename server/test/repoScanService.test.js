@@ -0,0 +1,37 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import FileBlob from '../models/FileBlob.js';
+import RepoScanService from '../services/repoScanService.js';
+
+const REPO = 'https://github.com/octo/app';
+
+afterEach(() => mock.restoreAll());
+
+test('retries a blob update that lost an upsert race', async () => {
+  const updateOne = mock.method(FileBlob, 'updateOne', async (filter, update, options) => {
+    if (options?.upsert) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    return { modifiedCount: 1 };
+  });
+
+  await new RepoScanService(null, null).updateBlob('abc', { $set: { lastUsedAt: new Date() } });
+  assert.equal(updateOne.mock.callCount(), 2);
+  assert.equal(updateOne.mock.calls[1].arguments[2], undefined);
+});
+
+test('passes on other errors', async () => {
+  mock.method(FileBlob, 'updateOne', async () => { throw new Error('connection lost'); });
+  await assert.rejects(new RepoScanService(null, null).updateBlob('abc', {}), /connection lost/);
+});
+
+test('only reads cached content of the repository being scanned', async () => {
+  const findOne = mock.method(FileBlob, 'findOne', () => ({ select: async () => null }));
+  const updateOne = mock.method(FileBlob, 'updateOne', async () => ({}));
+  const hosts = { forRepo: () => ({ fetchBlob: async () => 'fetched' }) };
+
+  const { content, fromCache } = await new RepoScanService(hosts, null).getContent(REPO, { path: 'a.js', sha: 'abc' }, true);
+
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { sha: 'abc', repositories: REPO });
+  assert.equal(content, 'fetched');
+  assert.equal(fromCache, false);
+  assert.deepEqual(updateOne.mock.calls[0].arguments[1].$addToSet, { repositories: REPO });
+});
@@ -0,0 +1,41 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { AISolution, Issue } from '../models/index.js';
+import RepositoryService from '../services/repositoryService.js';
+
+afterEach(() => mock.restoreAll());
+
+test('merges duplicate issues into the most recently updated copy', async () => {
+  const kept = { _id: 'new', lastSolutionVersion: 2 };
+  const copy = { _id: 'old', triage: { type: 'bug' }, promotedTo: {}, postedComment: { commentId: 7 } };
+  mock.method(Issue, 'aggregate', async () => [{ _id: { repository: 'repo1', issueNumber: 4 }, ids: ['old', 'new'], count: 2 }]);
+  const find = mock.method(Issue, 'find', () => ({ sort: async () => [kept, copy] }));
+  const updateIssue = mock.method(Issue, 'updateOne', async () => ({}));
+  const deleteMany = mock.method(Issue, 'deleteMany', async () => ({ deletedCount: 1 }));
+  mock.method(AISolution, 'findOne', () => ({ sort: () => ({ select: async () => ({ version: 2 }) }) }));
+  mock.method(AISolution, 'find', () => ({ sort: () => ({ select: async () => [{ _id: 's1' }, { _id: 's2' }] }) }));
+  const moveSolution = mock.method(AISolution, 'updateOne', async () => ({}));
+
+  const removed = await new RepositoryService(null).mergeDuplicateIssues();
+
+  assert.equal(removed, 1);
+  assert.deepEqual(find.mock.calls[0].arguments[0], { _id: { $in: ['old', 'new'] } });
+  // The copy's solutions become versions 3 and 4 of the kept issue
+  assert.deepEqual(moveSolution.mock.calls.map(call => call.arguments), [
+    [{ _id: 's1' }, { issue: 'new', version: 3 }],
+    [{ _id: 's2' }, { issue: 'new', version: 4 }]
+  ]);
+  assert.deepEqual(updateIssue.mock.calls[0].arguments, [
+    { _id: 'new' },
+    { lastSolutionVersion: 4, triage: { type: 'bug' }, postedComment: { commentId: 7 } }
+  ]);
+  assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { _id: { $in: ['old'] } });
+});
+
+test('does nothing without duplicates', async () => {
+  mock.method(Issue, 'aggregate', async () => []);
+  const deleteMany = mock.method(Issue, 'deleteMany', async () => ({ deletedCount: 0 }));
+
+  assert.equal(await new RepositoryService(null).mergeDuplicateIssues(), 0);
+  assert.equal(deleteMany.mock.callCount(), 0);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RuleEngine from '../services/ruleEngine.js';
+import DEFAULT_RULES from '../services/analysisRules.js';
+
+const code = [
+  'function load(input) {',
+  '  console.log(input); console.log(input);',
+  '  // TODO: validate input',
+  '  return eval(input);',
+  '}'
+].join('\n');
+
+test('reports every match with its line and column', () => {
+  const findings = new RuleEngine(DEFAULT_RULES).run(code, { filePath: 'src/load.js' });
+
+  assert.deepEqual(
+    findings.map(({ ruleId, line, column }) => ({ ruleId, line, column })),
+    [
+      { ruleId: 'debug-console', line: 2, column: 3 },
+      { ruleId: 'debug-console', line: 2, column: 23 },
+      { ruleId: 'todo-comment', line: 3, column: 6 },
+      { ruleId: 'unsafe-eval', line: 4, column: 10 }
+    ]
+  );
+});
+
+test('only runs language-specific rules on matching files', () => {
+  const findings = new RuleEngine(DEFAULT_RULES).run(code, { filePath: 'load.py' });
+  assert.deepEqual(findings.map(finding => finding.ruleId), ['todo-comment', 'python-exec']);
+});
+
+test('disables rules and overrides severities per run', () => {
+  const findings = new RuleEngine(DEFAULT_RULES).run(code, {
+    filePath: 'src/load.js',
+    disabledRules: ['debug-console'],
+    severityOverrides: { 'todo-comment': 'low', 'unsafe-eval': 'not-a-severity' }
+  });
+
+  assert.deepEqual(
+    findings.map(({ ruleId, severity }) => ({ ruleId, severity })),
+    [{ ruleId: 'todo-comment', severity: 'low' }, { ruleId: 'unsafe-eval', severity: 'high' }]
+  );
+});
+
+test('runs opt-in rules only when enabled', () => {
+  const engine = new RuleEngine([{ id: 'semicolon', type: 'quality', severity: 'low', message: 'Semicolon', pattern: /;/, enabled: false }]);
+
+  assert.equal(engine.run('a;').length, 0);
+  assert.equal(engine.run('a;', { enabledRules: ['semicolon'] }).length, 1);
+});
+
+test('addRule replaces a rule with the same id', () => {
+  const engine = new RuleEngine(DEFAULT_RULES);
+  engine.addRule({ id: 'todo-comment', type: 'incomplete', severity: 'high', message: 'Note', pattern: /NOTE/ });
+
+  const findings = engine.run('// TODO\n// NOTE', { filePath: 'a.js' });
+  assert.deepEqual(findings.map(({ ruleId, line, severity }) => ({ ruleId, line, severity })), [
+    { ruleId: 'todo-comment', line: 2, severity: 'high' }
+  ]);
+});
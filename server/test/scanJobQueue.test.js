@@ -0,0 +1,56 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import ScanJob from '../models/ScanJob.js';
+import ScanJobQueue from '../services/scanJobQueue.js';
+
+afterEach(() => mock.restoreAll());
+
+test('claims jobs with a lease owned by the worker', async () => {
+  const findOneAndUpdate = mock.method(ScanJob, 'findOneAndUpdate', async () => null);
+  const queue = new ScanJobQueue(async () => ({}), { leaseMs: 60000 });
+
+  await queue.claimNext();
+  const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepEqual(filter, { status: 'queued' });
+  assert.equal(update.owner, queue.workerId);
+  assert.ok(update.leaseExpiresAt.getTime() > Date.now() + 59000);
+});
+
+test('only recovers running jobs whose lease expired', async () => {
+  const find = mock.method(ScanJob, 'find', async () => [
+    { _id: 'a', owner: 'gone', attempts: 1 },
+    { _id: 'b', owner: 'gone', attempts: 3 }
+  ]);
+  const findOneAndUpdate = mock.method(ScanJob, 'findOneAndUpdate', async filter => (filter._id === 'a' ? {} : null));
+  mock.method(console, 'log', () => {});
+
+  assert.equal(await new ScanJobQueue(async () => ({})).recoverExpired(), 1);
+
+  const [expired] = find.mock.calls[0].arguments;
+  assert.equal(expired.status, 'running');
+  assert.ok(expired.leaseExpiresAt.$not.$gte instanceof Date);
+
+  const [[filterA, updateA], [, updateB]] = findOneAndUpdate.mock.calls.map(call => call.arguments);
+  assert.equal(filterA.owner, 'gone');
+  assert.equal(updateA.status, 'queued');
+  assert.equal(updateB.status, 'failed');
+});
+
+test('stops a job without recording it when another worker took it over', async () => {
+  const writes = [];
+  mock.method(ScanJob, 'findOneAndUpdate', async (filter, update) => {
+    writes.push(update);
+    // The lease renewal finds the job no longer owned by this worker
+    return null;
+  });
+  mock.method(console, 'warn', () => {});
+
+  const queue = new ScanJobQueue(
+    (job, { signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason))),
+    { leaseMs: 30 }
+  );
+  await queue.run({ _id: 'job-1' });
+
+  assert.ok(writes.length >= 1);
+  assert.ok(writes.every(update => !update.status));
+});
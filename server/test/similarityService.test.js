@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SimilarityService from '../services/similarityService.js';
+
+const similarity = new SimilarityService();
+
+const issue = (id, title, body, paths = []) => ({
+  _id: id,
+  title,
+  body,
+  fileReferences: paths.map(path => ({ path }))
+});
+
+test('only recomputes vectors whose source text changed', () => {
+  const fresh = issue('a', 'Login fails', 'Token expired');
+  const [operation] = similarity.refreshVectors([fresh]);
+
+  assert.deepEqual(operation.updateOne.filter, { _id: 'a' });
+  assert.equal(fresh.similarity.hash, similarity.sourceHash(fresh));
+  assert.deepEqual(similarity.refreshVectors([fresh]), []);
+
+  fresh.body = 'Token expired after an hour';
+  assert.equal(similarity.refreshVectors([fresh]).length, 1);
+});
+
+test('ranks issues about the same problem above unrelated ones', () => {
+  const target = issue('t', 'Login fails with expired token', 'Users are logged out when the session token expires', ['src/auth.js']);
+  const duplicate = issue('d', 'Expired token breaks login', 'The session token expires and login fails', ['src/auth.js']);
+  const unrelated = issue('u', 'Dark mode colors', 'Buttons are hard to read in dark mode', ['src/theme.css']);
+  similarity.refreshVectors([target, duplicate, unrelated]);
+
+  const [best, ...rest] = similarity.rankSimilar(target, [unrelated, duplicate]);
+
+  assert.equal(best.issue, duplicate);
+  assert.deepEqual(best.sharedFiles, ['src/auth.js']);
+  assert.ok(rest.every(result => result.score < best.score));
+});
+
+test('applies the limit and minimum score', () => {
+  const target = issue('t', 'Crash on save', 'Saving crashes the editor');
+  const candidates = [
+    issue('a', 'Crash on save again', 'Saving still crashes'),
+    issue('b', 'Crash when saving', 'The editor crashes on save'),
+    issue('c', 'Typo in docs', 'Spelling mistake')
+  ];
+  similarity.refreshVectors([target, ...candidates]);
+
+  assert.equal(similarity.rankSimilar(target, candidates, { limit: 1 }).length, 1);
+  assert.ok(similarity.rankSimilar(target, candidates, { minScore: 0.1 }).every(result => result.issue._id !== 'c'));
+});
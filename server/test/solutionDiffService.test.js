@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SolutionDiffService from '../services/solutionDiffService.js';
+
+const solutionDiff = new SolutionDiffService();
+
+const solution = overrides => ({
+  version: 1,
+  provider: 'mock',
+  model: 'mock-1',
+  promptHash: 'aaa',
+  analysis: 'The parser drops the last line.',
+  rootCause: 'Off-by-one in the loop bound.',
+  steps: ['Fix the bound', 'Add a test'],
+  bestPractices: ['Test edge cases'],
+  confidence: 0.5,
+  inputFiles: [{ path: 'src/parse.js', sha: 's1' }],
+  codeSnippets: [{ filePath: 'src/parse.js', startLine: 10, endLine: 10, suggestedCode: 'i <= n' }],
+  ...overrides
+});
+
+test('diffs lines by their longest common subsequence', () => {
+  assert.equal(solutionDiff.diffText('a\nb\nc', 'a\nb\nc'), null);
+  assert.equal(solutionDiff.diffText(undefined, ''), null);
+  assert.deepEqual(solutionDiff.diffLines('a\nb\nc', 'a\nx\nc\nd'), [
+    { op: ' ', text: 'a' },
+    { op: '-', text: 'b' },
+    { op: '+', text: 'x' },
+    { op: ' ', text: 'c' },
+    { op: '+', text: 'd' }
+  ]);
+});
+
+test('lists only the fields that differ between two versions', () => {
+  const from = solution();
+  const to = solution({
+    version: 2,
+    model: 'mock-2',
+    promptHash: 'bbb',
+    analysis: 'The parser drops the last line.\nIt also skips blank lines.',
+    steps: ['Fix the bound', 'Handle blank lines'],
+    inputFiles: [{ path: 'src/parse.js', sha: 's2' }, { path: 'src/lines.js', sha: 's3' }]
+  });
+
+  const { from: fromHeader, to: toHeader, changes } = solutionDiff.diff(from, to);
+
+  assert.equal(fromHeader.version, 1);
+  assert.equal(toHeader.version, 2);
+  assert.deepEqual(Object.keys(changes).sort(), ['analysis', 'inputFiles', 'model', 'promptHash', 'steps']);
+  assert.deepEqual(changes.model, { from: 'mock-1', to: 'mock-2' });
+  assert.equal(changes.analysis, ' The parser drops the last line.\n+It also skips blank lines.');
+  assert.deepEqual(changes.steps, { added: ['Handle blank lines'], removed: ['Add a test'] });
+  assert.deepEqual(changes.inputFiles, {
+    added: [{ path: 'src/lines.js', sha: 's3' }],
+    removed: [],
+    changed: [{ path: 'src/parse.js', fromSha: 's1', toSha: 's2' }]
+  });
+});
+
+test('pairs snippets by file and order, reporting moved and rewritten ones', () => {
+  const from = solution({
+    codeSnippets: [
+      { filePath: 'src/parse.js', startLine: 10, endLine: 10, suggestedCode: 'i <= n' },
+      { filePath: 'src/parse.js', startLine: 20, endLine: 21, suggestedCode: 'return lines;' },
+      { filePath: 'src/old.js', startLine: 1, endLine: 1, suggestedCode: 'x' }
+    ]
+  });
+  const to = solution({
+    codeSnippets: [
+      { filePath: 'src/parse.js', startLine: 12, endLine: 12, suggestedCode: 'i <= n' },
+      { filePath: 'src/parse.js', startLine: 20, endLine: 21, suggestedCode: 'return lines.filter(Boolean);' },
+      { filePath: 'src/new.js', startLine: 5, endLine: 6, suggestedCode: 'y' }
+    ]
+  });
+
+  assert.deepEqual(solutionDiff.diff(from, to).changes.codeSnippets, {
+    added: [{ filePath: 'src/new.js', startLine: 5, endLine: 6 }],
+    removed: [{ filePath: 'src/old.js', startLine: 1, endLine: 1 }],
+    changed: [
+      { filePath: 'src/parse.js', startLine: 12, endLine: 12, previousStartLine: 10, diff: null },
+      {
+        filePath: 'src/parse.js',
+        startLine: 20,
+        endLine: 21,
+        previousStartLine: 20,
+        diff: '-return lines;\n+return lines.filter(Boolean);'
+      }
+    ]
+  });
+  assert.deepEqual(solutionDiff.diff(from, from).changes, {});
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_CHANGE_LINES, TRIAGE_SCHEMA, validateAgainstSchema, validateSolution } from '../services/solutionSchema.js';
+import AIService from '../services/aiService.js';
+
+const solution = (overrides = {}) => ({
+  analysis: 'The handler reads a property of undefined',
+  rootCause: 'Missing null check',
+  steps: ['Check the value before reading it'],
+  codeChanges: [{
+    filePath: 'src/app.js',
+    startLine: 3,
+    endLine: 4,
+    originalCode: 'a.b',
+    suggestedCode: 'a?.b'
+  }],
+  bestPractices: ['Validate inputs'],
+  confidence: 0.8,
+  ...overrides
+});
+
+test('accepts a complete solution', () => {
+  assert.deepEqual(validateSolution(solution()), []);
+});
+
+test('reports missing fields and wrong types with their paths', () => {
+  const { rootCause, ...withoutRootCause } = solution();
+  assert.deepEqual(validateSolution({ ...withoutRootCause, steps: 'fix it' }), [
+    '$.rootCause is required',
+    '$.steps must be of type array'
+  ]);
+});
+
+test('checks bounds of numbers and code change lines', () => {
+  assert.deepEqual(validateSolution(solution({ confidence: 1.5 })), ['$.confidence must be <= 1']);
+
+  const change = solution().codeChanges[0];
+  assert.deepEqual(
+    validateSolution(solution({ codeChanges: [{ ...change, startLine: 0 }] })),
+    ['$.codeChanges[0].startLine must be >= 1']
+  );
+  assert.deepEqual(
+    validateSolution(solution({ codeChanges: [{ ...change, startLine: 5, endLine: 4 }] })),
+    ['$.codeChanges[0].endLine must be >= startLine']
+  );
+  assert.deepEqual(
+    validateSolution(solution({ codeChanges: [{ ...change, startLine: 1.5 }] })),
+    ['$.codeChanges[0].startLine must be of type integer']
+  );
+});
+
+test('bounds the line range of a code change', () => {
+  const change = solution().codeChanges[0];
+
+  assert.deepEqual(
+    validateSolution(solution({ codeChanges: [{ ...change, startLine: 1, endLine: 1e9 }] })),
+    [`$.codeChanges[0] must not span more than ${MAX_CHANGE_LINES} lines`]
+  );
+  assert.deepEqual(
+    validateSolution(solution({ codeChanges: [{ ...change, endLine: 12 }] }), { lineCount: () => 10 }),
+    ['$.codeChanges[0].endLine must be <= 10, the last line of src/app.js']
+  );
+  assert.deepEqual(validateSolution(solution(), { lineCount: () => 10 }), []);
+});
+
+test('the parser rejects ranges past the end of the file it was shown', () => {
+  const ai = new AIService({ name: 'mock', model: 'mock-1' });
+  const files = [{ path: 'src/app.js', content: 'a\nb\nc\nd' }];
+  const reply = change => JSON.stringify(solution({ codeChanges: [{ ...solution().codeChanges[0], ...change }] }));
+
+  assert.deepEqual(ai.parseAIResponse(reply({}), {}, files).codeSnippets[0].lineNumbers, [3, 4]);
+  assert.throws(() => ai.parseAIResponse(reply({ endLine: 1e9 }), {}, files), error => {
+    assert.match(error.validationErrors[0], /must not span more than/);
+    return true;
+  });
+  assert.throws(() => ai.parseAIResponse(reply({ endLine: 5 }), {}, files), error => {
+    assert.match(error.validationErrors[0], /must be <= 4/);
+    return true;
+  });
+});
+
+test('rejects values outside an enum and empty strings', () => {
+  assert.deepEqual(
+    validateAgainstSchema({ type: 'incident', priority: 'high', component: '', confidence: 0.5 }, TRIAGE_SCHEMA),
+    ['$.type must be one of: bug, feature, question, docs, security', '$.component must not be empty']
+  );
+});
+
+test('rejects non-object output', () => {
+  assert.deepEqual(validateSolution(null), ['$ must be of type object']);
+  assert.deepEqual(validateSolution([]), ['$ must be of type object']);
+});
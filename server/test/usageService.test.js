@@ -0,0 +1,76 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import UsageRecord from '../models/UsageRecord.js';
+import UsageService from '../services/usageService.js';
+
+const repository = { _id: 'repo-1', url: 'https://github.com/octo/app' };
+const user = { _id: 'user-1', host: 'github.com', login: 'octocat' };
+
+// Today's ledger totals, by the scope the aggregation matches on
+function usedToday(totals) {
+  return mock.method(UsageRecord, 'aggregate', async ([{ $match }]) => {
+    const total = $match.user ? totals.user : totals.repository;
+    return total ? [{ _id: null, ...total }] : [];
+  });
+}
+
+afterEach(() => mock.restoreAll());
+
+test('does not read the ledger when nothing is limited', async () => {
+  const aggregate = usedToday({});
+  await new UsageService().assertWithinQuota({ repository, user });
+  assert.equal(aggregate.mock.callCount(), 0);
+});
+
+test('allows usage below the limits', async () => {
+  usedToday({ repository: { tokens: 900, cost: 0.5 }, user: { tokens: 100, cost: 0.1 } });
+  const usage = new UsageService({ quotas: { repository: { tokens: 1000 }, user: { cost: 1 } } });
+
+  await usage.assertWithinQuota({ repository, user });
+});
+
+test('refuses with 429 once a limit is reached', async () => {
+  usedToday({ repository: { tokens: 10, cost: 0 }, user: { tokens: 5000, cost: 0.2 } });
+  const usage = new UsageService({ quotas: { user: { tokens: 5000 } } });
+
+  await assert.rejects(usage.assertWithinQuota({ repository, user }), error => {
+    assert.equal(error.status, 429);
+    assert.equal(error.quota.scope, 'user');
+    assert.equal(error.quota.key, 'github.com/octocat');
+    assert.match(error.message, /5000 of 5000 tokens/);
+    assert.equal(error.resetAt.getTime(), usage.startOfDay().getTime() + 24 * 60 * 60 * 1000);
+    return true;
+  });
+});
+
+test('applies per-user and per-repository overrides', async () => {
+  usedToday({ repository: { tokens: 0, cost: 3 }, user: { tokens: 5000, cost: 0 } });
+  const usage = new UsageService({
+    quotas: {
+      user: { tokens: 1000 },
+      repository: { cost: 10 },
+      users: { 'github.com/octocat': { tokens: null } },
+      repositories: { [repository.url]: { cost: 2 } }
+    }
+  });
+
+  await assert.rejects(usage.assertWithinQuota({ repository, user }), error => {
+    assert.equal(error.quota.scope, 'repository');
+    assert.match(error.message, /\$3\.00 of \$2\.00/);
+    return true;
+  });
+});
+
+test('a limit of 0 blocks all usage', async () => {
+  usedToday({});
+  const usage = new UsageService({ quotas: { repository: { tokens: 0 } } });
+
+  await assert.rejects(usage.assertWithinQuota({ repository }), { status: 429 });
+});
+
+test('estimates cost from per-million prices', () => {
+  const usage = new UsageService({ pricing: { local: { prompt: 1, completion: 2 } } });
+
+  assert.equal(usage.estimateCost('local', { promptTokens: 1000, completionTokens: 500 }), 0.002);
+  assert.equal(usage.estimateCost('unknown', { promptTokens: 1000 }), null);
+});
@@ -0,0 +1,60 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import Issue from '../models/Issue.js';
+import GitHubService from '../services/githubService.js';
+import IssueAnalyzerService from '../services/issueAnalyzerService.js';
+import WebhookService from '../services/webhookService.js';
+
+const body = Buffer.from(JSON.stringify({ action: 'opened', issue: { number: 1 } }));
+const sign = (secret, payload = body) => `sha256=${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`;
+
+test('accepts payloads signed with the secret', () => {
+  const webhooks = new WebhookService(null, null, { secret: 'shh' });
+  assert.equal(webhooks.verifySignature(body, sign('shh')), true);
+});
+
+test('rejects other secrets, altered bodies and malformed signatures', () => {
+  const webhooks = new WebhookService(null, null, { secret: 'shh' });
+
+  assert.equal(webhooks.verifySignature(body, sign('other')), false);
+  assert.equal(webhooks.verifySignature(Buffer.from(`${body} `), sign('shh')), false);
+  assert.equal(webhooks.verifySignature(body, sign('shh').replace('sha256=', 'sha1=')), false);
+  assert.equal(webhooks.verifySignature(body, 'sha256=abc'), false);
+  assert.equal(webhooks.verifySignature(body, undefined), false);
+});
+
+test('rejects every delivery when no secret is configured', () => {
+  assert.equal(new WebhookService(null, null, {}).verifySignature(body, sign('')), false);
+});
+
+test('parses JSON and form-encoded payloads', () => {
+  const webhooks = new WebhookService(null, null, { secret: 'shh' });
+  const form = Buffer.from(new URLSearchParams({ payload: body.toString() }).toString());
+
+  assert.deepEqual(webhooks.parsePayload(body, 'application/json'), { action: 'opened', issue: { number: 1 } });
+  assert.deepEqual(webhooks.parsePayload(form, 'application/x-www-form-urlencoded'), { action: 'opened', issue: { number: 1 } });
+  assert.throws(() => webhooks.parsePayload(Buffer.from('{'), 'application/json'), { status: 400 });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('stores file references merged with those of the stored comments', async () => {
+  const webhooks = new WebhookService(new GitHubService(), new IssueAnalyzerService());
+  mock.method(Issue, 'findOne', async () => ({ updatedAt: new Date('2024-01-01'), comments: [{ body: 'see a.js:9 and b.js:2' }] }));
+  const update = mock.method(Issue, 'findOneAndUpdate', async (filter, doc) => doc);
+
+  await webhooks.upsertIssue({ _id: 'repo1', url: 'https://github.com/octo/app' }, {
+    number: 4,
+    title: 'Crash',
+    body: 'a.js:5 fails, a.js:5 again',
+    state: 'open',
+    created_at: '2024-01-01T00:00:00Z',
+    updated_at: '2024-02-01T00:00:00Z'
+  });
+
+  assert.deepEqual(update.mock.calls[0].arguments[1].fileReferences, [
+    { path: 'a.js', lineNumbers: [5, 9], ranges: [] },
+    { path: 'b.js', lineNumbers: [2], ranges: [] }
+  ]);
+});